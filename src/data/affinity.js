@@ -0,0 +1,36 @@
+// How the main NPCs feel about Mr. Bean. Scores run from -100 to 100 and are
+// grouped into bands (see AFFINITY_BANDS in AffinitySystem.js) that pick
+// greetings and chat responses.
+//
+//   initial    - score at the start of a new game
+//   keywords   - change when a chat message contains the word (once per conversation)
+//   challenges - change when the challenge with that id is completed
+//   gifts      - change when the item is handed over in conversation
+const AFFINITY_DATA = {
+    "Mrs. Wicket": {
+        "initial": -10,
+        "keywords": { "sorry": 3, "rent": 5, "noise": -3, "love": -2 },
+        "challenges": { "1": 5 },
+        "gifts": { "flowers": 15, "chocolates": 10 }
+    },
+    "Irma Gobb": {
+        "initial": 40,
+        "keywords": { "love": 8, "sorry": 3, "date": 5, "teddy": -2 },
+        "challenges": { "3": 15 },
+        "gifts": { "flowers": 10, "teddyBear": 25, "chocolates": 15, "scarf": 10 }
+    },
+    "Rupert": {
+        "initial": -40,
+        "keywords": { "sorry": 2, "love": -3, "garden": -5, "noise": -3 },
+        "challenges": { "2": 10 },
+        "gifts": { "sandwich": 10 }
+    },
+    "Store Clerk": {
+        "initial": 0,
+        "keywords": { "sorry": 1, "love": -1 },
+        "challenges": { "3": 5 },
+        "gifts": {}
+    }
+};
+
+export { AFFINITY_DATA };
@@ -0,0 +1,37 @@
+// Named trigger volumes in world coordinates. Quests refer to these ids from
+// enterArea steps. Areas with a "message" announce themselves the first time
+// the player walks in after being away.
+//
+// Shapes:
+//   box    { min: [x, y, z], max: [x, y, z] }
+//   sphere { center: [x, y, z], radius }  - tested on the ground plane
+const AREA_DATA = {
+    "arbourRoad": {
+        "shape": "box",
+        "min": [-60, 0, -36],
+        "max": [-20, 10, -22],
+        "name": "Arbour Road",
+        "message": "Home sweet home. Mind Mrs. Wicket."
+    },
+    "park": {
+        "shape": "box",
+        "min": [-20, 0, 10],
+        "max": [20, 10, 50],
+        "name": "The Park",
+        "message": "Benches, flowers and a fountain. Lovely."
+    },
+    "departmentStoreEntrance": {
+        "shape": "sphere",
+        "center": [30, 0, -20],
+        "radius": 4,
+        "name": "Havlotts",
+        "message": "Havlotts Department Store - ten floors of bargains!"
+    },
+    "cityCentre": {
+        "shape": "sphere",
+        "center": [30, 0, -30],
+        "radius": 10
+    }
+};
+
+export { AREA_DATA };
@@ -0,0 +1,283 @@
+// Conversation graphs, keyed by NPC name. Regular passers-by use "Citizen".
+//
+// Node:   { "type": "line" | "chat", "text": "..." or ["variant", ...], "choices": [...] }
+//   "text" can also be keyed by the speaker's affinity band, e.g.
+//   { "cool": [...], "fond": [...], "default": [...] } (bands are listed in AffinitySystem.js)
+// Choice: { "text": "...", "next": "<node id>", "conditions": [...], "effects": [...] }
+//   A choice without "next" ends the conversation.
+//   "chat" nodes open the free-text box, answered by the keyword responses in MrBeanGame.
+//
+// Conditions: questActive / questNotActive / questCompleted / questNotCompleted { "quest": <id> },
+//             hasItem / lacksItem { "item": "<id>" }, minMoney { "amount": <pence> },
+//             timeBetween { "hours": [<from>, <to>] } (game clock, e.g. [22, 6] for overnight),
+//             weather { "weather": ["drizzle", "downpour"] } (states are listed in WeatherSystem.js),
+//             flagSet / flagNotSet { "flag": "<name>" } (set by the setFlag effect, see GameFlags.js)
+// Effects:    the quest step effects from src/data/quests.js, e.g. startChallenge, giveItem, takeItem.
+//             Choices that pay out or please someone should set a flag and check it, so they can't be farmed:
+//             rent counts once a week (168 game hours) and each person takes one gift a day (24).
+//             Taking an item from the player in a conversation counts as a gift (see src/data/affinity.js).
+const DIALOGUE_DATA = {
+    "Mrs. Wicket": {
+        "start": "greeting",
+        "nodes": {
+            "greeting": {
+                "text": {
+                    "hostile": [
+                        "You again! I've a good mind to change the locks.",
+                        "One more crash from your flat and you're out, Mr. Bean!"
+                    ],
+                    "warm": [
+                        "Ah, Mr. Bean. Would you like a cup of tea? Scrapper's taken a shine to you.",
+                        "Good morning, Mr. Bean. The stairs look lovely, thank you."
+                    ],
+                    "fond": [
+                        "Mr. Bean! My favourite tenant. Don't tell the others I said that.",
+                        "I've baked a cake, Mr. Bean. There's a slice for you if you want it."
+                    ],
+                    "default": [
+                        "Mr. Bean! Your rent is due!",
+                        "Have you seen my Scrapper? That cat's always wandering off...",
+                        "Keep the noise down up there!",
+                        "I heard crashes from your flat again last night!",
+                        "Don't forget to clean the stairs this week, it's your turn!"
+                    ]
+                },
+                "choices": [
+                    { "text": "Ask about Teddy", "next": "teddy", "conditions": [{ "type": "questActive", "quest": 1 }] },
+                    { "text": "Ask if she's seen Teddy", "next": "teddyStart", "conditions": [{ "type": "questNotActive", "quest": 1 }, { "type": "questNotCompleted", "quest": 1 }] },
+                    { "text": "Give her the flowers", "next": "flowers", "conditions": [{ "type": "hasItem", "item": "flowers" }, { "type": "flagNotSet", "flag": "giftForWicket" }], "effects": [{ "type": "takeItem", "item": "flowers" }, { "type": "setFlag", "flag": "giftForWicket", "hours": 24 }] },
+                    { "text": "Pay the rent (£5.00)", "next": "rentPaid", "conditions": [{ "type": "minMoney", "amount": 500 }, { "type": "flagNotSet", "flag": "paidRent" }], "effects": [{ "type": "giveMoney", "amount": -500 }, { "type": "changeAffinity", "npc": "Mrs. Wicket", "amount": 10 }, { "type": "setFlag", "flag": "paidRent", "hours": 168 }] },
+                    { "text": "Chat", "next": "chat" },
+                    { "text": "Goodbye" }
+                ]
+            },
+            "teddyStart": {
+                "text": "That scruffy bear of yours? I haven't seen it. And I don't want it on my stairs either!",
+                "choices": [
+                    { "text": "Go looking for Teddy", "effects": [{ "type": "startChallenge", "quest": 1 }] },
+                    { "text": "Goodbye" }
+                ]
+            },
+            "teddy": {
+                "text": "I might have seen someone sitting on the park benches with a tatty brown bear...",
+                "choices": [
+                    { "text": "Thank you!" }
+                ]
+            },
+            "flowers": {
+                "text": "Flowers? For me? Well... I suppose the rent can wait until Saturday.",
+                "choices": [
+                    { "text": "Goodbye" }
+                ]
+            },
+            "rentPaid": {
+                "text": "About time too! And on a Tuesday, wonders never cease.",
+                "choices": [
+                    { "text": "Goodbye" }
+                ]
+            },
+            "chat": {
+                "type": "chat",
+                "text": "Well? Out with it, Mr. Bean.",
+                "choices": [
+                    { "text": "Goodbye" }
+                ]
+            }
+        }
+    },
+    "Irma Gobb": {
+        "start": "greeting",
+        "nodes": {
+            "greeting": {
+                "text": {
+                    "cool": [
+                        "Oh. It's you. I waited an hour at the café, you know.",
+                        "Did you forget about me again, Mr. Bean?"
+                    ],
+                    "hostile": [
+                        "Don't you \"hello\" me, Mr. Bean. Not after last time.",
+                        "I'm not speaking to you. Well, not much."
+                    ],
+                    "fond": [
+                        "Mr. Bean! I was hoping I'd bump into you!",
+                        "There you are, darling! I've been counting the minutes."
+                    ],
+                    "default": [
+                        "Oh, Mr. Bean! I've been waiting for our date!",
+                        "I found this lovely new café we could try...",
+                        "Have you remembered it's my birthday next week?",
+                        "I saw this beautiful teddy bear in the shop window...",
+                        "Shall we go to the park together?"
+                    ]
+                },
+                "choices": [
+                    { "text": "Ask what she'd like for Christmas", "next": "christmas", "conditions": [{ "type": "questNotActive", "quest": 3 }, { "type": "questNotCompleted", "quest": 3 }] },
+                    { "text": "Give her the teddy bear", "next": "gift", "conditions": [{ "type": "hasItem", "item": "teddyBear" }, { "type": "flagNotSet", "flag": "giftForIrma" }], "effects": [{ "type": "takeItem", "item": "teddyBear" }, { "type": "setFlag", "flag": "giftForIrma", "hours": 24 }] },
+                    { "text": "Give her the flowers", "next": "flowers", "conditions": [{ "type": "hasItem", "item": "flowers" }, { "type": "flagNotSet", "flag": "giftForIrma" }], "effects": [{ "type": "takeItem", "item": "flowers" }, { "type": "setFlag", "flag": "giftForIrma", "hours": 24 }] },
+                    { "text": "Chat", "next": "chat" },
+                    { "text": "Goodbye" }
+                ]
+            },
+            "christmas": {
+                "text": "Oh, I couldn't possibly say... though I do love that teddy bear in the department store window.",
+                "choices": [
+                    { "text": "Go Christmas shopping", "effects": [{ "type": "startChallenge", "quest": 3 }] },
+                    { "text": "Goodbye" }
+                ]
+            },
+            "gift": {
+                "text": "A teddy bear! For me? Oh, Mr. Bean, it's wonderful!",
+                "choices": [
+                    { "text": "Goodbye" }
+                ]
+            },
+            "flowers": {
+                "text": "Oh, Mr. Bean, flowers! You do have a romantic side after all!",
+                "choices": [
+                    { "text": "Goodbye" }
+                ]
+            },
+            "chat": {
+                "type": "chat",
+                "text": "What did you want to talk about?",
+                "choices": [
+                    { "text": "Goodbye" }
+                ]
+            }
+        }
+    },
+    "Rupert": {
+        "start": "greeting",
+        "nodes": {
+            "greeting": {
+                "text": {
+                    "neutral": [
+                        "Oh, it's you, Bean. Behaving yourself, I hope.",
+                        "Morning, Bean. Quiet night for once."
+                    ],
+                    "warm": [
+                        "Bean! Thanks again for the help with that car.",
+                        "Not bad, Bean. Not bad at all."
+                    ],
+                    "fond": [
+                        "Bean, old chap! Fancy a pint later?"
+                    ],
+                    "default": [
+                        "Keep that racket down, Bean!",
+                        "What are you up to now?",
+                        "Stay away from my garden!",
+                        "I saw you sneaking around last night!",
+                        "Not another one of your silly schemes!"
+                    ]
+                },
+                "choices": [
+                    { "text": "Ask for help with the car", "next": "car", "conditions": [{ "type": "questActive", "quest": 2 }] },
+                    { "text": "Give him the sandwich", "next": "sandwich", "conditions": [{ "type": "hasItem", "item": "sandwich" }, { "type": "flagNotSet", "flag": "giftForRupert" }], "effects": [{ "type": "takeItem", "item": "sandwich" }, { "type": "setFlag", "flag": "giftForRupert", "hours": 24 }] },
+                    { "text": "Apologise for the noise", "next": "apology" },
+                    { "text": "Chat", "next": "chat" },
+                    { "text": "Goodbye" }
+                ]
+            },
+            "car": {
+                "text": "Your car again? It's a wonder that thing moves at all.",
+                "choices": [
+                    { "text": "Goodbye" }
+                ]
+            },
+            "sandwich": {
+                "text": "Is that... my sandwich? I left it on the wall! Give it here, Bean!",
+                "choices": [
+                    { "text": "Goodbye" }
+                ]
+            },
+            "apology": {
+                "text": "Hmph! You're always sorry after the fact, aren't you?",
+                "choices": [
+                    { "text": "Goodbye" }
+                ]
+            },
+            "chat": {
+                "type": "chat",
+                "text": "Make it quick, Bean.",
+                "choices": [
+                    { "text": "Goodbye" }
+                ]
+            }
+        }
+    },
+    "Store Clerk": {
+        "start": "greeting",
+        "nodes": {
+            "greeting": {
+                "text": [
+                    "Welcome to Havlotts! Can I help you, sir?",
+                    "Mind the display window, it's just been cleaned.",
+                    "We close at half five sharp, sir.",
+                    "Everything on the ground floor is on offer this week!"
+                ],
+                "choices": [
+                    { "text": "Ask about teddy bears", "next": "teddy", "conditions": [{ "type": "lacksItem", "item": "teddyBear" }] },
+                    { "text": "Chat", "next": "chat" },
+                    { "text": "Goodbye" }
+                ]
+            },
+            "teddy": {
+                "text": "The teddy bears are very popular this Christmas, sir. Just the one left at the till.",
+                "choices": [
+                    { "text": "Ask if it's still half price", "next": "teddySale", "conditions": [{ "type": "questActive", "quest": 3 }], "effects": [{ "type": "startSale", "sale": "teddyBearSale" }] },
+                    { "text": "Offer to help stack the shelves", "next": "shelves", "conditions": [{ "type": "questActive", "quest": 3 }, { "type": "flagNotSet", "flag": "stackedShelves" }], "effects": [{ "type": "giveMoney", "amount": 250 }, { "type": "setFlag", "flag": "stackedShelves" }] },
+                    { "text": "Goodbye" }
+                ]
+            },
+            "teddySale": {
+                "text": "For you, sir? Go on then, half price it is. I'll hold the offer a little longer.",
+                "choices": [
+                    { "text": "Goodbye" }
+                ]
+            },
+            "shelves": {
+                "text": "Very kind of you, sir. Mind the tins. Here's £2.50 for your trouble.",
+                "choices": [
+                    { "text": "Ask about teddy bears", "next": "teddy" },
+                    { "text": "Goodbye" }
+                ]
+            },
+            "chat": {
+                "type": "chat",
+                "text": "Yes, sir?",
+                "choices": [
+                    { "text": "Goodbye" }
+                ]
+            }
+        }
+    },
+    "Citizen": {
+        "start": "greeting",
+        "nodes": {
+            "greeting": {
+                "text": [
+                    "Hello there! Lovely weather we're having.",
+                    "Good day! Have you seen Mr. Bean's teddy?",
+                    "Mind the road, dear! The traffic's been terrible.",
+                    "Fancy a cup of tea? The café's just around the corner.",
+                    "I heard there's a sale at the department store today!",
+                    "Lovely day for a walk in the park, isn't it?",
+                    "Have you tried the new bakery? Their scones are divine!"
+                ],
+                "choices": [
+                    { "text": "Chat", "next": "chat" },
+                    { "text": "Goodbye" }
+                ]
+            },
+            "chat": {
+                "type": "chat",
+                "text": "Oh, you want a natter? Go on then.",
+                "choices": [
+                    { "text": "Goodbye" }
+                ]
+            }
+        }
+    }
+};
+
+export { DIALOGUE_DATA };
@@ -0,0 +1,83 @@
+// Item catalog and world pickup placements.
+//
+// Items:   id -> { name, icon, model, flags }
+//   model  - which procedural mesh MrBeanGame.createPickup() builds
+//   flags  - unique: only one can be held; questItem: shown first in the inventory
+// Pickups: { id, item, quantity, position: [x, y, z] } in world coordinates
+const ITEM_DATA = {
+    "teddy": {
+        "name": "Teddy",
+        "icon": "🧸",
+        "model": "teddy",
+        "flags": { "unique": true, "questItem": true }
+    },
+    "note": {
+        "name": "Mysterious Note",
+        "icon": "📝",
+        "model": "note",
+        "flags": { "unique": true, "questItem": true }
+    },
+    "flowers": {
+        "name": "Flowers",
+        "icon": "💐",
+        "model": "flowers",
+        "flags": {}
+    },
+    "sandwich": {
+        "name": "Sandwich",
+        "icon": "🥪",
+        "model": "box",
+        "flags": {}
+    },
+    "teddyBear": {
+        "name": "Teddy Bear (Gift)",
+        "icon": "🎁",
+        "model": "teddy",
+        "flags": { "unique": true, "questItem": true }
+    },
+    "chocolates": {
+        "name": "Box of Chocolates",
+        "icon": "🍫",
+        "model": "box",
+        "flags": {}
+    },
+    "scarf": {
+        "name": "Woolly Scarf",
+        "icon": "🧣",
+        "model": "box",
+        "flags": {}
+    },
+    "apples": {
+        "name": "Apples",
+        "icon": "🍎",
+        "model": "box",
+        "flags": {}
+    },
+    "tea": {
+        "name": "Tea Bags",
+        "icon": "🍵",
+        "model": "box",
+        "flags": {}
+    },
+    "batteries": {
+        "name": "Batteries",
+        "icon": "🔋",
+        "model": "box",
+        "flags": {}
+    },
+    "radio": {
+        "name": "Transistor Radio",
+        "icon": "📻",
+        "model": "box",
+        "flags": {}
+    }
+};
+
+const PICKUP_DATA = [
+    { "id": "bench-note", "item": "note", "quantity": 1, "position": [15, 0.45, 45] },
+    { "id": "park-flowers-1", "item": "flowers", "quantity": 1, "position": [-8, 0, 22] },
+    { "id": "park-flowers-2", "item": "flowers", "quantity": 1, "position": [8, 0, 38] },
+    { "id": "arbour-sandwich", "item": "sandwich", "quantity": 1, "position": [-46, 0, -24] }
+];
+
+export { ITEM_DATA, PICKUP_DATA };
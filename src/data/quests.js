@@ -0,0 +1,94 @@
+// Quest definitions for the challenge menu. This is plain JSON data: every
+// step names a trigger and may show a dialog when it completes.
+//
+// Trigger types:
+//   talkTo    { npc: "<NPC name>" }          - press E next to the NPC
+//   enterArea { area: "<area id>" }          - walk into an area from src/data/areas.js
+//   interact  { target: "<target id>" }      - press E next to a tagged world object
+//   holdItem  { item: "<item id>" }          - have the item in your possession
+//
+// Any trigger can add "requires": "<item id>" so it only fires while the item
+// is held, and "consume": true to take that item (or the held item) away.
+// "hours": [<from>, <to>] limits a trigger to those hours on the game clock,
+// e.g. [6, 12] for the morning or [22, 6] for overnight.
+// Items listed in a quest's "rewardItems" are given when it is completed.
+//
+// Steps can also list "effects" applied when they complete:
+//   { "type": "giveItem", "item": "<item id>" }    { "type": "takeItem", "item": "<item id>" }
+//   { "type": "giveMoney", "amount": <pence> }     { "type": "startSale", "sale": "<sale id>" }
+//   { "type": "startChallenge", "quest": <quest id> }
+//   { "type": "changeAffinity", "npc": "<NPC name>", "amount": <points> }
+//   { "type": "setFlag", "flag": "<name>", "hours": <game hours> }  - see GameFlags.js; without hours it stays set
+const QUEST_DATA = {
+    "quests": [
+        {
+            "id": 1,
+            "title": "Find Teddy",
+            "description": "Your beloved Teddy has gone missing! Mrs. Wicket might have seen it last.",
+            "reward": "You found Teddy! He's happy to be back with you.",
+            "rewardItems": ["teddy"],
+            "steps": [
+                {
+                    "text": "Talk to Mrs. Wicket about Teddy",
+                    "trigger": { "type": "talkTo", "npc": "Mrs. Wicket" }
+                },
+                {
+                    "text": "Search the park benches",
+                    "trigger": { "type": "holdItem", "item": "note" },
+                    "dialog": { "name": "Mr. Bean", "text": "Aha! There's a note here... 'Your Teddy is at the department store.'" }
+                },
+                {
+                    "text": "Check the department store",
+                    "trigger": { "type": "enterArea", "area": "departmentStoreEntrance", "requires": "note", "consume": true }
+                }
+            ]
+        },
+        {
+            "id": 2,
+            "title": "Late for Appointment",
+            "description": "You're late for your dentist appointment! But your car won't start...",
+            "reward": "You made it to the dentist! Only 30 minutes late...",
+            "steps": [
+                {
+                    "text": "Check your broken car",
+                    "trigger": { "type": "interact", "target": "beanCar" },
+                    "dialog": { "name": "Mr. Bean", "text": "Oh no! The car won't start! Maybe Rupert can help..." }
+                },
+                {
+                    "text": "Find Rupert and ask for help",
+                    "trigger": { "type": "talkTo", "npc": "Rupert" },
+                    "dialog": { "name": "Rupert", "text": "*Sigh* Fine, Bean. The clinic is in the city center, near the department store." }
+                },
+                {
+                    "text": "Get to the city center clinic",
+                    "trigger": { "type": "enterArea", "area": "cityCentre" }
+                }
+            ]
+        },
+        {
+            "id": 3,
+            "title": "Christmas Shopping",
+            "description": "You need to buy a Christmas present for Irma, but you're on a budget!",
+            "reward": "You found a lovely gift that Irma will surely appreciate!",
+            "steps": [
+                {
+                    "text": "Talk to Irma about her interests",
+                    "trigger": { "type": "talkTo", "npc": "Irma Gobb" },
+                    "dialog": { "name": "Irma", "text": "Oh, Mr. Bean! I do love that teddy bear in the department store window..." }
+                },
+                {
+                    "text": "Visit the department store for sales",
+                    "trigger": { "type": "enterArea", "area": "departmentStoreEntrance" },
+                    "dialog": { "name": "Store Clerk", "text": "The teddy bears are on sale today! Perfect timing!" },
+                    "effects": [{ "type": "startSale", "sale": "teddyBearSale" }]
+                },
+                {
+                    "text": "Find the perfect gift",
+                    "trigger": { "type": "holdItem", "item": "teddyBear" }
+                }
+            ]
+        }
+    ]
+};
+
+export { QUEST_DATA };
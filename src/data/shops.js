@@ -0,0 +1,52 @@
+// Price catalogs for each store, keyed by storeGroup.type (plus the Havlotts
+// department store, which is served by the Store Clerk). Prices are in pence.
+//
+// Sales are time-limited price modifiers, started by id from quest or dialogue
+// effects: { storeType?, item?, multiplier, durationSeconds, label }.
+// A sale without storeType or item applies to every store or item.
+const SHOP_DATA = {
+    "stores": {
+        "grocery": {
+            "name": "Corner Grocer",
+            "catalog": [
+                { "item": "sandwich", "price": 250 },
+                { "item": "apples", "price": 120 },
+                { "item": "tea", "price": 180 }
+            ]
+        },
+        "clothing": {
+            "name": "Fashion Boutique",
+            "catalog": [
+                { "item": "scarf", "price": 899 },
+                { "item": "flowers", "price": 350 }
+            ]
+        },
+        "electronics": {
+            "name": "Electronics Shop",
+            "catalog": [
+                { "item": "batteries", "price": 299 },
+                { "item": "radio", "price": 1499 }
+            ]
+        },
+        "departmentStore": {
+            "name": "Havlotts",
+            "catalog": [
+                { "item": "teddyBear", "price": 1600 },
+                { "item": "chocolates", "price": 450 },
+                { "item": "scarf", "price": 1099 }
+            ]
+        }
+    },
+    "sales": {
+        "teddyBearSale": {
+            "storeType": "departmentStore",
+            "item": "teddyBear",
+            "multiplier": 0.5,
+            "durationSeconds": 900,
+            "label": "Half price today!"
+        }
+    },
+    "startingBalance": 1000
+};
+
+export { SHOP_DATA };
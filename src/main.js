@@ -1,7 +1,61 @@
-import * as THREE from './three.module.js';
-import { OrbitControls } from './jsm/controls/OrbitControls.js';
-import { GLTFLoader } from './jsm/loaders/GLTFLoader.js';
-import { OutlineEffect } from './jsm/effects/OutlineEffect.js';
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { OutlineEffect } from 'three/examples/jsm/effects/OutlineEffect.js';
+import { SaveManager } from './systems/SaveManager.js';
+import { QuestEngine } from './systems/QuestEngine.js';
+import { TriggerSystem } from './systems/TriggerSystem.js';
+import { Inventory } from './systems/Inventory.js';
+import { Economy } from './systems/Economy.js';
+import { GameFlags } from './systems/GameFlags.js';
+import { DialogueSystem } from './systems/DialogueSystem.js';
+import { AffinitySystem } from './systems/AffinitySystem.js';
+import { CollisionSystem } from './systems/CollisionSystem.js';
+import { CameraOcclusion } from './systems/CameraOcclusion.js';
+import { VisibilityManager } from './systems/VisibilityManager.js';
+import { InstanceBatcher } from './systems/InstanceBatcher.js';
+import { ResourceCache } from './systems/ResourceCache.js';
+import { DebugOverlay } from './systems/DebugOverlay.js';
+import { DebugShapes } from './systems/DebugShapes.js';
+import { QualityManager, QUALITY_PRESETS, QUALITY_LEVELS } from './systems/QualityManager.js';
+import { DayNightCycle } from './systems/DayNightCycle.js';
+import { StreetLighting } from './systems/StreetLighting.js';
+import { WeatherSystem, WEATHER_IDS } from './systems/WeatherSystem.js';
+import { RainEffect } from './systems/RainEffect.js';
+import { GameLoop, TransformInterpolator } from './systems/GameLoop.js';
+import { GameStateMachine } from './systems/GameStateMachine.js';
+import { InputManager, ACTIONS } from './systems/InputManager.js';
+import { GamepadInput } from './systems/GamepadInput.js';
+import { TouchControls } from './systems/TouchControls.js';
+import { QUEST_DATA } from './data/quests.js';
+import { AREA_DATA } from './data/areas.js';
+import { ITEM_DATA, PICKUP_DATA } from './data/items.js';
+import { SHOP_DATA } from './data/shops.js';
+import { DIALOGUE_DATA } from './data/dialogues.js';
+import { AFFINITY_DATA } from './data/affinity.js';
+
+// Camera styles offered in the options menu; ToggleCamera switches between the
+// first and third person view of the current style
+const CAMERA_STYLES = [
+    { id: 'chase', label: 'Behind Mr. Bean', isFirstPerson: false, freeLook: false },
+    { id: 'orbit', label: 'Free orbit', isFirstPerson: false, freeLook: true },
+    { id: 'firstPerson', label: 'First person', isFirstPerson: true, freeLook: false },
+    { id: 'mouseLook', label: 'First person with mouse-look', isFirstPerson: true, freeLook: true }
+];
+
+// Cel-shaded outline looks, as OutlineEffect reads them from material.userData.outlineParameters.
+// Props get the thin default; people (and anything under an object with
+// userData.outlineStyle = 'character') a bolder line, and see-through glass none.
+const OUTLINE_STYLES = {
+    prop: { thickness: 0.003, color: [0.1, 0.08, 0.06] },
+    character: { thickness: 0.006, color: [0, 0, 0] },
+    none: { visible: false }
+};
+
+// How much faster people walk when they're hurrying out of the rain
+const HURRY_PACE = 1.8;
+// Seconds a sheltering passer-by keeps walking into something before trying another phone box
+const SHELTER_GIVE_UP = 1;
 
 class MrBeanGame {
     constructor() {
@@ -48,16 +102,27 @@ class MrBeanGame {
             // Initialize camera settings first
             this.thirdPersonCameraOffset = new THREE.Vector3(0, 3, -6);
             this.firstPersonCameraOffset = new THREE.Vector3(0, 1.7, 0.3);
+            this.interiorCameraOffset = new THREE.Vector3(0, 2.4, -2.2);
             this.cameraOffset = this.thirdPersonCameraOffset.clone();
-            this.smoothFactor = 0.15;
+            // How quickly the camera catches up with its target, per second
+            this.cameraFollowRate = 10;
+            // Extra turn of the chase camera around Mr. Bean, from swiping on touch screens
+            this.cameraOrbitYaw = 0;
+            // Radians per pixel swiped
+            this.orbitSensitivity = 0.008;
+            this.isFirstPerson = false;
+            // Free look orbits around Mr. Bean in third person and looks around with the mouse in first person
+            this.freeLook = false;
+            this.cameraPitch = 0;
+            // Radians per pixel the mouse moves while captured
+            this.mouseSensitivity = 0.0025;
+            // Radians per second with a look key held or the right stick pushed all the way
+            this.lookSpeed = 2.5;
             
             // Set initial camera position
             this.camera.position.set(-38, 3, -34);
             this.camera.lookAt(-38, 1.5, -28);
 
-            // Create frustum for culling
-            this.frustum = new THREE.Frustum();
-            this.cameraViewProjectionMatrix = new THREE.Matrix4();
             
             // Mobile-optimized renderer settings
             this.renderer = new THREE.WebGLRenderer({ 
@@ -68,9 +133,8 @@ class MrBeanGame {
                 canvas: document.createElement('canvas')
             });
             
-            // Adjust renderer size and pixel ratio
-            const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
-            this.renderer.setPixelRatio(isMobile ? 1 : Math.min(window.devicePixelRatio, 2));
+            // Pixel ratio and shadows come from the quality preset, applied once the world is built
+            this.quality = new QualityManager();
             this.renderer.setSize(window.innerWidth, window.innerHeight, false);
             
             // Ensure the renderer is properly sized
@@ -79,28 +143,12 @@ class MrBeanGame {
             this.renderer.domElement.style.position = 'fixed';
             this.renderer.domElement.style.top = '0';
             this.renderer.domElement.style.left = '0';
-            
-            // Enable and optimize shadows
-            this.renderer.shadowMap.enabled = true;
-            this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-            
-            // Append renderer to container
-            gameContainer.appendChild(this.renderer.domElement);
 
-            // Initialize game state with improved movement values
-            if (isMobile) {
-                this.renderer.setPixelRatio(1); // Force 1:1 pixel ratio on mobile
-                this.renderer.setSize(window.innerWidth, window.innerHeight);
-            } else {
-                this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-                this.renderer.setSize(window.innerWidth, window.innerHeight);
-            }
+            // Renderer numbers are reset once per frame in render(), for the debug overlay
+            this.renderer.info.autoReset = false;
             
-            // Optimize shadows for mobile
-            this.renderer.shadowMap.enabled = true;
-            this.renderer.shadowMap.type = THREE.PCFShadowMap; // Use basic shadow mapping on mobile
+            // The shadow map is only redrawn when asked (shadowMap.needsUpdate), which keeps shadows cheap
             this.renderer.shadowMap.autoUpdate = false;
-            this.renderer.shadowMap.needsUpdate = true;
 
             // Get the container element
             const container = document.getElementById('game-container');
@@ -109,15 +157,35 @@ class MrBeanGame {
             }
             container.appendChild(this.renderer.domElement);
 
-            // Initialize game state with improved movement values
-            this.moveSpeed = 0.25;
-            this.turnSpeed = 0.045;
+            // Movement in units (and radians) per second
+            this.moveSpeed = 15;
+            this.turnSpeed = 2.7;
             this.playerVelocity = new THREE.Vector3();
+            // Collision box around Mr. Bean, centred on his position
+            this.playerSize = new THREE.Vector3(0.4, 1.8, 0.4);
+            // The same for everyone else in the street, and the step they're taking
+            this.npcSize = new THREE.Vector3(0.4, 1.8, 0.4);
+            this.npcStep = new THREE.Vector3();
             this.playerDirection = new THREE.Vector3();
 
             // Create textures
             this.createTextures();
 
+            // Input, audio and simulation all follow the current game state
+            this.gameState = new GameStateMachine();
+            this.input = new InputManager();
+            this.gamepad = new GamepadInput(this.input);
+            // On-screen joystick and buttons, only on touch screens
+            this.touchControls = TouchControls.isSupported() ? new TouchControls(this.input, this.renderer.domElement) : null;
+            if (this.touchControls) {
+                this.touchControls.addEventListener('orbit', event => {
+                    // OrbitControls already turns the free orbit camera from the same touches
+                    if (this.gameState.is('playing', 'dialog') && !this.usesOrbit()) {
+                        this.lookAround(-event.deltaX * this.orbitSensitivity, -event.deltaY * this.orbitSensitivity);
+                    }
+                });
+            }
+
             // Initialize audio-related properties first
             this.soundEffectsEnabled = false;
             this.soundEffects = {
@@ -125,14 +193,46 @@ class MrBeanGame {
                 doorOpen: null,
                 interact: null
             };
+            this.musicVolume = 0.2;
+            this.sfxVolume = 0.3;
+
+            // Doors are registered as houses are built so saves can refer to them by id
+            this.doors = [];
+            // World objects that quest steps can refer to by userData.questTarget
+            this.questTargets = [];
+            this.saveManager = new SaveManager();
+            this.inventory = new Inventory(ITEM_DATA);
+            this.economy = new Economy(SHOP_DATA, this.inventory);
+            // Odd jobs already paid for and the like, set by quest and dialogue effects
+            this.flags = new GameFlags();
+            // Main NPCs register themselves as they are created
+            this.affinity = new AffinitySystem(AFFINITY_DATA);
+            this.affinity.addEventListener('change', event => this.updateMoodIndicator(event.npc));
+            // Store counters register themselves here so the till can be used with E
+            this.shopCounters = [];
             
+            // Geometries, materials and gradient maps shared between everything built below
+            this.resources = new ResourceCache();
+
             // Initialize game components
             this.setupLights();
             this.createGround();
             this.createCity();
+            this.setupCollisions();
+            this.setupPickups();
             this.setupPlayer();
             this.setupNPCs();
+            this.setupVisibility();
+            this.setupInstancing();
+            this.setupOutlines();
+            // Count what the finished world uses, so removing props later frees only what nothing else needs
+            this.resources.retain(this.scene);
             this.setupInteraction();
+            this.setupTriggers();
+            this.setupWeather();
+            this.setupDayNight();
+            this.setupDebug();
+            this.setupQuality();
             this.setupAudio(); // Move audio setup after other components
 
             // Handle window resize
@@ -144,10 +244,15 @@ class MrBeanGame {
             // Initialize challenge system
             this.initializeChallenges();
 
-            // Start animation loop with optimized timing
-            this.lastTime = performance.now();
-            this.frameCount = 0;
-            this.animate();
+            // Fixed-step simulation, rendered with interpolation between steps
+            this.doorAnimations = [];
+            this.interpolator = new TransformInterpolator();
+            [this.player, this.camera, ...this.mainNPCs, ...this.npcs].forEach(object => this.interpolator.track(object));
+            this.gameLoop = new GameLoop({
+                update: dt => this.fixedUpdate(dt),
+                render: alpha => this.render(alpha)
+            });
+            this.gameLoop.start();
 
             // Hide loading screen when done
             if (document.getElementById('loading-screen')) {
@@ -157,6 +262,13 @@ class MrBeanGame {
             // Add camera mode tracking
             this.isFirstPerson = false;
             this.cameraOffset = this.thirdPersonCameraOffset.clone();
+            this.setupCameraControls();
+
+            // Pick up where the player left off
+            this.loadGame('autosave');
+
+            this.setupGameStates();
+            this.gameState.transition('title');
         } catch (error) {
             console.error('Error initializing game:', error);
             const container = document.getElementById('game-container');
@@ -167,47 +279,55 @@ class MrBeanGame {
     }
 
     initializeChallenges() {
-        this.challenges = [
-            {
-                id: 1,
-                title: "Find Teddy",
-                description: "Your beloved Teddy has gone missing! Mrs. Wicket might have seen it last.",
-                completed: false,
-                steps: [
-                    { text: "Talk to Mrs. Wicket about Teddy", completed: false },
-                    { text: "Search the park benches", completed: false },
-                    { text: "Check the department store", completed: false }
-                ],
-                reward: "You found Teddy! He's happy to be back with you."
+        // Quests are data-driven; validation needs the world to be built first
+        this.questEngine = new QuestEngine(QUEST_DATA, {
+            known: {
+                npcs: this.mainNPCs.map(npc => npc.userData.name),
+                areas: this.triggerSystem.getIds(),
+                targets: [...new Set(this.questTargets.map(target => target.userData.questTarget))],
+                items: Object.keys(ITEM_DATA),
+                sales: Object.keys(SHOP_DATA.sales)
             },
-            {
-                id: 2,
-                title: "Late for Appointment",
-                description: "You're late for your dentist appointment! But your car won't start...",
-                completed: false,
-                steps: [
-                    { text: "Check your broken car", completed: false },
-                    { text: "Find Rupert and ask for help", completed: false },
-                    { text: "Get to the city center clinic", completed: false }
-                ],
-                reward: "You made it to the dentist! Only 30 minutes late..."
+            inventory: this.inventory,
+            clock: this.dayNight,
+            onStepComplete: (quest, stepIndex) => this.onQuestStepComplete(quest, stepIndex)
+        });
+        this.challenges = this.questEngine.quests;
+
+        // Area steps complete on entering, or while standing inside when the step becomes current
+        const onArea = event => this.questEngine.handleEvent(this.activeChallenge, {
+            type: 'enterArea',
+            area: event.id
+        });
+        this.triggerSystem.addEventListener('enter', onArea);
+        this.triggerSystem.addEventListener('stay', onArea);
+
+        // Conversations can check and change quest, inventory and wallet state
+        this.dialogueSystem = new DialogueSystem(DIALOGUE_DATA, {
+            isQuestActive: id => !!this.activeChallenge && this.activeChallenge.id === id,
+            isQuestCompleted: id => this.challenges.some(c => c.id === id && c.completed),
+            hasItem: id => this.inventory.has(id),
+            getBalance: () => this.economy.balance,
+            isTimeBetween: (from, to) => this.dayNight.isBetween(from, to),
+            getWeather: () => this.weather.getState(),
+            hasFlag: flag => this.flags.has(flag),
+            getAffinityBand: speaker => {
+                const npc = this.affinity.findByName(speaker);
+                return npc ? this.affinity.getBandFor(npc).id : 'neutral';
             },
-            {
-                id: 3,
-                title: "Christmas Shopping",
-                description: "You need to buy a Christmas present for Irma, but you're on a budget!",
-                completed: false,
-                steps: [
-                    { text: "Talk to Irma about her interests", completed: false },
-                    { text: "Visit the department store for sales", completed: false },
-                    { text: "Find the perfect gift", completed: false }
-                ],
-                reward: "You found a lovely gift that Irma will surely appreciate!"
-            }
-        ];
+            applyEffect: effect => this.applyDialogueEffect(effect)
+        }, {
+            npcs: this.mainNPCs.map(npc => npc.userData.name),
+            items: Object.keys(ITEM_DATA),
+            quests: this.challenges.map(c => c.id),
+            sales: Object.keys(SHOP_DATA.sales),
+            weather: WEATHER_IDS
+        });
 
         this.activeChallenge = null;
         this.createChallengeUI();
+        this.createInventoryUI();
+        this.createShopUI();
     }
 
     createChallengeUI() {
@@ -291,6 +411,67 @@ class MrBeanGame {
         document.body.appendChild(display);
     }
 
+    createInventoryUI() {
+        // Inventory panel, styled like the challenge menu
+        const inventoryPanel = document.createElement('div');
+        inventoryPanel.style.position = 'fixed';
+        inventoryPanel.style.top = '60px';
+        inventoryPanel.style.right = '10px';
+        inventoryPanel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        inventoryPanel.style.padding = '15px';
+        inventoryPanel.style.borderRadius = '10px';
+        inventoryPanel.style.color = 'white';
+        inventoryPanel.style.fontFamily = 'Arial, sans-serif';
+        inventoryPanel.style.zIndex = '1000';
+        inventoryPanel.style.minWidth = '200px';
+        inventoryPanel.style.maxWidth = '300px';
+        inventoryPanel.style.display = 'none';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Mr. Bean\'s Pockets (I)';
+        title.style.margin = '0 0 10px 0';
+        title.style.color = '#4CAF50';
+        inventoryPanel.appendChild(title);
+
+        this.walletDisplay = document.createElement('div');
+        this.walletDisplay.style.marginBottom = '10px';
+        this.walletDisplay.style.fontWeight = 'bold';
+        inventoryPanel.appendChild(this.walletDisplay);
+
+        this.inventoryList = document.createElement('div');
+        inventoryPanel.appendChild(this.inventoryList);
+
+        document.body.appendChild(inventoryPanel);
+        this.inventoryPanel = inventoryPanel;
+
+        this.inventory.addEventListener('change', () => this.updateInventoryUI());
+        this.economy.addEventListener('balance', () => this.updateInventoryUI());
+        this.updateInventoryUI();
+    }
+
+    updateInventoryUI() {
+        this.walletDisplay.textContent = `👛 Wallet: ${Economy.formatPrice(this.economy.balance)}`;
+
+        const items = this.inventory.list();
+        if (items.length === 0) {
+            this.inventoryList.innerHTML = '<div style="font-size: 0.9em;">Nothing but fluff.</div>';
+            return;
+        }
+
+        this.inventoryList.innerHTML = items.map(item => `
+            <div style="display: flex; align-items: center; margin-bottom: 5px; padding: 5px; border-radius: 5px; background-color: ${item.flags.questItem ? 'rgba(76, 175, 80, 0.3)' : 'rgba(255, 255, 255, 0.1)'};">
+                <span style="font-size: 1.4em; margin-right: 10px;">${item.icon}</span>
+                <span style="flex: 1;">${item.name}</span>
+                ${item.quantity > 1 ? `<span>x${item.quantity}</span>` : ''}
+            </div>
+        `).join('');
+    }
+
+    toggleInventoryPanel() {
+        if (!this.inventoryPanel) return;
+        this.inventoryPanel.style.display = this.inventoryPanel.style.display === 'none' ? 'block' : 'none';
+    }
+
     startChallenge(challengeId) {
         const challenge = this.challenges.find(c => c.id === challengeId);
         if (challenge && !challenge.completed) {
@@ -352,24 +533,147 @@ class MrBeanGame {
 
             // Check if all steps are completed
             if (this.activeChallenge.steps.every(step => step.completed)) {
-                this.activeChallenge.completed = true;
-                this.showDialog({
-                    userData: {
-                        name: "Challenge Complete!",
-                        dialogs: ["Well done! You've completed the challenge!"]
-                    }
-                });
-                this.activeChallenge = null;
-                this.updateActiveChallengeDisplay();
+                this.completeChallenge();
+                return;
             }
 
             // Play interaction sound
             if (this.soundEffectsEnabled && this.soundEffects && this.soundEffects.interact) {
                 this.soundEffects.interact.play();
             }
+
+            this.autosave();
+        }
+    }
+
+    getSaveState() {
+        return {
+            challenges: this.challenges.map(challenge => ({
+                id: challenge.id,
+                completed: challenge.completed,
+                steps: challenge.steps.map(step => step.completed)
+            })),
+            activeChallengeId: this.activeChallenge ? this.activeChallenge.id : null,
+            player: {
+                position: this.player.position.toArray(),
+                rotationY: this.player.rotation.y
+            },
+            camera: {
+                isFirstPerson: this.isFirstPerson,
+                freeLook: this.freeLook
+            },
+            doors: this.doors.map(house => ({
+                id: house.doorData.id,
+                isOpen: house.doorData.isOpen
+            })),
+            audio: {
+                musicVolume: this.musicVolume,
+                sfxVolume: this.sfxVolume
+            },
+            inventory: this.inventory.toJSON(),
+            economy: this.economy.toJSON(),
+            affinity: this.affinity.toJSON(),
+            collectedPickups: this.pickups.filter(pickup => pickup.userData.collected).map(pickup => pickup.userData.pickupId),
+            time: this.dayNight.getHours(),
+            weather: this.weather.toJSON(),
+            flags: this.flags.toJSON()
+        };
+    }
+
+    applySaveState(state) {
+        // Challenge progress
+        (state.challenges || []).forEach(saved => {
+            const challenge = this.challenges.find(c => c.id === saved.id);
+            if (!challenge) return;
+            challenge.completed = !!saved.completed;
+            challenge.steps.forEach((step, index) => {
+                step.completed = !!saved.steps[index];
+            });
+        });
+        this.activeChallenge = this.challenges.find(c => c.id === state.activeChallengeId && !c.completed) || null;
+        this.updateChallengeMenu();
+        this.updateActiveChallengeDisplay();
+
+        // Player position and facing
+        if (state.player) {
+            this.player.position.fromArray(state.player.position);
+            this.player.rotation.y = state.player.rotationY;
+        }
+        // Indoors or out where the player now stands, without the greeting that walking in gets
+        this.triggerSystem.reset(this.player.position);
+        this.currentInterior = this.stores.find(store => this.triggerSystem.isInside(`interior-${store.type}`)) || null;
+        this.updateMusicVolume();
+
+        // Time of day and weather
+        if (typeof state.time === 'number') {
+            this.dayNight.setHours(state.time);
+        }
+        this.weather.fromJSON(state.weather);
+        this.updateWeather(0);
+        this.updateLighting();
+
+        // Camera mode
+        if (state.camera) {
+            this.setCameraMode(state.camera.isFirstPerson, state.camera.freeLook);
+        }
+
+        // Doors snap to their saved state without animating
+        (state.doors || []).forEach(saved => {
+            const house = this.doors.find(h => h.doorData.id === saved.id);
+            if (!house) return;
+            house.doorData.isOpen = !!saved.isOpen;
+            this.updateDoorCollider(house);
+            const door = house.getObjectByName('door');
+            if (door) {
+                this.doorAnimations = this.doorAnimations.filter(animation => animation.door !== door);
+                this.interpolator.untrack(door);
+                door.rotation.y = house.doorData.isOpen ? Math.PI / 2 : 0;
+            }
+        });
+
+        // Audio volumes
+        if (state.audio) {
+            this.setMusicVolume(state.audio.musicVolume);
+            this.setSfxVolume(state.audio.sfxVolume);
+        }
+
+        // Carried items, money and pickups already taken from the world
+        this.inventory.fromJSON(state.inventory);
+        this.economy.fromJSON(state.economy);
+        this.affinity.fromJSON(state.affinity);
+        this.flags.fromJSON(state.flags);
+        const collected = state.collectedPickups || [];
+        this.pickups.forEach(pickup => {
+            pickup.userData.collected = collected.includes(pickup.userData.pickupId);
+            pickup.visible = !pickup.userData.collected;
+        });
+    }
+
+    saveGame(slot) {
+        const saved = this.saveManager.save(slot, this.getSaveState());
+        if (this.saveMenuList) {
+            this.updateSaveMenu();
+        }
+        return saved;
+    }
+
+    loadGame(slot) {
+        const state = this.saveManager.load(slot);
+        if (!state) return false;
+
+        try {
+            this.applySaveState(state);
+            return true;
+        } catch (error) {
+            console.warn(`Could not apply save slot "${slot}":`, error);
+            return false;
         }
     }
 
+    autosave() {
+        this.saveGame('autosave');
+    }
+
     createTextures() {
         // Create a brick texture procedurally
         const canvas = document.createElement('canvas');
@@ -410,13 +714,12 @@ class MrBeanGame {
         // Ambient light for general illumination
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.4);
         this.scene.add(ambientLight);
+        this.ambientLight = ambientLight;
 
         // Main sun light with optimized shadows
         const sunLight = new THREE.DirectionalLight(0xffffff, 1);
         sunLight.position.set(50, 100, 50);
-        sunLight.castShadow = true;
-        sunLight.shadow.mapSize.width = 1024; // Reduced from 2048
-        sunLight.shadow.mapSize.height = 1024; // Reduced from 2048
+        // Whether it casts shadows, and how detailed they are, is up to the quality preset
         sunLight.shadow.camera.near = 0.5;
         sunLight.shadow.camera.far = 500;
         sunLight.shadow.camera.left = -100;
@@ -424,6 +727,7 @@ class MrBeanGame {
         sunLight.shadow.camera.top = 100;
         sunLight.shadow.camera.bottom = -100;
         this.scene.add(sunLight);
+        this.sunLight = sunLight;
 
         // Optimize fill lights
         const fillLight1 = new THREE.DirectionalLight(0x9999ff, 0.2);
@@ -433,6 +737,7 @@ class MrBeanGame {
         const fillLight2 = new THREE.DirectionalLight(0xff9999, 0.2);
         fillLight2.position.set(50, 20, 50);
         this.scene.add(fillLight2);
+        this.fillLights = [fillLight1, fillLight2];
     }
 
     createGround() {
@@ -445,51 +750,60 @@ class MrBeanGame {
         this.createSidewalks(groundGroup);
         
         // Create grass ground instead of blue
-        const groundGeometry = new THREE.PlaneGeometry(200, 200);
-        const groundMaterial = new THREE.MeshStandardMaterial({ 
+        const groundGeometry = this.resources.geometry('Plane', [200, 200]);
+        const groundMaterial = this.resources.material('MeshStandard', { 
             color: 0x3b7d3b,  // Darker grass green
             roughness: 0.8
         });
         const ground = new THREE.Mesh(groundGeometry, groundMaterial);
+        this.groundMaterial = groundMaterial;
         ground.rotation.x = -Math.PI / 2;
         ground.position.y = 0;
+        ground.isGround = true;
         groundGroup.add(ground);
 
-        // Add some grass texture variation
-        for (let i = 0; i < 1000; i++) {
-            const grassPatch = new THREE.Mesh(
-                new THREE.PlaneGeometry(0.3, 0.3),
-                new THREE.MeshStandardMaterial({ color: 0x4a9e4a })
-            );
+        // Add some grass texture variation; the patches are instanced, each a slightly different shade.
+        // As many are made as the highest quality preset shows, and lower presets hide some.
+        const grassGeometry = this.resources.geometry('Plane', [0.3, 0.3]);
+        const grassMaterial = this.resources.material('MeshStandard', { color: 0x4a9e4a });
+        this.grassPatches = [];
+        for (let i = 0; i < QualityManager.getMaximum('grassPatches'); i++) {
+            const grassPatch = new THREE.Mesh(grassGeometry, grassMaterial);
             grassPatch.rotation.x = -Math.PI / 2;
             grassPatch.position.set(
                 (Math.random() - 0.5) * 190,
                 0.01,
                 (Math.random() - 0.5) * 190
             );
+            const shade = 0.85 + Math.random() * 0.3;
+            grassPatch.userData.instanced = true;
+            grassPatch.userData.instanceColor = new THREE.Color(shade, shade, shade);
             groundGroup.add(grassPatch);
+            this.grassPatches.push(grassPatch);
         }
         
+        groundGroup.isGround = true;
         this.scene.add(groundGroup);
     }
 
     createRoads(groundGroup) {
         // Main road material
-        const roadMaterial = new THREE.MeshStandardMaterial({ 
+        const roadMaterial = this.resources.material('MeshStandard', { 
             color: 0x333333,
             roughness: 0.8,
             metalness: 0.1
         });
 
         // Create main roads
-        const mainRoadGeometry = new THREE.PlaneGeometry(200, 10);
-        const crossRoadGeometry = new THREE.PlaneGeometry(10, 200);
+        const mainRoadGeometry = this.resources.geometry('Plane', [200, 10]);
+        const crossRoadGeometry = this.resources.geometry('Plane', [10, 200]);
 
         // Horizontal roads
         [-30, 0, 30].forEach(z => {
             const road = new THREE.Mesh(mainRoadGeometry, roadMaterial);
             road.rotation.x = -Math.PI / 2;
             road.position.set(0, 0.01, z);
+            road.userData.instanced = true;
             groundGroup.add(road);
         });
 
@@ -498,21 +812,57 @@ class MrBeanGame {
             const road = new THREE.Mesh(crossRoadGeometry, roadMaterial);
             road.rotation.x = -Math.PI / 2;
             road.position.set(x, 0.01, 0);
+            road.userData.instanced = true;
             groundGroup.add(road);
         });
 
+        this.roadMaterial = roadMaterial;
+
         // Add road markings
         this.createRoadMarkings(groundGroup);
+        this.createPuddles(groundGroup);
+    }
+
+    // Puddles on the roads, hidden until the rain fills them (see updateWeather)
+    createPuddles(groundGroup) {
+        const puddleGeometry = this.resources.geometry('Circle', [1, 16]);
+        const puddleMaterial = this.resources.material('MeshStandard', {
+            color: 0x2B3540,
+            roughness: 0.05,
+            metalness: 0.3,
+            transparent: true,
+            opacity: 0
+        });
+
+        this.puddles = [];
+        for (let i = 0; i < 24; i++) {
+            const puddle = new THREE.Mesh(puddleGeometry, puddleMaterial);
+            puddle.rotation.x = -Math.PI / 2;
+            // Somewhere along one of the six roads, clear of the edges
+            const road = [-30, 0, 30][Math.floor(Math.random() * 3)];
+            const along = (Math.random() - 0.5) * 180;
+            const across = road + (Math.random() - 0.5) * 7;
+            if (Math.random() < 0.5) {
+                puddle.position.set(along, 0.03, across);
+            } else {
+                puddle.position.set(across, 0.03, along);
+            }
+            puddle.userData.size = 0.6 + Math.random();
+            puddle.userData.outlineStyle = 'none';
+            puddle.visible = false;
+            groundGroup.add(puddle);
+            this.puddles.push(puddle);
+        }
     }
 
     createRoadMarkings(groundGroup) {
-        const markingMaterial = new THREE.MeshStandardMaterial({ 
+        const markingMaterial = this.resources.material('MeshStandard', { 
             color: 0xFFFFFF,
             roughness: 0.5
         });
 
         // Create dashed lines for road center
-        const dashGeometry = new THREE.PlaneGeometry(1, 0.2);
+        const dashGeometry = this.resources.geometry('Plane', [1, 0.2]);
         
         // Add dashed lines to horizontal roads
         [-30, 0, 30].forEach(z => {
@@ -520,6 +870,7 @@ class MrBeanGame {
                 const dash = new THREE.Mesh(dashGeometry, markingMaterial);
                 dash.rotation.x = -Math.PI / 2;
                 dash.position.set(x, 0.02, z);
+                dash.userData.instanced = true;
                 groundGroup.add(dash);
             }
         });
@@ -531,21 +882,23 @@ class MrBeanGame {
                 dash.rotation.x = -Math.PI / 2;
                 dash.rotation.y = Math.PI / 2;
                 dash.position.set(x, 0.02, z);
+                dash.userData.instanced = true;
                 groundGroup.add(dash);
             }
         });
     }
 
     createSidewalks(groundGroup) {
-        const sidewalkMaterial = new THREE.MeshStandardMaterial({
+        const sidewalkMaterial = this.resources.material('MeshStandard', {
             color: 0x999999,
             roughness: 0.8
         });
+        this.sidewalkMaterial = sidewalkMaterial;
 
         // Create sidewalks along roads
         [-35, -25, 25, 35].forEach(z => {
             const sidewalk = new THREE.Mesh(
-                new THREE.PlaneGeometry(200, 4),
+                this.resources.geometry('Plane', [200, 4]),
                 sidewalkMaterial
             );
             sidewalk.rotation.x = -Math.PI / 2;
@@ -555,7 +908,7 @@ class MrBeanGame {
 
         [-35, -25, 25, 35].forEach(x => {
             const sidewalk = new THREE.Mesh(
-                new THREE.PlaneGeometry(4, 200),
+                this.resources.geometry('Plane', [4, 200]),
                 sidewalkMaterial
             );
             sidewalk.rotation.x = -Math.PI / 2;
@@ -587,8 +940,10 @@ class MrBeanGame {
 
         // Add Mr. Bean's car (Mini)
         const beansCar = this.createCar();
-        beansCar.position.set(-38, 0, -28);
+        beansCar.position.set(-34, 0, -23);
         beansCar.rotation.y = Math.PI / 2;
+        beansCar.userData.questTarget = 'beanCar';
+        this.questTargets.push(beansCar);
         this.scene.add(beansCar);
 
         // Add more decorative elements
@@ -615,9 +970,14 @@ class MrBeanGame {
         });
     }
 
+    // As many clouds and birds as the highest quality preset shows; lower presets hide some.
+    // Cloudy weather can double the clouds, so there are twice as many of those.
     addCartoonDetails() {
+        this.clouds = [];
+        this.birds = [];
+
         // Add cartoon clouds
-        for (let i = 0; i < 10; i++) {
+        for (let i = 0; i < QualityManager.getMaximum('clouds') * 2; i++) {
             const cloud = this.createCartoonCloud();
             cloud.position.set(
                 (Math.random() - 0.5) * 200,
@@ -625,10 +985,11 @@ class MrBeanGame {
                 (Math.random() - 0.5) * 200
             );
             this.scene.add(cloud);
+            this.clouds.push(cloud);
         }
 
         // Add cartoon birds
-        for (let i = 0; i < 5; i++) {
+        for (let i = 0; i < QualityManager.getMaximum('birds'); i++) {
             const bird = this.createCartoonBird();
             bird.position.set(
                 (Math.random() - 0.5) * 100,
@@ -636,22 +997,25 @@ class MrBeanGame {
                 (Math.random() - 0.5) * 100
             );
             this.scene.add(bird);
+            this.birds.push(bird);
         }
     }
 
     createCartoonCloud() {
         const cloudGroup = new THREE.Group();
         
-        // Create multiple spheres for a fluffy cloud
-        const cloudMaterial = new THREE.MeshToonMaterial({ 
+        // Create multiple spheres for a fluffy cloud. The weather greys the clouds,
+        // so they have a copy of the white they share with the window frames.
+        const cloudMaterial = this.resources.variant(this.resources.material('MeshToon', { 
             color: 0xFFFFFF,
             gradientMap: this.createToonGradient()
-        });
+        }), 'clouds', () => {});
+        this.cloudMaterial = cloudMaterial;
 
         for (let i = 0; i < 5; i++) {
             const size = 2 + Math.random() * 2;
             const cloudPart = new THREE.Mesh(
-                new THREE.SphereGeometry(size, 8, 8),
+                this.resources.geometry('Sphere', [size, 8, 8]),
                 cloudMaterial
             );
             cloudPart.position.set(
@@ -669,8 +1033,8 @@ class MrBeanGame {
         const birdGroup = new THREE.Group();
         
         // Bird body
-        const bodyGeometry = new THREE.SphereGeometry(0.5, 8, 8);
-        const bodyMaterial = new THREE.MeshToonMaterial({ 
+        const bodyGeometry = this.resources.geometry('Sphere', [0.5, 8, 8]);
+        const bodyMaterial = this.resources.material('MeshToon', { 
             color: 0x000000,
             gradientMap: this.createToonGradient()
         });
@@ -678,8 +1042,8 @@ class MrBeanGame {
         birdGroup.add(body);
 
         // Bird wings
-        const wingGeometry = new THREE.BoxGeometry(1, 0.1, 0.5);
-        const wingMaterial = new THREE.MeshToonMaterial({ 
+        const wingGeometry = this.resources.geometry('Box', [1, 0.1, 0.5]);
+        const wingMaterial = this.resources.material('MeshToon', { 
             color: 0x000000,
             gradientMap: this.createToonGradient()
         });
@@ -694,8 +1058,8 @@ class MrBeanGame {
         birdGroup.add(rightWing);
 
         // Bird beak
-        const beakGeometry = new THREE.ConeGeometry(0.2, 0.4, 8);
-        const beakMaterial = new THREE.MeshToonMaterial({ 
+        const beakGeometry = this.resources.geometry('Cone', [0.2, 0.4, 8]);
+        const beakMaterial = this.resources.material('MeshToon', { 
             color: 0xFFA500,
             gradientMap: this.createToonGradient()
         });
@@ -746,8 +1110,8 @@ class MrBeanGame {
         const houseGroup = new THREE.Group();
         
         // Main building structure with more cartoon-like appearance
-        const buildingGeometry = new THREE.BoxGeometry(6, 8, 6);
-        const brickMaterial = new THREE.MeshToonMaterial({ 
+        const buildingGeometry = this.resources.geometry('Box', [6, 8, 6]);
+        const brickMaterial = this.resources.material('MeshToon', { 
             color: isBeanHouse ? 0xE8BEAC : 0xD4A59A,
             gradientMap: this.createToonGradient(),
             bumpMap: this.brickTexture,
@@ -760,11 +1124,8 @@ class MrBeanGame {
         building.receiveShadow = true;
         houseGroup.add(building);
 
-        // Add collision box for the house
-        houseGroup.collider = new THREE.Box3(
-            new THREE.Vector3(-3, 0, -3),
-            new THREE.Vector3(3, 8, 3)
-        );
+        // Collision shape for the house
+        houseGroup.userData.collision = { type: 'box', min: [-3, 0, -3], max: [3, 8, 3] };
 
         // Add door with more cartoon-like appearance
         const doorGroup = this.createBritishDoor(isBeanHouse);
@@ -773,11 +1134,13 @@ class MrBeanGame {
 
         // Add door interaction data
         houseGroup.doorData = {
+            id: `house-${this.doors.length}`,
             position: new THREE.Vector3(0, 0, 3),
             isOpen: false,
             canInteract: true,
             type: isBeanHouse ? "Mr. Bean's House" : "House"
         };
+        this.doors.push(houseGroup);
 
         // Add more cartoon-like window frames
         const windowFrames = this.createWindowFrames();
@@ -785,8 +1148,8 @@ class MrBeanGame {
         houseGroup.add(windowFrames);
 
         // Add roof with more cartoon-like appearance
-        const roofGeometry = new THREE.ConeGeometry(4.5, 3, 4);
-        const roofMaterial = new THREE.MeshToonMaterial({ 
+        const roofGeometry = this.resources.geometry('Cone', [4.5, 3, 4]);
+        const roofMaterial = this.resources.material('MeshToon', { 
             color: 0x8B4513,
             gradientMap: this.createToonGradient()
         });
@@ -797,7 +1160,7 @@ class MrBeanGame {
         houseGroup.add(roof);
 
         // Add chimney with more cartoon-like appearance
-        const chimneyGeometry = new THREE.BoxGeometry(0.8, 2, 0.8);
+        const chimneyGeometry = this.resources.geometry('Box', [0.8, 2, 0.8]);
         const chimney = new THREE.Mesh(chimneyGeometry, brickMaterial);
         chimney.position.set(2, 8.5, 0);
         chimney.castShadow = true;
@@ -816,39 +1179,44 @@ class MrBeanGame {
             houseGroup.add(cat);
         }
 
+        // From a distance only the walls and roof are drawn
+        houseGroup.userData.lod = {
+            distance: 40,
+            high: houseGroup.children.filter(child => child !== building && child !== roof),
+            low: []
+        };
+
         // Mark as building for visibility handling
         houseGroup.isBuilding = true;
         
         return houseGroup;
     }
 
+    // Every toon material shares one cached gradient map
     createToonGradient() {
-        const gradientMap = new THREE.DataTexture(new Uint8Array([0, 128, 255]), 3, 1, THREE.LuminanceFormat);
-        gradientMap.minFilter = THREE.NearestFilter;
-        gradientMap.magFilter = THREE.NearestFilter;
-        gradientMap.generateMipmaps = false;
-        return gradientMap;
+        return this.resources.gradientMap([0, 128, 255]);
     }
 
     createWindowFrames() {
         const frameGroup = new THREE.Group();
-        
-        // Window frame with toon material
-        const frameGeometry = new THREE.BoxGeometry(2, 2, 0.2);
-        const frameMaterial = new THREE.MeshToonMaterial({ 
+        const frameGeometry = this.resources.geometry('Box', [2, 2, 0.2]);
+        const frameMaterial = this.resources.material('MeshToon', { 
             color: 0xFFFFFF,
             gradientMap: this.createToonGradient()
         });
-        const frame = new THREE.Mesh(frameGeometry, frameMaterial);
-        frameGroup.add(frame);
-
-        // Window panes with cartoon glass effect
-        const paneGeometry = new THREE.BoxGeometry(0.9, 0.9, 0.05);
-        const paneMaterial = new THREE.MeshToonMaterial({
+        const paneGeometry = this.resources.geometry('Box', [0.9, 0.9, 0.05]);
+        const paneMaterial = this.resources.material('MeshToon', {
             color: 0x88CCFF,
             transparent: true,
             opacity: 0.6
         });
+        
+        // Window frame with toon material
+        const frame = new THREE.Mesh(frameGeometry, frameMaterial);
+        frame.userData.instanced = true;
+        frameGroup.add(frame);
+
+        // Window panes with cartoon glass effect
 
         // Create four window panes
         const panePositions = [
@@ -859,6 +1227,7 @@ class MrBeanGame {
         panePositions.forEach(([x, y]) => {
             const pane = new THREE.Mesh(paneGeometry, paneMaterial);
             pane.position.set(x, y, 0);
+            pane.userData.instanced = true;
             frameGroup.add(pane);
         });
 
@@ -869,8 +1238,8 @@ class MrBeanGame {
         const boxGroup = new THREE.Group();
 
         // Box container
-        const boxGeometry = new THREE.BoxGeometry(1.8, 0.3, 0.4);
-        const boxMaterial = new THREE.MeshToonMaterial({ 
+        const boxGeometry = this.resources.geometry('Box', [1.8, 0.3, 0.4]);
+        const boxMaterial = this.resources.material('MeshToon', { 
             color: 0x8B4513,
             gradientMap: this.createToonGradient()
         });
@@ -880,8 +1249,8 @@ class MrBeanGame {
         // Add flowers
         const flowerColors = [0xFF69B4, 0xFF0000, 0xFFFF00];
         for (let i = 0; i < 6; i++) {
-            const flowerGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-            const flowerMaterial = new THREE.MeshToonMaterial({ 
+            const flowerGeometry = this.resources.geometry('Sphere', [0.1, 8, 8]);
+            const flowerMaterial = this.resources.material('MeshToon', { 
                 color: flowerColors[i % 3],
                 gradientMap: this.createToonGradient()
             });
@@ -901,8 +1270,8 @@ class MrBeanGame {
         const doorGroup = new THREE.Group();
         
         // Main door
-        const doorGeometry = new THREE.BoxGeometry(1.2, 2.2, 0.1);
-        const doorMaterial = new THREE.MeshStandardMaterial({ 
+        const doorGeometry = this.resources.geometry('Box', [1.2, 2.2, 0.1]);
+        const doorMaterial = this.resources.material('MeshStandard', { 
             color: isBeanHouse ? 0x8B4513 : 0x4A4A4A 
         });
         const door = new THREE.Mesh(doorGeometry, doorMaterial);
@@ -910,8 +1279,8 @@ class MrBeanGame {
         doorGroup.add(door);
         
         // Door frame
-        const frameGeometry = new THREE.BoxGeometry(1.4, 2.3, 0.2);
-        const frameMaterial = new THREE.MeshStandardMaterial({ 
+        const frameGeometry = this.resources.geometry('Box', [1.4, 2.3, 0.2]);
+        const frameMaterial = this.resources.material('MeshStandard', { 
             color: 0xA0522D 
         });
         const frame = new THREE.Mesh(frameGeometry, frameMaterial);
@@ -919,15 +1288,15 @@ class MrBeanGame {
         doorGroup.add(frame);
         
         // Door knocker
-        const knockerGeometry = new THREE.TorusGeometry(0.1, 0.02, 8, 16);
-        const knockerMaterial = new THREE.MeshStandardMaterial({ color: 0xB87333 });
+        const knockerGeometry = this.resources.geometry('Torus', [0.1, 0.02, 8, 16]);
+        const knockerMaterial = this.resources.material('MeshStandard', { color: 0xB87333 });
         const knocker = new THREE.Mesh(knockerGeometry, knockerMaterial);
         knocker.position.set(0, 0.3, 0.06);
         doorGroup.add(knocker);
 
         // Door handle
-        const handleGeometry = new THREE.BoxGeometry(0.1, 0.03, 0.05);
-        const handleMaterial = new THREE.MeshStandardMaterial({ color: 0xB87333 });
+        const handleGeometry = this.resources.geometry('Box', [0.1, 0.03, 0.05]);
+        const handleMaterial = this.resources.material('MeshStandard', { color: 0xB87333 });
         const handle = new THREE.Mesh(handleGeometry, handleMaterial);
         handle.position.set(0.4, 0, 0.06);
         doorGroup.add(handle);
@@ -939,8 +1308,8 @@ class MrBeanGame {
         const storeGroup = new THREE.Group();
         
         // Main building - Havlotts Department Store (10 stories)
-        const buildingGeometry = new THREE.BoxGeometry(20, 40, 15);
-        const buildingMaterial = new THREE.MeshStandardMaterial({ 
+        const buildingGeometry = this.resources.geometry('Box', [20, 40, 15]);
+        const buildingMaterial = this.resources.material('MeshStandard', { 
             color: 0xE5E5E5,
             roughness: 0.7
         });
@@ -949,8 +1318,8 @@ class MrBeanGame {
         storeGroup.add(building);
 
         // Large display windows on ground floor
-        const windowGeometry = new THREE.BoxGeometry(18, 4, 0.1);
-        const windowMaterial = new THREE.MeshStandardMaterial({
+        const windowGeometry = this.resources.geometry('Box', [18, 4, 0.1]);
+        const windowMaterial = this.resources.material('MeshStandard', {
             color: 0x88CCFF,
             transparent: true,
             opacity: 0.5
@@ -960,8 +1329,8 @@ class MrBeanGame {
         storeGroup.add(displayWindow);
 
         // Store name
-        const signGeometry = new THREE.BoxGeometry(15, 2, 0.5);
-        const signMaterial = new THREE.MeshStandardMaterial({ color: 0x4A4A4A });
+        const signGeometry = this.resources.geometry('Box', [15, 2, 0.5]);
+        const signMaterial = this.resources.material('MeshStandard', { color: 0x4A4A4A });
         const sign = new THREE.Mesh(signGeometry, signMaterial);
         sign.position.set(0, 35, 7.6);
         storeGroup.add(sign);
@@ -976,6 +1345,8 @@ class MrBeanGame {
             }
         }
 
+        storeGroup.userData.collision = { type: 'box', min: [-10, 0, -7.5], max: [10, 40, 7.5] };
+
         // Mark as building for visibility handling
         storeGroup.isBuilding = true;
         storeGroup.isDepartmentStore = true;
@@ -994,8 +1365,8 @@ class MrBeanGame {
             const shop = new THREE.Group();
             
             // Shop building with more cartoon-like appearance
-            const buildingGeometry = new THREE.BoxGeometry(6, 6, 8);
-            const buildingMaterial = new THREE.MeshToonMaterial({ 
+            const buildingGeometry = this.resources.geometry('Box', [6, 6, 8]);
+            const buildingMaterial = this.resources.material('MeshToon', { 
                 color: shopColors[i],
                 gradientMap: this.createToonGradient(),
                 roughness: 0.9
@@ -1005,8 +1376,8 @@ class MrBeanGame {
             shop.add(building);
             
             // Shop window with more cartoon-like appearance
-            const windowGeometry = new THREE.BoxGeometry(4, 3, 0.1);
-            const windowMaterial = new THREE.MeshToonMaterial({
+            const windowGeometry = this.resources.geometry('Box', [4, 3, 0.1]);
+            const windowMaterial = this.resources.material('MeshToon', {
                 color: 0x88CCFF,
                 gradientMap: this.createToonGradient(),
                 transparent: true,
@@ -1017,8 +1388,8 @@ class MrBeanGame {
             shop.add(shopWindow);
             
             // Shop door with more cartoon-like appearance
-            const doorGeometry = new THREE.BoxGeometry(1.2, 2.5, 0.1);
-            const doorMaterial = new THREE.MeshToonMaterial({ 
+            const doorGeometry = this.resources.geometry('Box', [1.2, 2.5, 0.1]);
+            const doorMaterial = this.resources.material('MeshToon', { 
                 color: 0x4A4A4A,
                 gradientMap: this.createToonGradient()
             });
@@ -1027,8 +1398,8 @@ class MrBeanGame {
             shop.add(door);
 
             // Add shop sign with cartoon style
-            const signGeometry = new THREE.BoxGeometry(5, 0.8, 0.2);
-            const signMaterial = new THREE.MeshToonMaterial({ 
+            const signGeometry = this.resources.geometry('Box', [5, 0.8, 0.2]);
+            const signMaterial = this.resources.material('MeshToon', { 
                 color: 0x4A4A4A,
                 gradientMap: this.createToonGradient()
             });
@@ -1050,8 +1421,8 @@ class MrBeanGame {
         const parkGroup = new THREE.Group();
         
         // Create larger grass area with more cartoon-like appearance
-        const grassGeometry = new THREE.PlaneGeometry(40, 40);
-        const grassMaterial = new THREE.MeshToonMaterial({ 
+        const grassGeometry = this.resources.geometry('Plane', [40, 40]);
+        const grassMaterial = this.resources.material('MeshToon', { 
             color: 0x228B22,
             gradientMap: this.createToonGradient(),
             roughness: 0.8
@@ -1065,7 +1436,7 @@ class MrBeanGame {
         const benchPositions = [
             [-15, 0, -15], [15, 0, -15],
             [-15, 0, 15], [15, 0, 15],
-            [0, 0, 0], [-15, 0, 0],
+            [-15, 0, 0],
             [15, 0, 0], [0, 0, -15],
             [0, 0, 15]
         ];
@@ -1073,11 +1444,9 @@ class MrBeanGame {
         benchPositions.forEach(pos => {
             const bench = this.createBench();
             bench.position.set(...pos);
-            // Add collision to bench
-            bench.collider = new THREE.Box3(
-                new THREE.Vector3(-1, 0, -0.3).add(new THREE.Vector3(...pos)),
-                new THREE.Vector3(1, 0.8, 0.3).add(new THREE.Vector3(...pos))
-            );
+            bench.isBench = true;
+            bench.userData.questTarget = 'parkBench';
+            this.questTargets.push(bench);
             parkGroup.add(bench);
         });
         
@@ -1090,8 +1459,6 @@ class MrBeanGame {
                 (Math.random() - 0.5) * 35
             );
             tree.position.copy(position);
-            // Update tree's collider position
-            tree.collider.translate(position);
             parkGroup.add(tree);
         }
 
@@ -1124,8 +1491,8 @@ class MrBeanGame {
         const fountainGroup = new THREE.Group();
         
         // Fountain base
-        const baseGeometry = new THREE.CylinderGeometry(2, 2.5, 0.5, 16);
-        const baseMaterial = new THREE.MeshToonMaterial({ 
+        const baseGeometry = this.resources.geometry('Cylinder', [2, 2.5, 0.5, 16]);
+        const baseMaterial = this.resources.material('MeshToon', { 
             color: 0xCCCCCC,
             gradientMap: this.createToonGradient()
         });
@@ -1133,8 +1500,8 @@ class MrBeanGame {
         fountainGroup.add(base);
 
         // Fountain center
-        const centerGeometry = new THREE.CylinderGeometry(1, 1.5, 1, 16);
-        const centerMaterial = new THREE.MeshToonMaterial({ 
+        const centerGeometry = this.resources.geometry('Cylinder', [1, 1.5, 1, 16]);
+        const centerMaterial = this.resources.material('MeshToon', { 
             color: 0xDDDDDD,
             gradientMap: this.createToonGradient()
         });
@@ -1143,8 +1510,8 @@ class MrBeanGame {
         fountainGroup.add(center);
 
         // Water effect
-        const waterGeometry = new THREE.CylinderGeometry(0.5, 0.8, 0.2, 16);
-        const waterMaterial = new THREE.MeshToonMaterial({ 
+        const waterGeometry = this.resources.geometry('Cylinder', [0.5, 0.8, 0.2, 16]);
+        const waterMaterial = this.resources.material('MeshToon', { 
             color: 0x88CCFF,
             gradientMap: this.createToonGradient(),
             transparent: true,
@@ -1154,6 +1521,8 @@ class MrBeanGame {
         water.position.y = 1.5;
         fountainGroup.add(water);
 
+        fountainGroup.userData.collision = { type: 'cylinder', radius: 2.5, height: 1.6 };
+
         return fountainGroup;
     }
 
@@ -1161,8 +1530,8 @@ class MrBeanGame {
         const flowerBedGroup = new THREE.Group();
         
         // Flower bed base
-        const baseGeometry = new THREE.CylinderGeometry(1, 1, 0.2, 16);
-        const baseMaterial = new THREE.MeshToonMaterial({ 
+        const baseGeometry = this.resources.geometry('Cylinder', [1, 1, 0.2, 16]);
+        const baseMaterial = this.resources.material('MeshToon', { 
             color: 0x8B4513,
             gradientMap: this.createToonGradient()
         });
@@ -1188,8 +1557,8 @@ class MrBeanGame {
         const flowerGroup = new THREE.Group();
         
         // Flower center
-        const centerGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-        const centerMaterial = new THREE.MeshToonMaterial({ 
+        const centerGeometry = this.resources.geometry('Sphere', [0.1, 8, 8]);
+        const centerMaterial = this.resources.material('MeshToon', { 
             color: 0xFFFF00,
             gradientMap: this.createToonGradient()
         });
@@ -1197,8 +1566,8 @@ class MrBeanGame {
         flowerGroup.add(center);
 
         // Flower petals
-        const petalGeometry = new THREE.ConeGeometry(0.1, 0.2, 8);
-        const petalMaterial = new THREE.MeshToonMaterial({ 
+        const petalGeometry = this.resources.geometry('Cone', [0.1, 0.2, 8]);
+        const petalMaterial = this.resources.material('MeshToon', { 
             color: 0xFF69B4,
             gradientMap: this.createToonGradient()
         });
@@ -1216,56 +1585,68 @@ class MrBeanGame {
 
     createBench() {
         const benchGroup = new THREE.Group();
+        const seatGeometry = this.resources.geometry('Box', [2, 0.1, 0.6]);
+        const backGeometry = this.resources.geometry('Box', [2, 0.6, 0.1]);
+        const legGeometry = this.resources.geometry('Box', [0.1, 0.4, 0.6]);
+        const woodMaterial = this.resources.material('MeshStandard', { color: 0x8B4513 });
+        const metalMaterial = this.resources.material('MeshStandard', { color: 0x4A4A4A });
         
         // Bench seat
-        const seatGeometry = new THREE.BoxGeometry(2, 0.1, 0.6);
-        const woodMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
         const seat = new THREE.Mesh(seatGeometry, woodMaterial);
         seat.position.y = 0.4;
         benchGroup.add(seat);
         
         // Bench back
-        const backGeometry = new THREE.BoxGeometry(2, 0.6, 0.1);
         const back = new THREE.Mesh(backGeometry, woodMaterial);
         back.position.set(0, 0.7, -0.25);
         benchGroup.add(back);
         
         // Bench legs
-        const legGeometry = new THREE.BoxGeometry(0.1, 0.4, 0.6);
-        const metalMaterial = new THREE.MeshStandardMaterial({ color: 0x4A4A4A });
-        
         [-0.8, 0.8].forEach(x => {
             const leg = new THREE.Mesh(legGeometry, metalMaterial);
             leg.position.set(x, 0.2, 0);
             benchGroup.add(leg);
         });
+        benchGroup.children.forEach(part => { part.userData.instanced = true; });
+
+        benchGroup.userData.collision = { type: 'box', min: [-1, 0, -0.3], max: [1, 0.8, 0.3] };
         
         return benchGroup;
     }
 
     createTree() {
         const treeGroup = new THREE.Group();
+        const parts = {
+            trunkGeometry: this.resources.geometry('Cylinder', [0.3, 0.4, 3, 8]),
+            leavesGeometry: this.resources.geometry('Sphere', [2.5, 8, 8]),
+            farTrunkGeometry: this.resources.geometry('Cylinder', [0.3, 0.4, 3, 4]),
+            farLeavesGeometry: this.resources.geometry('Icosahedron', [2.5, 0]),
+            trunkMaterial: this.resources.material('MeshStandard', { color: 0x8B4513 }),
+            leavesMaterial: this.resources.material('MeshStandard', { color: 0x228B22 })
+        };
         
         // Tree trunk - made bigger
-        const trunkGeometry = new THREE.CylinderGeometry(0.3, 0.4, 3, 8);
-        const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
-        const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
+        const trunk = new THREE.Mesh(parts.trunkGeometry, parts.trunkMaterial);
         trunk.position.y = 1.5;
         treeGroup.add(trunk);
         
         // Tree leaves - made bigger
-        const leavesGeometry = new THREE.SphereGeometry(2.5, 8, 8);
-        const leavesMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 });
-        const leaves = new THREE.Mesh(leavesGeometry, leavesMaterial);
+        const leaves = new THREE.Mesh(parts.leavesGeometry, parts.leavesMaterial);
         leaves.position.y = 4;
         treeGroup.add(leaves);
 
-        // Add collision box
-        const collider = new THREE.Box3(
-            new THREE.Vector3(-0.4, 0, -0.4),
-            new THREE.Vector3(0.4, 3, 0.4)
-        );
-        treeGroup.collider = collider;
+        // Far away trees swap to a few flat faces
+        const farTrunk = new THREE.Mesh(parts.farTrunkGeometry, parts.trunkMaterial);
+        farTrunk.position.y = 1.5;
+        treeGroup.add(farTrunk);
+        const farLeaves = new THREE.Mesh(parts.farLeavesGeometry, parts.leavesMaterial);
+        farLeaves.position.y = 4;
+        treeGroup.add(farLeaves);
+        treeGroup.userData.lod = { distance: 35, high: [trunk, leaves], low: [farTrunk, farLeaves] };
+        treeGroup.children.forEach(part => { part.userData.instanced = true; });
+
+        // Only the trunk blocks; the leaves are overhead
+        treeGroup.userData.collision = { type: 'cylinder', radius: 0.4, height: 3 };
         
         return treeGroup;
     }
@@ -1274,8 +1655,8 @@ class MrBeanGame {
         const carGroup = new THREE.Group();
         
         // Car body - Mr. Bean's iconic green Mini
-        const bodyGeometry = new THREE.BoxGeometry(1.8, 1.2, 3.5);
-        const bodyMaterial = new THREE.MeshStandardMaterial({ 
+        const bodyGeometry = this.resources.geometry('Box', [1.8, 1.2, 3.5]);
+        const bodyMaterial = this.resources.material('MeshStandard', { 
             color: 0x355E3B, // British Racing Green
             metalness: 0.7,
             roughness: 0.3
@@ -1285,28 +1666,28 @@ class MrBeanGame {
         carGroup.add(body);
         
         // Roof
-        const roofGeometry = new THREE.BoxGeometry(1.6, 0.8, 2);
+        const roofGeometry = this.resources.geometry('Box', [1.6, 0.8, 2]);
         const roof = new THREE.Mesh(roofGeometry, bodyMaterial);
         roof.position.y = 1.6;
         carGroup.add(roof);
         
         // Windows
-        const windowMaterial = new THREE.MeshStandardMaterial({
+        const windowMaterial = this.resources.material('MeshStandard', {
             color: 0x88CCFF,
             transparent: true,
             opacity: 0.5
         });
         
         // Windshield
-        const windshieldGeometry = new THREE.BoxGeometry(1.5, 0.7, 0.1);
+        const windshieldGeometry = this.resources.geometry('Box', [1.5, 0.7, 0.1]);
         const windshield = new THREE.Mesh(windshieldGeometry, windowMaterial);
         windshield.position.set(0, 1.3, 1);
         windshield.rotation.x = Math.PI * 0.1;
         carGroup.add(windshield);
         
         // Wheels
-        const wheelGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.2, 16);
-        const wheelMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
+        const wheelGeometry = this.resources.geometry('Cylinder', [0.3, 0.3, 0.2, 16]);
+        const wheelMaterial = this.resources.material('MeshStandard', { color: 0x333333 });
         
         const wheelPositions = [
             [-0.9, 0.3, -1], [0.9, 0.3, -1],
@@ -1320,6 +1701,9 @@ class MrBeanGame {
             carGroup.add(wheel);
         });
         
+        // Body and roof as one block
+        carGroup.userData.collision = { type: 'box', min: [-0.9, 0, -1.75], max: [0.9, 2, 1.75] };
+
         // Position Mr. Bean's car in front of his house
         carGroup.position.set(-30, 0, -15);
         this.scene.add(carGroup);
@@ -1329,56 +1713,62 @@ class MrBeanGame {
 
     createStreetLamp() {
         const lampGroup = new THREE.Group();
+        const parts = {
+            postGeometry: this.resources.geometry('Cylinder', [0.1, 0.1, 4, 8]),
+            headGeometry: this.resources.geometry('Cylinder', [0.3, 0.3, 0.5, 8]),
+            bulbGeometry: this.resources.geometry('Sphere', [0.2, 8, 8]),
+            ironMaterial: this.resources.material('MeshStandard', { color: 0x333333 }),
+            bulbMaterial: this.resources.material('MeshStandard', { 
+                color: 0xFFFF99,
+                emissive: 0xFFFF99,
+                emissiveIntensity: 0.5
+            })
+        };
         
         // Lamp post
-        const postGeometry = new THREE.CylinderGeometry(0.1, 0.1, 4, 8);
-        const postMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
-        const post = new THREE.Mesh(postGeometry, postMaterial);
+        const post = new THREE.Mesh(parts.postGeometry, parts.ironMaterial);
         post.position.y = 2;
         lampGroup.add(post);
         
         // Lamp head
-        const headGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.5, 8);
-        const headMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
-        const head = new THREE.Mesh(headGeometry, headMaterial);
+        const head = new THREE.Mesh(parts.headGeometry, parts.ironMaterial);
         head.position.y = 4;
         lampGroup.add(head);
         
         // Light bulb
-        const bulbGeometry = new THREE.SphereGeometry(0.2, 8, 8);
-        const bulbMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0xFFFF99,
-            emissive: 0xFFFF99,
-            emissiveIntensity: 0.5
-        });
-        const bulb = new THREE.Mesh(bulbGeometry, bulbMaterial);
+        const bulb = new THREE.Mesh(parts.bulbGeometry, parts.bulbMaterial);
         bulb.position.y = 3.8;
         lampGroup.add(bulb);
-        
-        // Add point light
-        const light = new THREE.PointLight(0xFFFF99, 0.5, 10);
-        light.position.y = 3.8;
-        lampGroup.add(light);
+        [post, head, bulb].forEach(part => { part.userData.instanced = true; });
+        // Lit by StreetLighting after dark, rather than each lamp carrying a light of its own
+        lampGroup.userData.bulb = bulb;
+
+        lampGroup.userData.collision = { type: 'cylinder', radius: 0.15, height: 4.25 };
         
         return lampGroup;
     }
 
     createTrashBin() {
         const binGroup = new THREE.Group();
+        const parts = {
+            bodyGeometry: this.resources.geometry('Cylinder', [0.3, 0.25, 0.8, 8]),
+            lidGeometry: this.resources.geometry('Cylinder', [0.32, 0.3, 0.1, 8]),
+            bodyMaterial: this.resources.material('MeshStandard', { color: 0x2E4053 }),
+            lidMaterial: this.resources.material('MeshStandard', { color: 0x1B2631 })
+        };
         
         // Bin body
-        const bodyGeometry = new THREE.CylinderGeometry(0.3, 0.25, 0.8, 8);
-        const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0x2E4053 });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        const body = new THREE.Mesh(parts.bodyGeometry, parts.bodyMaterial);
         body.position.y = 0.4;
         binGroup.add(body);
         
         // Bin lid
-        const lidGeometry = new THREE.CylinderGeometry(0.32, 0.3, 0.1, 8);
-        const lidMaterial = new THREE.MeshStandardMaterial({ color: 0x1B2631 });
-        const lid = new THREE.Mesh(lidGeometry, lidMaterial);
+        const lid = new THREE.Mesh(parts.lidGeometry, parts.lidMaterial);
         lid.position.y = 0.85;
         binGroup.add(lid);
+        [body, lid].forEach(part => { part.userData.instanced = true; });
+
+        binGroup.userData.collision = { type: 'cylinder', radius: 0.32, height: 0.9 };
         
         return binGroup;
     }
@@ -1387,28 +1777,28 @@ class MrBeanGame {
         const boxGroup = new THREE.Group();
         
         // Main box
-        const boxGeometry = new THREE.BoxGeometry(1, 2.5, 1);
-        const boxMaterial = new THREE.MeshStandardMaterial({ color: 0xFF0000 });
+        const boxGeometry = this.resources.geometry('Box', [1, 2.5, 1]);
+        const boxMaterial = this.resources.material('MeshStandard', { color: 0xFF0000 });
         const box = new THREE.Mesh(boxGeometry, boxMaterial);
         box.position.y = 1.25;
         boxGroup.add(box);
         
         // Crown on top
-        const crownGeometry = new THREE.CylinderGeometry(0.6, 0.5, 0.3, 4);
+        const crownGeometry = this.resources.geometry('Cylinder', [0.6, 0.5, 0.3, 4]);
         const crown = new THREE.Mesh(crownGeometry, boxMaterial);
         crown.position.y = 2.6;
         boxGroup.add(crown);
         
         // Door
-        const doorGeometry = new THREE.BoxGeometry(0.8, 2, 0.1);
-        const doorMaterial = new THREE.MeshStandardMaterial({ color: 0x8B0000 });
+        const doorGeometry = this.resources.geometry('Box', [0.8, 2, 0.1]);
+        const doorMaterial = this.resources.material('MeshStandard', { color: 0x8B0000 });
         const door = new THREE.Mesh(doorGeometry, doorMaterial);
         door.position.set(0, 1.25, 0.45);
         boxGroup.add(door);
         
         // Windows
-        const windowGeometry = new THREE.BoxGeometry(0.6, 0.6, 0.1);
-        const windowMaterial = new THREE.MeshStandardMaterial({
+        const windowGeometry = this.resources.geometry('Box', [0.6, 0.6, 0.1]);
+        const windowMaterial = this.resources.material('MeshStandard', {
             color: 0x88CCFF,
             transparent: true,
             opacity: 0.5
@@ -1419,6 +1809,8 @@ class MrBeanGame {
             window.position.set(0, y, 0.45);
             boxGroup.add(window);
         }
+
+        boxGroup.userData.collision = { type: 'box', min: [-0.5, 0, -0.5], max: [0.5, 2.75, 0.5] };
         
         return boxGroup;
     }
@@ -1427,8 +1819,8 @@ class MrBeanGame {
         const carGroup = new THREE.Group();
         
         // Car body
-        const bodyGeometry = new THREE.BoxGeometry(1.8, 1.2, 3.5);
-        const bodyMaterial = new THREE.MeshStandardMaterial({ 
+        const bodyGeometry = this.resources.geometry('Box', [1.8, 1.2, 3.5]);
+        const bodyMaterial = this.resources.material('MeshStandard', { 
             color: Math.random() > 0.5 ? 0x000000 : 0x1A1A1A,
             metalness: 0.7,
             roughness: 0.3
@@ -1438,14 +1830,14 @@ class MrBeanGame {
         carGroup.add(body);
         
         // Roof
-        const roofGeometry = new THREE.BoxGeometry(1.6, 0.8, 2);
+        const roofGeometry = this.resources.geometry('Box', [1.6, 0.8, 2]);
         const roof = new THREE.Mesh(roofGeometry, bodyMaterial);
         roof.position.y = 1.6;
         carGroup.add(roof);
         
         // Wheels
-        const wheelGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.2, 16);
-        const wheelMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
+        const wheelGeometry = this.resources.geometry('Cylinder', [0.3, 0.3, 0.2, 16]);
+        const wheelMaterial = this.resources.material('MeshStandard', { color: 0x333333 });
         
         const wheelPositions = [
             [-0.9, 0.3, -1], [0.9, 0.3, -1],
@@ -1458,6 +1850,8 @@ class MrBeanGame {
             wheel.position.set(...pos);
             carGroup.add(wheel);
         });
+
+        carGroup.userData.collision = { type: 'box', min: [-0.9, 0, -1.75], max: [0.9, 2, 1.75] };
         
         return carGroup;
     }
@@ -1466,15 +1860,15 @@ class MrBeanGame {
         const signGroup = new THREE.Group();
         
         // Post
-        const postGeometry = new THREE.CylinderGeometry(0.05, 0.05, 3, 8);
-        const postMaterial = new THREE.MeshStandardMaterial({ color: 0x4A4A4A });
+        const postGeometry = this.resources.geometry('Cylinder', [0.05, 0.05, 3, 8]);
+        const postMaterial = this.resources.material('MeshStandard', { color: 0x4A4A4A });
         const post = new THREE.Mesh(postGeometry, postMaterial);
         post.position.y = 1.5;
         signGroup.add(post);
         
         // Sign plate
-        const plateGeometry = new THREE.BoxGeometry(2, 0.4, 0.1);
-        const plateMaterial = new THREE.MeshStandardMaterial({ 
+        const plateGeometry = this.resources.geometry('Box', [2, 0.4, 0.1]);
+        const plateMaterial = this.resources.material('MeshStandard', { 
             color: 0x006400, // Dark green, typical for British street signs
             metalness: 0.5,
             roughness: 0.5
@@ -1484,8 +1878,8 @@ class MrBeanGame {
         signGroup.add(plate);
 
         // Create text texture (simulated with a white rectangle for now)
-        const textGeometry = new THREE.BoxGeometry(1.8, 0.3, 0.02);
-        const textMaterial = new THREE.MeshStandardMaterial({ color: 0xFFFFFF });
+        const textGeometry = this.resources.geometry('Box', [1.8, 0.3, 0.02]);
+        const textMaterial = this.resources.material('MeshStandard', { color: 0xFFFFFF });
         const textMesh = new THREE.Mesh(textGeometry, textMaterial);
         textMesh.position.y = 2.5;
         textMesh.position.z = 0.06;
@@ -1498,8 +1892,8 @@ class MrBeanGame {
         const numberGroup = new THREE.Group();
         
         // Background plate
-        const plateGeometry = new THREE.BoxGeometry(0.3, 0.4, 0.05);
-        const plateMaterial = new THREE.MeshStandardMaterial({ 
+        const plateGeometry = this.resources.geometry('Box', [0.3, 0.4, 0.05]);
+        const plateMaterial = this.resources.material('MeshStandard', { 
             color: 0xFFFFFF,
             metalness: 0.2,
             roughness: 0.8
@@ -1508,8 +1902,8 @@ class MrBeanGame {
         numberGroup.add(plate);
 
         // Number (simulated with a dark rectangle)
-        const numberGeometry = new THREE.BoxGeometry(0.2, 0.3, 0.02);
-        const numberMaterial = new THREE.MeshStandardMaterial({ color: 0x000000 });
+        const numberGeometry = this.resources.geometry('Box', [0.2, 0.3, 0.02]);
+        const numberMaterial = this.resources.material('MeshStandard', { color: 0x000000 });
         const numberMesh = new THREE.Mesh(numberGeometry, numberMaterial);
         numberMesh.position.z = 0.035;
         numberGroup.add(numberMesh);
@@ -1521,8 +1915,8 @@ class MrBeanGame {
         const catGroup = new THREE.Group();
         
         // Cat body
-        const bodyGeometry = new THREE.BoxGeometry(0.3, 0.3, 0.5);
-        const bodyMaterial = new THREE.MeshStandardMaterial({ 
+        const bodyGeometry = this.resources.geometry('Box', [0.3, 0.3, 0.5]);
+        const bodyMaterial = this.resources.material('MeshStandard', { 
             color: 0x2C3E50, // Dark grey for Scrapper
             roughness: 0.8
         });
@@ -1531,13 +1925,13 @@ class MrBeanGame {
         catGroup.add(body);
         
         // Cat head
-        const headGeometry = new THREE.SphereGeometry(0.15, 8, 8);
+        const headGeometry = this.resources.geometry('Sphere', [0.15, 8, 8]);
         const head = new THREE.Mesh(headGeometry, bodyMaterial);
         head.position.set(0, 0.3, 0.2);
         catGroup.add(head);
         
         // Cat ears
-        const earGeometry = new THREE.ConeGeometry(0.05, 0.1, 4);
+        const earGeometry = this.resources.geometry('Cone', [0.05, 0.1, 4]);
         [-0.08, 0.08].forEach(x => {
             const ear = new THREE.Mesh(earGeometry, bodyMaterial);
             ear.position.set(x, 0.4, 0.2);
@@ -1546,15 +1940,15 @@ class MrBeanGame {
         });
         
         // Cat tail
-        const tailGeometry = new THREE.CylinderGeometry(0.02, 0.02, 0.3, 8);
+        const tailGeometry = this.resources.geometry('Cylinder', [0.02, 0.02, 0.3, 8]);
         const tail = new THREE.Mesh(tailGeometry, bodyMaterial);
         tail.position.set(0, 0.2, -0.2);
         tail.rotation.x = Math.PI / 4;
         catGroup.add(tail);
         
         // Cat eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.03, 8, 8);
-        const eyeMaterial = new THREE.MeshStandardMaterial({ 
+        const eyeGeometry = this.resources.geometry('Sphere', [0.03, 8, 8]);
+        const eyeMaterial = this.resources.material('MeshStandard', { 
             color: 0xFFFF00, // Yellow eyes
             emissive: 0xFFFF00,
             emissiveIntensity: 0.2
@@ -1569,6 +1963,72 @@ class MrBeanGame {
         return catGroup;
     }
 
+    createPickup(itemId) {
+        const pickupGroup = new THREE.Group();
+        const item = ITEM_DATA[itemId];
+
+        switch (item.model) {
+            case 'teddy': {
+                // Brown bear: body, head and two ears
+                const furMaterial = this.resources.material('MeshToon', { 
+                    color: 0x8B5A2B,
+                    gradientMap: this.createToonGradient()
+                });
+                const body = new THREE.Mesh(this.resources.geometry('Sphere', [0.2, 12, 12]), furMaterial);
+                body.position.y = 0.2;
+                pickupGroup.add(body);
+                const head = new THREE.Mesh(this.resources.geometry('Sphere', [0.14, 12, 12]), furMaterial);
+                head.position.y = 0.48;
+                pickupGroup.add(head);
+                [-0.1, 0.1].forEach(x => {
+                    const ear = new THREE.Mesh(this.resources.geometry('Sphere', [0.05, 8, 8]), furMaterial);
+                    ear.position.set(x, 0.6, 0);
+                    pickupGroup.add(ear);
+                });
+                break;
+            }
+            case 'note': {
+                // Folded sheet of paper
+                const paperMaterial = this.resources.material('MeshToon', { 
+                    color: 0xFFFFF0,
+                    gradientMap: this.createToonGradient()
+                });
+                const paper = new THREE.Mesh(this.resources.geometry('Box', [0.3, 0.02, 0.2]), paperMaterial);
+                paper.position.y = 0.05;
+                pickupGroup.add(paper);
+                break;
+            }
+            case 'flowers': {
+                // Small bunch of cartoon flowers
+                [[-0.1, 0], [0.1, 0], [0, 0.1]].forEach(([x, z]) => {
+                    const flower = this.createCartoonFlower();
+                    flower.position.set(x, 0.2, z);
+                    pickupGroup.add(flower);
+                });
+                const stemMaterial = this.resources.material('MeshToon', { 
+                    color: 0x2E8B57,
+                    gradientMap: this.createToonGradient()
+                });
+                const stems = new THREE.Mesh(this.resources.geometry('Cylinder', [0.04, 0.02, 0.2, 8]), stemMaterial);
+                stems.position.y = 0.1;
+                pickupGroup.add(stems);
+                break;
+            }
+            default: {
+                // Generic wrapped parcel
+                const parcelMaterial = this.resources.material('MeshToon', { 
+                    color: 0xF5DEB3,
+                    gradientMap: this.createToonGradient()
+                });
+                const parcel = new THREE.Mesh(this.resources.geometry('Box', [0.3, 0.15, 0.2]), parcelMaterial);
+                parcel.position.y = 0.1;
+                pickupGroup.add(parcel);
+            }
+        }
+
+        return pickupGroup;
+    }
+
     setupNPCs() {
         this.npcs = [];
         this.mainNPCs = [];
@@ -1611,6 +2071,24 @@ class MrBeanGame {
                     "Shall we go to the park together?"
                 ]
             },
+            {
+                name: "Store Clerk",
+                description: "Sales assistant at Havlotts",
+                position: new THREE.Vector3(32, 0, -19), // Outside the department store
+                colors: {
+                    clothing: 0x1F3A5F, // Havlotts uniform
+                    hair: 0xC8A165, // Blonde hair
+                    skin: 0xF1C27D
+                },
+                scale: 1,
+                shopType: 'departmentStore',
+                dialogs: [
+                    "Welcome to Havlotts! Can I help you, sir?",
+                    "Mind the display window, it's just been cleaned.",
+                    "We close at half five sharp, sir.",
+                    "Everything on the ground floor is on offer this week!"
+                ]
+            },
             {
                 name: "Rupert",
                 description: "The grumpy neighbor",
@@ -1641,7 +2119,7 @@ class MrBeanGame {
         for (let i = 0; i < 10; i++) {
             const npc = this.createNPC();
             npc.walkDirection = Math.random() * Math.PI * 2;
-            npc.walkSpeed = 0.02 + Math.random() * 0.02;
+            npc.walkSpeed = 1.2 + Math.random() * 1.2; // Units per second
             this.npcs.push(npc);
         }
     }
@@ -1650,8 +2128,8 @@ class MrBeanGame {
         const npcGroup = new THREE.Group();
         
         // Body - more detailed for main characters
-        const torsoGeometry = new THREE.BoxGeometry(0.4, 0.6, 0.3);
-        const clothingMaterial = new THREE.MeshStandardMaterial({ 
+        const torsoGeometry = this.resources.geometry('Box', [0.4, 0.6, 0.3]);
+        const clothingMaterial = this.resources.material('MeshStandard', { 
             color: config.colors.clothing,
             roughness: 0.8
         });
@@ -1660,7 +2138,7 @@ class MrBeanGame {
         npcGroup.add(torso);
 
         // Legs with clothing color
-        const legGeometry = new THREE.BoxGeometry(0.15, 0.5, 0.15);
+        const legGeometry = this.resources.geometry('Box', [0.15, 0.5, 0.15]);
         [-0.1, 0.1].forEach(x => {
             const leg = new THREE.Mesh(legGeometry, clothingMaterial);
             leg.position.set(x, 0.5, 0);
@@ -1668,7 +2146,7 @@ class MrBeanGame {
         });
 
         // Arms with clothing color
-        const armGeometry = new THREE.BoxGeometry(0.12, 0.4, 0.12);
+        const armGeometry = this.resources.geometry('Box', [0.12, 0.4, 0.12]);
         [-0.25, 0.25].forEach(x => {
             const arm = new THREE.Mesh(armGeometry, clothingMaterial);
             arm.position.set(x, 1.2, 0);
@@ -1679,8 +2157,8 @@ class MrBeanGame {
         const headGroup = new THREE.Group();
         
         // Basic head shape
-        const headGeometry = new THREE.SphereGeometry(0.15, 16, 16);
-        const skinMaterial = new THREE.MeshStandardMaterial({ 
+        const headGeometry = this.resources.geometry('Sphere', [0.15, 16, 16]);
+        const skinMaterial = this.resources.material('MeshStandard', { 
             color: config.colors.skin,
             roughness: 0.7
         });
@@ -1688,8 +2166,8 @@ class MrBeanGame {
         headGroup.add(head);
 
         // Distinctive hairstyle
-        const hairGeometry = new THREE.SphereGeometry(0.16, 12, 12);
-        const hairMaterial = new THREE.MeshStandardMaterial({ 
+        const hairGeometry = this.resources.geometry('Sphere', [0.16, 12, 12]);
+        const hairMaterial = this.resources.material('MeshStandard', { 
             color: config.colors.hair,
             roughness: 1
         });
@@ -1699,8 +2177,8 @@ class MrBeanGame {
         headGroup.add(hair);
 
         // Eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.03, 8, 8);
-        const eyeMaterial = new THREE.MeshStandardMaterial({ color: 0x000000 });
+        const eyeGeometry = this.resources.geometry('Sphere', [0.03, 8, 8]);
+        const eyeMaterial = this.resources.material('MeshStandard', { color: 0x000000 });
         [-0.06, 0.06].forEach(x => {
             const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
             eye.position.set(x, 0, 0.12);
@@ -1710,6 +2188,8 @@ class MrBeanGame {
         headGroup.position.y = 1.5;
         npcGroup.add(headGroup);
 
+        const lod = this.createFigureLOD(npcGroup, clothingMaterial, skinMaterial);
+
         // Scale the NPC according to config
         npcGroup.scale.setScalar(config.scale);
 
@@ -1721,33 +2201,103 @@ class MrBeanGame {
             isMainNPC: true,
             name: config.name,
             dialogs: config.dialogs,
-            walkSpeed: 0.01, // Slower than regular NPCs
+            shopType: config.shopType || null,
+            walkSpeed: 0.6, // Units per second, slower than regular NPCs
             walkDirection: Math.random() * Math.PI * 2,
             originalPosition: config.position.clone(),
-            maxWanderDistance: 5 // Maximum distance they can wander from their original position
+            maxWanderDistance: 5, // Maximum distance they can wander from their original position
+            lod: lod
         };
 
+        this.affinity.register(npcGroup);
+        if (this.affinity.isTracked(npcGroup)) {
+            this.createMoodIndicator(npcGroup);
+        }
+
         // Add to scene
         this.scene.add(npcGroup);
 
         return npcGroup;
     }
 
-    updateNPCs() {
+    // Level of detail for a person: far away, a block body and a plain head stand in for the limbs and face
+    createFigureLOD(npcGroup, clothingMaterial, skinMaterial) {
+        const high = [...npcGroup.children];
+
+        const body = new THREE.Mesh(this.resources.geometry('Box', [0.4, 1.15, 0.3]), clothingMaterial);
+        body.position.y = 0.825;
+        npcGroup.add(body);
+        const head = new THREE.Mesh(this.resources.geometry('Sphere', [0.16, 6, 4]), skinMaterial);
+        head.position.y = 1.5;
+        npcGroup.add(head);
+
+        return { distance: 25, high: high, low: [body, head] };
+    }
+
+    // Small face floating above a main NPC that shows how they feel about Mr. Bean
+    createMoodIndicator(npc) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const texture = new THREE.CanvasTexture(canvas);
+
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true,
+            depthWrite: false
+        }));
+        sprite.scale.set(0.3, 0.3, 1);
+        sprite.position.y = 1.95;
+        npc.add(sprite);
+
+        npc.userData.moodIndicator = sprite;
+        this.updateMoodIndicator(npc);
+    }
+
+    updateMoodIndicator(npc) {
+        const sprite = npc.userData.moodIndicator;
+        if (!sprite) return;
+
+        const band = this.affinity.getBandFor(npc);
+        if (sprite.userData.band === band.id) return;
+        sprite.userData.band = band.id;
+
+        const texture = sprite.material.map;
+        const context = texture.image.getContext('2d');
+        context.clearRect(0, 0, 64, 64);
+        context.font = '48px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(band.icon, 32, 34);
+        texture.needsUpdate = true;
+    }
+
+    updateNPCs(dt) {
+        // Chance per second of wandering off in a new direction
+        const turnChance = 1.2 * dt;
+        // Rain hurries everyone along, and a downpour sends passers-by to the phone boxes
+        const pedestrians = this.weather.getDefinition().pedestrians;
+        const pace = pedestrians === 'stroll' ? 1 : HURRY_PACE;
+
         // Update main NPCs with restricted movement
         this.mainNPCs.forEach(npc => {
-            if (Math.random() < 0.02) { // Occasionally change direction
+            if (Math.random() < turnChance) { // Occasionally change direction
                 npc.userData.walkDirection += (Math.random() - 0.5) * Math.PI / 2;
             }
 
             // Calculate new position
+            const dx = Math.cos(npc.userData.walkDirection) * npc.userData.walkSpeed * pace * dt;
+            const dz = Math.sin(npc.userData.walkDirection) * npc.userData.walkSpeed * pace * dt;
             const newPosition = npc.position.clone();
-            newPosition.x += Math.cos(npc.userData.walkDirection) * npc.userData.walkSpeed;
-            newPosition.z += Math.sin(npc.userData.walkDirection) * npc.userData.walkSpeed;
+            newPosition.x += dx;
+            newPosition.z += dz;
 
             // Check if new position is within allowed range
             if (newPosition.distanceTo(npc.userData.originalPosition) < npc.userData.maxWanderDistance) {
-                npc.position.copy(newPosition);
+                if (!this.walkNPC(npc, dx, dz)) {
+                    // Walked into something; wander off another way
+                    npc.userData.walkDirection += Math.PI * (0.5 + Math.random());
+                }
             } else {
                 // Turn back towards original position
                 const angleToOrigin = Math.atan2(
@@ -1763,10 +2313,20 @@ class MrBeanGame {
 
         // Update regular NPCs
         this.npcs.forEach(npc => {
-            npc.position.x += Math.cos(npc.walkDirection) * npc.walkSpeed;
-            npc.position.z += Math.sin(npc.walkDirection) * npc.walkSpeed;
+            if (pedestrians === 'shelter') {
+                this.updateSheltering(npc, dt);
+                return;
+            }
+            npc.userData.shelter = null;
+            npc.userData.triedShelters = null;
+
+            const blocked = !this.walkNPC(npc,
+                Math.cos(npc.walkDirection) * npc.walkSpeed * pace * dt,
+                Math.sin(npc.walkDirection) * npc.walkSpeed * pace * dt);
 
-            if (Math.random() < 0.02) {
+            if (blocked) {
+                npc.walkDirection += Math.PI * (0.5 + Math.random());
+            } else if (Math.random() < turnChance) {
                 npc.walkDirection += (Math.random() - 0.5) * Math.PI / 2;
             }
 
@@ -1779,9 +2339,61 @@ class MrBeanGame {
         });
     }
 
+    // Moves a person by (dx, dz) through the collision grid the way Mr. Bean
+    // moves, sliding along walls; returns false when something stopped them
+    // getting at least half way
+    walkNPC(npc, dx, dz) {
+        this.npcStep.set(dx, 0, dz);
+        const target = this.collisionSystem.moveAndSlide(npc.position, this.npcStep, this.npcSize);
+        const moved = target.distanceToSquared(npc.position);
+        npc.position.copy(target);
+        return moved >= this.npcStep.lengthSq() * 0.25;
+    }
+
+    // Hurries to a spot beside the nearest phone box and waits there. Anyone
+    // who can't get through picks the next nearest box, and once they've tried
+    // them all waits out the rain where they are.
+    updateSheltering(npc, dt) {
+        if (!npc.userData.shelter) {
+            const tried = npc.userData.triedShelters || (npc.userData.triedShelters = []);
+            const nearest = this.phoneBoxes
+                .filter(box => !tried.includes(box))
+                .reduce((best, box) =>
+                    !best || box.position.distanceTo(npc.position) < best.position.distanceTo(npc.position) ? box : best, null);
+            npc.userData.shelterBox = nearest;
+            npc.userData.blockedTime = 0;
+            // In front of the door, spread out a little so they don't all stand in one spot
+            npc.userData.shelter = nearest ? new THREE.Vector3(
+                nearest.position.x + (Math.random() - 0.5) * 1.2,
+                npc.position.y,
+                nearest.position.z + 0.9
+            ) : npc.position.clone();
+        }
+
+        const dx = npc.userData.shelter.x - npc.position.x;
+        const dz = npc.userData.shelter.z - npc.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance < 0.05) return;
+
+        npc.walkDirection = Math.atan2(dz, dx);
+        const step = Math.min(npc.walkSpeed * HURRY_PACE * dt, distance);
+        npc.rotation.y = npc.walkDirection;
+        if (this.walkNPC(npc, Math.cos(npc.walkDirection) * step, Math.sin(npc.walkDirection) * step)) {
+            npc.userData.blockedTime = 0;
+            return;
+        }
+
+        npc.userData.blockedTime += dt;
+        if (npc.userData.blockedTime >= SHELTER_GIVE_UP) {
+            npc.userData.triedShelters.push(npc.userData.shelterBox);
+            npc.userData.shelter = null;
+        }
+    }
+
     addStreetLamps() {
         // Add lamps along roads at regular intervals
         const lampSpacing = 20;
+        this.streetLamps = [];
         
         // Horizontal roads
         for (let x = -80; x <= 80; x += lampSpacing) {
@@ -1789,6 +2401,7 @@ class MrBeanGame {
                 const lamp = this.createStreetLamp();
                 lamp.position.set(x, 0, z);
                 this.scene.add(lamp);
+                this.streetLamps.push(lamp);
             });
         }
         
@@ -1798,6 +2411,7 @@ class MrBeanGame {
                 const lamp = this.createStreetLamp();
                 lamp.position.set(x, 0, z);
                 this.scene.add(lamp);
+                this.streetLamps.push(lamp);
             });
         }
     }
@@ -1809,10 +2423,13 @@ class MrBeanGame {
             [-30, 30], [30, 30]
         ];
         
+        // Where people shelter from the rain
+        this.phoneBoxes = [];
         locations.forEach(([x, z]) => {
             const phoneBox = this.createPhoneBox();
             phoneBox.position.set(x, 0, z);
             this.scene.add(phoneBox);
+            this.phoneBoxes.push(phoneBox);
         });
     }
 
@@ -1868,7 +2485,6 @@ class MrBeanGame {
             }
             // Force a shadow map update after loading
             this.renderer.shadowMap.needsUpdate = true;
-            this.animate();
         };
 
         // Use the loading manager for the GLTF loader
@@ -1877,8 +2493,8 @@ class MrBeanGame {
         const playerGroup = new THREE.Group();
         
         // Mr. Bean's body - slimmer torso with brown suit
-        const torsoGeometry = new THREE.BoxGeometry(0.45, 0.7, 0.35);
-        const suitMaterial = new THREE.MeshStandardMaterial({ 
+        const torsoGeometry = this.resources.geometry('Box', [0.45, 0.7, 0.35]);
+        const suitMaterial = this.resources.material('MeshStandard', { 
             color: 0x4A3C31, // Brown suit color
             roughness: 0.8
         });
@@ -1887,14 +2503,14 @@ class MrBeanGame {
         playerGroup.add(torso);
 
         // Red tie
-        const tieGeometry = new THREE.BoxGeometry(0.08, 0.3, 0.05);
-        const tieMaterial = new THREE.MeshStandardMaterial({ color: 0xCC0000 });
+        const tieGeometry = this.resources.geometry('Box', [0.08, 0.3, 0.05]);
+        const tieMaterial = this.resources.material('MeshStandard', { color: 0xCC0000 });
         const tie = new THREE.Mesh(tieGeometry, tieMaterial);
         tie.position.set(0, 1.2, 0.2);
         playerGroup.add(tie);
 
         // Legs with brown trousers
-        const legGeometry = new THREE.BoxGeometry(0.18, 0.6, 0.18);
+        const legGeometry = this.resources.geometry('Box', [0.18, 0.6, 0.18]);
         [-0.12, 0.12].forEach(x => {
             const leg = new THREE.Mesh(legGeometry, suitMaterial);
             leg.position.set(x, 0.5, 0);
@@ -1902,7 +2518,7 @@ class MrBeanGame {
         });
 
         // Arms
-        const armGeometry = new THREE.BoxGeometry(0.14, 0.5, 0.14);
+        const armGeometry = this.resources.geometry('Box', [0.14, 0.5, 0.14]);
         [-0.3, 0.3].forEach(x => {
             const arm = new THREE.Mesh(armGeometry, suitMaterial);
             arm.position.set(x, 1.2, 0);
@@ -1913,8 +2529,8 @@ class MrBeanGame {
         const headGroup = new THREE.Group();
         
         // Basic head shape - slightly elongated
-        const headGeometry = new THREE.SphereGeometry(0.2, 16, 16);
-        const skinMaterial = new THREE.MeshStandardMaterial({ 
+        const headGeometry = this.resources.geometry('Sphere', [0.2, 16, 16]);
+        const skinMaterial = this.resources.material('MeshStandard', { 
             color: 0xE6B5A0,
             roughness: 0.7
         });
@@ -1923,8 +2539,8 @@ class MrBeanGame {
         headGroup.add(head);
 
         // Mr. Bean's characteristic dark hair
-        const hairGeometry = new THREE.SphereGeometry(0.21, 12, 12);
-        const hairMaterial = new THREE.MeshStandardMaterial({ 
+        const hairGeometry = this.resources.geometry('Sphere', [0.21, 12, 12]);
+        const hairMaterial = this.resources.material('MeshStandard', { 
             color: 0x1A1A1A,
             roughness: 1
         });
@@ -1934,8 +2550,8 @@ class MrBeanGame {
         headGroup.add(hair);
 
         // Large eyebrows
-        const eyebrowGeometry = new THREE.BoxGeometry(0.08, 0.02, 0.02);
-        const eyebrowMaterial = new THREE.MeshStandardMaterial({ color: 0x1A1A1A });
+        const eyebrowGeometry = this.resources.geometry('Box', [0.08, 0.02, 0.02]);
+        const eyebrowMaterial = this.resources.material('MeshStandard', { color: 0x1A1A1A });
         [-0.08, 0.08].forEach(x => {
             const eyebrow = new THREE.Mesh(eyebrowGeometry, eyebrowMaterial);
             eyebrow.position.set(x, 0.1, 0.15);
@@ -1944,8 +2560,8 @@ class MrBeanGame {
         });
 
         // Big expressive eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.035, 12, 12);
-        const eyeMaterial = new THREE.MeshStandardMaterial({ color: 0x000000 });
+        const eyeGeometry = this.resources.geometry('Sphere', [0.035, 12, 12]);
+        const eyeMaterial = this.resources.material('MeshStandard', { color: 0x000000 });
         [-0.07, 0.07].forEach(x => {
             const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
             eye.position.set(x, 0.03, 0.16);
@@ -1953,7 +2569,7 @@ class MrBeanGame {
         });
 
         // Distinctive nose
-        const noseGeometry = new THREE.BoxGeometry(0.06, 0.1, 0.06);
+        const noseGeometry = this.resources.geometry('Box', [0.06, 0.1, 0.06]);
         const nose = new THREE.Mesh(noseGeometry, skinMaterial);
         nose.position.set(0, 0, 0.2);
         headGroup.add(nose);
@@ -1963,124 +2579,265 @@ class MrBeanGame {
 
         // Set up the player with the new model
         this.player = playerGroup;
-        this.player.position.set(-38, 0, -28); // Start at Mr. Bean's house
+        this.player.position.set(-40, 0, -25); // Start outside Mr. Bean's front door
         this.player.castShadow = true;
         this.player.receiveShadow = true;
         this.scene.add(this.player);
 
-        // Setup keyboard controls (rest of the method remains the same)
-        this.keys = {
-            w: false,
-            a: false,
-            s: false,
-            d: false,
-            e: false,
-            0: false // Add 0 key for camera toggle
-        };
-
-        window.addEventListener('keydown', (e) => {
-            if (this.keys.hasOwnProperty(e.key.toLowerCase())) {
-                this.keys[e.key.toLowerCase()] = true;
-            }
-            // Handle camera toggle
-            if (e.key === '0') {
-                this.isFirstPerson = !this.isFirstPerson;
-                this.cameraOffset = this.isFirstPerson ? 
-                    this.firstPersonCameraOffset.clone() : 
-                    this.thirdPersonCameraOffset.clone();
+        // Movement is read from the held actions in updatePlayer; these fire once per press
+        this.input.subscribe('ToggleCamera', () => {
+            if (this.gameState.is('playing')) {
+                this.setCameraMode(!this.isFirstPerson);
             }
         });
 
-        window.addEventListener('keyup', (e) => {
-            if (this.keys.hasOwnProperty(e.key.toLowerCase())) {
-                this.keys[e.key.toLowerCase()] = false;
+        // Debugging: freeze the simulation, and advance it by one step while frozen
+        this.input.subscribe('DebugPause', () => this.gameLoop.togglePause());
+        this.input.subscribe('DebugStep', () => this.gameLoop.stepOnce());
+        this.input.subscribe('ToggleDebug', () => this.debugOverlay.toggle());
+
+        // Pause the game behind the options menu, and resume it again
+        this.input.subscribe('Pause', () => {
+            if (this.gameState.is('paused')) {
+                this.resumeGame();
+            } else if (this.gameState.is('playing', 'dialog', 'cutscene')) {
+                this.pauseGame();
             }
         });
+    }
 
-        // Add ESC key handler for options menu
-        window.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                if (this.optionsMenu) {
-                    this.optionsMenu.style.display = this.optionsMenu.style.display === 'none' ? 'block' : 'none';
+    setupGameStates() {
+        this.gameState.setHooks('title', {
+            enter: () => this.createStartScreen(),
+            exit: () => {
+                if (this.startScreen) {
+                    document.body.removeChild(this.startScreen);
+                    this.startScreen = null;
                 }
             }
         });
+        this.gameState.setHooks('paused', {
+            enter: () => {
+                this.optionsMenu.style.display = 'block';
+            },
+            exit: () => {
+                this.optionsMenu.style.display = 'none';
+                // A half-finished rebind is dropped
+                this.input.cancelCapture();
+                this.updateControlsMenu();
+            }
+        });
+
+        this.gameState.addEventListener('change', () => {
+            this.updateMusicVolume();
+            this.updateHUD();
+
+            // Footsteps are only stopped by updatePlayer, which no longer runs without control
+            if (!this.gameState.allows('control') && this.soundEffects.footsteps && this.soundEffects.footsteps.isPlaying) {
+                this.soundEffects.footsteps.stop();
+            }
+        });
+        this.updateHUD();
     }
 
-    updatePlayer() {
-        // Reset velocity with improved responsiveness
-        this.playerVelocity.set(0, 0, 0);
+    pauseGame() {
+        this.stateBeforePause = this.gameState.current;
+        this.gameState.transition('paused');
+    }
+
+    resumeGame() {
+        if (!this.gameState.is('paused')) return;
+
+        this.gameState.transition(this.stateBeforePause || 'playing');
+        // A conversation may have timed out while the game was paused
+        this.updateDialogState();
+    }
+
+    // Conversations and the shop till put the game in the dialog state
+    updateDialogState() {
+        const isOpen = (this.dialogueSystem && this.dialogueSystem.isActive()) || !!this.currentNPC || !!this.currentShopType;
+        if (isOpen && this.gameState.is('playing')) {
+            this.gameState.transition('dialog');
+        } else if (!isOpen && this.gameState.is('dialog')) {
+            this.gameState.transition('playing');
+        }
+    }
 
-        // Handle rotation with smoother turning
-        if (this.keys.a) {
-            this.player.rotation.y += this.turnSpeed;
+    // The HUD stays out of the way until the game has started
+    updateHUD() {
+        const visibility = this.gameState.is('boot', 'title') ? 'hidden' : 'visible';
+        [this.challengeMenu, this.activeChallengeDisplay, this.inventoryPanel, this.audioControls].forEach(element => {
+            if (element) element.style.visibility = visibility;
+        });
+        // The on-screen controls are only there while Mr. Bean can be moved
+        if (this.touchControls) {
+            this.touchControls.setVisible(this.gameState.allows('control'));
         }
-        if (this.keys.d) {
-            this.player.rotation.y -= this.turnSpeed;
+        if (this.optionsMenuTitle) {
+            this.optionsMenuTitle.textContent = this.gameState.is('paused') ? 'Paused' : 'Options';
         }
+    }
 
-        // Calculate next position
-        const currentSpeed = this.moveSpeed;
-        if (this.keys.w) {
-            this.playerVelocity.z = currentSpeed;
+    setCameraMode(isFirstPerson, freeLook = this.freeLook) {
+        this.isFirstPerson = !!isFirstPerson;
+        this.freeLook = !!freeLook;
+        this.cameraOrbitYaw = 0;
+        this.cameraPitch = 0;
+        this.cameraOffset = this.isFirstPerson ? 
+            this.firstPersonCameraOffset.clone() : 
+            this.thirdPersonCameraOffset.clone();
+
+        // Start orbiting from wherever the camera is now
+        if (this.orbitControls && this.usesOrbit()) {
+            this.orbitRig.position.copy(this.camera.position);
+            this.orbitControls.target.copy(this.player.position).add(new THREE.Vector3(0, 1.5, 0));
         }
-        if (this.keys.s) {
-            this.playerVelocity.z = -currentSpeed;
+        this.updateCameraControls();
+        if (this.cameraStyleSelect) {
+            this.cameraStyleSelect.value = this.getCameraStyle().id;
         }
+    }
 
-        // Apply rotation to velocity
-        this.playerVelocity.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.player.rotation.y);
-        
-        // Calculate next position
-        const nextPosition = this.player.position.clone().add(this.playerVelocity);
+    getCameraStyle() {
+        return CAMERA_STYLES.find(style => style.isFirstPerson === this.isFirstPerson && style.freeLook === this.freeLook);
+    }
 
-        // Create player collision box
-        const playerBox = new THREE.Box3();
-        const playerSize = new THREE.Vector3(0.4, 1.8, 0.4);
-        playerBox.setFromCenterAndSize(nextPosition, playerSize);
+    usesOrbit() {
+        return this.freeLook && !this.isFirstPerson;
+    }
 
-        // Check for collisions with all objects
-        let canMove = true;
+    usesMouseLook() {
+        return this.freeLook && this.isFirstPerson;
+    }
 
-        // Check collisions with stores
-        this.stores.forEach(store => {
-            if (store.collider) {
-                const storeBox = store.collider.clone();
-                storeBox.translate(store.position);
-                if (storeBox.intersectsBox(playerBox)) {
-                    canMove = false;
-                }
+    setupCameraControls() {
+        // Free orbit around Mr. Bean; updateCamera moves the target along with him.
+        // The controls turn a stand-in camera, and the real one follows it as far as walls allow.
+        this.orbitRig = new THREE.PerspectiveCamera();
+        this.orbitRig.position.copy(this.camera.position);
+        this.orbitControls = new OrbitControls(this.orbitRig, this.renderer.domElement);
+        this.orbitControls.enabled = false;
+        this.orbitControls.enablePan = false;
+        this.orbitControls.minDistance = 2.5;
+        this.orbitControls.maxDistance = 12;
+        // Never below the ground or straight overhead
+        this.orbitControls.minPolarAngle = 0.2;
+        this.orbitControls.maxPolarAngle = Math.PI * 0.48;
+
+        // Mouse-look captures the mouse when the game is clicked
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('click', () => {
+            if (this.usesMouseLook() && this.gameState.is('playing') && canvas.requestPointerLock && document.pointerLockElement !== canvas) {
+                canvas.requestPointerLock();
             }
         });
-
-        // Check collisions with houses in Arbour Road
-        this.scene.traverse(object => {
-            if (object.collider && !object.isStore) {
-                const objBox = object.collider.clone();
-                if (object.position) {
-                    objBox.translate(object.position);
-                }
-                if (objBox.intersectsBox(playerBox)) {
-                    canMove = false;
-                }
+        document.addEventListener('mousemove', event => {
+            if (document.pointerLockElement === canvas) {
+                this.lookAround(-event.movementX * this.mouseSensitivity, -event.movementY * this.mouseSensitivity);
+            }
+        });
+        // The browser releases the mouse on Escape without passing the key on, so pause then
+        document.addEventListener('pointerlockchange', () => {
+            if (!document.pointerLockElement && this.usesMouseLook() && this.gameState.is('playing')) {
+                this.pauseGame();
             }
         });
 
-        // Update position if no collision
-        if (canMove) {
-            this.player.position.copy(nextPosition);
+        this.gameState.addEventListener('change', () => this.updateCameraControls());
+    }
+
+    // Mouse and touch only steer the camera while the player has control
+    updateCameraControls() {
+        if (!this.orbitControls) return;
+
+        this.orbitControls.enabled = this.usesOrbit() && this.gameState.allows('control');
+        const canvas = this.renderer.domElement;
+        if (document.pointerLockElement === canvas && !(this.usesMouseLook() && this.gameState.is('playing'))) {
+            document.exitPointerLock();
+        }
+    }
+
+    // Turns the view by the given angles in radians; what turns depends on the camera style
+    lookAround(deltaYaw, deltaPitch) {
+        if (this.usesMouseLook()) {
+            // Mr. Bean turns with the view, so walking goes where he looks
+            this.player.rotation.y += deltaYaw;
+            this.cameraPitch = Math.max(-1.2, Math.min(1.2, this.cameraPitch + deltaPitch));
+        } else if (this.usesOrbit()) {
+            const offset = this.orbitRig.position.clone().sub(this.orbitControls.target);
+            const spherical = new THREE.Spherical().setFromVector3(offset);
+            spherical.theta += deltaYaw;
+            spherical.phi = Math.max(this.orbitControls.minPolarAngle,
+                Math.min(this.orbitControls.maxPolarAngle, spherical.phi + deltaPitch));
+            this.orbitRig.position.copy(this.orbitControls.target).add(offset.setFromSpherical(spherical));
+        } else if (!this.isFirstPerson) {
+            this.cameraOrbitYaw += deltaYaw;
+        }
+    }
+
+    updatePlayer(dt) {
+        // Held keys and the controller stick only move Mr. Bean while the player has control.
+        // Keys push fully; the stick pushes part way, so Mr. Bean can walk slowly.
+        const hasControl = this.gameState.allows('control');
+        const move = hasControl ? this.input.getValue('MoveForward') - this.input.getValue('MoveBackward') : 0;
+        const turn = hasControl ? this.input.getValue('TurnLeft') - this.input.getValue('TurnRight') : 0;
+
+        // Look keys and the right stick turn the view
+        if (hasControl) {
+            const lookYaw = this.input.getValue('LookLeft') - this.input.getValue('LookRight');
+            const lookPitch = this.input.getValue('LookUp') - this.input.getValue('LookDown');
+            if (lookYaw !== 0 || lookPitch !== 0) {
+                this.lookAround(lookYaw * this.lookSpeed * dt, lookPitch * this.lookSpeed * dt);
+            }
+        }
+
+        // Reset velocity with improved responsiveness
+        this.playerVelocity.set(0, 0, 0);
+
+        if (this.freeLook) {
+            // Movement follows the camera: forward is where it looks and the turn keys step sideways
+            // (+x is to the left of the heading)
+            this.playerVelocity.set(turn, 0, move);
+            if (this.playerVelocity.lengthSq() > 1) this.playerVelocity.normalize();
+            this.playerVelocity.multiplyScalar(this.moveSpeed * dt);
+
+            let heading = this.player.rotation.y;
+            if (this.usesOrbit()) {
+                this.camera.getWorldDirection(this.playerDirection);
+                heading = Math.atan2(this.playerDirection.x, this.playerDirection.z);
+            }
+            this.playerVelocity.applyAxisAngle(new THREE.Vector3(0, 1, 0), heading);
+
+            // In orbit, Mr. Bean turns to face the way he walks
+            if (this.usesOrbit() && this.playerVelocity.lengthSq() > 0) {
+                const target = Math.atan2(this.playerVelocity.x, this.playerVelocity.z);
+                const difference = Math.atan2(Math.sin(target - this.player.rotation.y), Math.cos(target - this.player.rotation.y));
+                this.player.rotation.y += difference * (1 - Math.exp(-12 * dt));
+            }
+        } else {
+            // Handle rotation with smoother turning
+            this.player.rotation.y += this.turnSpeed * turn * dt;
+
+            // Distance covered this step
+            this.playerVelocity.z = this.moveSpeed * move * dt;
+
+            // Apply rotation to velocity
+            this.playerVelocity.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.player.rotation.y);
         }
+        
+        // Move as far as the world allows, sliding along anything in the way
+        this.player.position.copy(this.collisionSystem.moveAndSlide(this.player.position, this.playerVelocity, this.playerSize));
 
         // Keep player within bounds
         const maxDistance = 95;
         this.player.position.x = Math.max(-maxDistance, Math.min(maxDistance, this.player.position.x));
         this.player.position.z = Math.max(-maxDistance, Math.min(maxDistance, this.player.position.z));
 
-        // Update camera
-        this.updateCamera();
+        // Fire enter/stay/exit events for any trigger volumes the player moved through
+        this.triggerSystem.update(this.player.position);
 
         // Play footstep sounds when moving
-        if (this.soundEffects && this.soundEffects.footsteps && (this.keys.w || this.keys.s) && this.soundEffectsEnabled) {
+        if (this.soundEffects && this.soundEffects.footsteps && this.playerVelocity.lengthSq() > 0 && this.soundEffectsEnabled) {
             if (!this.soundEffects.footsteps.isPlaying) {
                 this.soundEffects.footsteps.play();
             }
@@ -2089,157 +2846,414 @@ class MrBeanGame {
         }
     }
 
-    updateCamera() {
+    updateCamera(dt) {
+        // The third-person cameras look at, and are kept in sight of, a point slightly above Mr. Bean
+        const pivot = this.player.position.clone().add(new THREE.Vector3(0, 1.5, 0));
+
+        // Mouse-look sits the camera in Mr. Bean's eyes and points it wherever he looks
+        if (this.usesMouseLook()) {
+            const eyeOffset = this.firstPersonCameraOffset.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), this.player.rotation.y);
+            this.camera.position.copy(this.player.position).add(eyeOffset);
+            const yaw = this.player.rotation.y;
+            const lookDirection = new THREE.Vector3(
+                Math.sin(yaw) * Math.cos(this.cameraPitch),
+                Math.sin(this.cameraPitch),
+                Math.cos(yaw) * Math.cos(this.cameraPitch)
+            );
+            this.camera.lookAt(this.camera.position.clone().add(lookDirection));
+            this.cameraOcclusion.update(this.camera.position, null, dt);
+            return;
+        }
+
+        // The free orbit camera keeps its angle and distance while following Mr. Bean
+        if (this.usesOrbit()) {
+            this.orbitRig.position.add(pivot.clone().sub(this.orbitControls.target));
+            this.orbitControls.target.copy(pivot);
+            this.orbitControls.update();
+
+            const desired = this.orbitRig.position.clone();
+            if (this.currentInterior) {
+                const bounds = this.currentInterior.interiorBounds.clone().translate(this.currentInterior.position);
+                bounds.expandByScalar(-0.3);
+                bounds.clampPoint(desired, desired);
+            }
+            this.cameraOcclusion.resolve(pivot, desired, this.camera.position);
+            this.camera.lookAt(pivot);
+            this.cameraOcclusion.update(this.camera.position, pivot, dt);
+            return;
+        }
+
+        // Indoors the normal chase camera would sit outside the walls, so pull it in
+        const offset = this.currentInterior && !this.isFirstPerson ? this.interiorCameraOffset : this.cameraOffset;
+
         // Calculate desired camera position
         const cameraOffset = new THREE.Vector3(
             0,
-            this.cameraOffset.y,
-            this.cameraOffset.z
+            offset.y,
+            offset.z
         );
-        cameraOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.player.rotation.y);
+        cameraOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.player.rotation.y + this.cameraOrbitYaw);
         
         const targetPosition = this.player.position.clone().add(cameraOffset);
+
+        // Keep the camera inside the room
+        if (this.currentInterior) {
+            const bounds = this.currentInterior.interiorBounds.clone().translate(this.currentInterior.position);
+            bounds.expandByScalar(-0.3);
+            bounds.clampPoint(targetPosition, targetPosition);
+        }
+
+        // Pull in wherever a wall is in the way
+        if (!this.isFirstPerson) {
+            this.cameraOcclusion.resolve(pivot, targetPosition, targetPosition);
+        }
         
-        // Smoothly move camera to desired position
-        this.camera.position.lerp(targetPosition, this.smoothFactor);
+        // Smoothly move camera to desired position, at the same pace whatever the step length
+        this.camera.position.lerp(targetPosition, 1 - Math.exp(-this.cameraFollowRate * dt));
+
+        // Easing back out is fine, but the camera jumps in at once rather than drift through a wall
+        if (!this.isFirstPerson) {
+            this.cameraOcclusion.resolve(pivot, this.camera.position, this.camera.position);
+        }
         
         // Make camera look at point slightly above player
-        const lookAtPoint = this.player.position.clone().add(new THREE.Vector3(0, 1.5, 0));
-        this.camera.lookAt(lookAtPoint);
+        this.camera.lookAt(pivot);
+
+        // Fade out props hiding Mr. Bean
+        this.cameraOcclusion.update(this.camera.position, this.isFirstPerson ? null : pivot, dt);
     }
 
-    animate() {
-        try {
-            requestAnimationFrame(() => this.animate());
-
-            const currentTime = performance.now();
-            const deltaTime = (currentTime - this.lastTime) / 1000;
-            this.lastTime = currentTime;
-
-            // Update FPS counter
-            this.frameCount++;
-            if (currentTime > this.lastTime + 1000) {
-                const fps = Math.round(this.frameCount * 1000 / (currentTime - this.lastTime));
-                const fpsCounter = document.getElementById('fps-counter');
-                if (fpsCounter) {
-                    fpsCounter.textContent = `FPS: ${fps}`;
-                }
-                this.frameCount = 0;
-                this.lastTime = currentTime;
-            }
-
-            // Only update if the document is visible
-            if (!document.hidden) {
-                this.updatePlayer();
-                this.updateCamera();
-                this.updateNPCs();
-                this.updateVisibility();
-                
-                // Render the scene
-                if (this.outlineEffect) {
-                    this.outlineEffect.render(this.scene, this.camera);
-                } else {
-                    this.renderer.render(this.scene, this.camera);
-                }
-            }
-        } catch (error) {
-            console.error('Animation error:', error);
+    // One simulation step of dt seconds
+    fixedUpdate(dt) {
+        this.interpolator.snapshot();
+        if (!this.gameState.allows('simulate')) return;
+
+        this.updatePlayer(dt);
+        if (this.touchControls) {
+            this.touchControls.setInteractVisible(this.gameState.allows('control') && this.canInteract());
+        }
+        this.updateNPCs(dt);
+        this.updateDoors(dt);
+        this.updatePickups(dt);
+        this.updateQuests();
+        this.economy.update(dt);
+        this.updateCamera(dt);
+        this.dayNight.update(dt);
+        this.flags.update(dt * 24 / this.dayNight.dayLength);
+        this.updateWeather(dt);
+        this.updateLighting();
+        this.updateClockDisplay();
+    }
+
+    // Draws the world alpha of the way between the last two simulation steps
+    render(alpha) {
+        // Controllers don't send events for their buttons and sticks, so read them every frame.
+        // This happens even while the world is paused so Start can unpause it.
+        this.gamepad.poll();
+
+        // Only draw if the document is visible
+        if (document.hidden) return;
+
+        // Auto quality only judges frames of the game actually being played
+        const now = performance.now();
+        if (this.lastRenderTime !== null && this.gameState.is('playing')) {
+            this.quality.recordFrame(now - this.lastRenderTime, now);
         }
+        this.lastRenderTime = now;
+
+        // Cull against the camera as it will be drawn
+        this.interpolator.apply(alpha);
+        this.updateVisibility();
+        this.debugShapes.update();
+        // OutlineEffect draws the scene twice, so count the whole frame rather than the last pass
+        this.renderer.info.reset();
+        if (this.outlineEffect && this.outlinesEnabled) {
+            this.outlineEffect.render(this.scene, this.camera);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+        this.interpolator.restore();
+
+        this.renderStats.drawCalls = this.renderer.info.render.calls;
+        this.renderStats.drawCallsWithoutInstancing = this.renderStats.drawCalls + this.instancing.getStats().drawCallsSaved;
+        this.renderStats.triangles = this.renderer.info.render.triangles;
+        this.debugOverlay.frame(now);
+    }
+
+    setupVisibility() {
+        this.visibility = new VisibilityManager();
+        // Clouds drift with the wind, so their puffs are followed like people
+        const moving = new Set([...this.npcs, ...this.mainNPCs, ...this.pickups, ...this.clouds.flatMap(cloud => cloud.children)]);
+
+        // Props, people and pickups are culled as a whole; plain groups are looked inside
+        const register = object => {
+            if (object === this.player) return;
+
+            if (object.isGround) {
+                this.visibility.register(object, { alwaysShown: true });
+            } else if (moving.has(object) || object.userData.collision || object.userData.lod ||
+                object.isBuilding || object.isMesh || object.isSprite) {
+                this.visibility.register(object, { dynamic: moving.has(object), ignoreRange: !!object.isBuilding });
+            } else {
+                object.children.forEach(register);
+            }
+        };
+        this.scene.children.forEach(register);
     }
 
     updateVisibility() {
-        // Get player position for distance culling
-        const playerPos = this.player.position;
-        const cameraPos = this.camera.position;
-        
-        // Update visibility of all objects
-        this.scene.traverse(object => {
-            if (object.isMesh || object.isGroup) {
-                // Skip player, camera, and essential objects
-                if (object === this.player || object === this.camera) return;
-                
-                // Calculate distance to player and camera
-                const distanceToPlayer = object.position.distanceTo(playerPos);
-                const distanceToCamera = object.position.distanceTo(cameraPos);
-                
-                // Always show objects very close to the camera (prevents blue screen when looking inside)
-                if (distanceToCamera < 3) {
-                    object.visible = true;
-                    return;
-                }
-                
-                // Only process objects within reasonable distance (increased from 50 to 60 units)
-                if (distanceToPlayer > 60) {
-                    object.visible = false;
-                    return;
-                }
-                
-                // Check if object is in view frustum
-                const box = new THREE.Box3().setFromObject(object);
-                const sphere = new THREE.Sphere();
-                box.getBoundingSphere(sphere);
-                
-                // Increase the sphere radius slightly to prevent pop-in
-                sphere.radius *= 1.2;
-                
-                // Special handling for buildings and large objects
-                if (object.isBuilding || object.scale.length() > 5) {
-                    object.visible = true;
-                    return;
-                }
-                
-                object.visible = this.frustum.intersectsSphere(sphere);
+        this.visibility.update(this.camera, this.player.position, this.currentInterior);
+        this.instancing.update();
+    }
+
+    // Repeated props are drawn as instances; the meshes they came from stay behind for culling and collisions
+    setupInstancing() {
+        const instanceGroup = new THREE.Group();
+        instanceGroup.name = 'instances';
+        this.scene.add(instanceGroup);
+
+        this.instancing = new InstanceBatcher(instanceGroup);
+        this.instancing.collect(this.scene);
+        this.instancing.build();
+
+        // Draw calls of the last frame, and roughly how many it would have taken without instancing
+        this.renderStats = { drawCalls: 0, drawCallsWithoutInstancing: 0, triangles: 0 };
+    }
+
+    // Applies the graphics preset now and whenever it changes, from the options menu or auto mode
+    setupQuality() {
+        this.quality.addEventListener('change', event => {
+            this.applyQuality();
+            this.updateQualityMenu();
+            if (event.auto && this.gameState.is('playing')) {
+                this.showNotice(`Graphics quality: ${event.preset.label}`);
             }
         });
+        this.lastRenderTime = null;
+        this.applyQuality();
     }
 
-    updateNPCsWithCulling() {
-        const playerPos = this.player.position;
-        
-        // Update main NPCs with restricted movement and culling
-        this.mainNPCs.forEach(npc => {
-            // Only update if within visible range
-            if (npc.position.distanceTo(playerPos) <= 50) {
-                if (Math.random() < 0.02) {
-                    npc.userData.walkDirection += (Math.random() - 0.5) * Math.PI / 2;
-                }
+    applyQuality() {
+        const preset = this.quality.getPreset();
+
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, preset.pixelRatio));
+
+        // Materials are compiled for one shadow setup, so they have to be rebuilt when it changes
+        const shadowMap = this.renderer.shadowMap;
+        const shadowsChanged = shadowMap.enabled !== preset.shadows || shadowMap.type !== preset.shadowType;
+        shadowMap.enabled = preset.shadows;
+        shadowMap.type = preset.shadowType;
+        this.sunLight.castShadow = preset.shadows;
+        if (this.sunLight.shadow.mapSize.width !== preset.shadowMapSize) {
+            this.sunLight.shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+            // A map of the new size is made on the next render
+            if (this.sunLight.shadow.map) {
+                this.sunLight.shadow.map.dispose();
+                this.sunLight.shadow.map = null;
+            }
+        }
+        if (shadowsChanged) {
+            this.scene.traverse(object => {
+                if (!object.material) return;
+                (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => {
+                    material.needsUpdate = true;
+                });
+            });
+        }
+        shadowMap.needsUpdate = true;
+
+        this.visibility.options.cullDistance = preset.cullDistance;
+        this.streetLighting.setBudget(preset.lampLights);
+        this.rain.setLimit(preset.rainDrops);
+        this.grassPatches.forEach((patch, index) => { patch.visible = index < preset.grassPatches; });
+        this.birds.forEach((bird, index) => { bird.visible = index < preset.birds; });
+        this.outlinesEnabled = this.quality.drawsOutlines();
+        // Fog and the number of clouds depend on the weather as well
+        this.updateWeather(0);
+        this.updateLighting();
+    }
 
-                const newPosition = npc.position.clone();
-                newPosition.x += Math.cos(npc.userData.walkDirection) * npc.userData.walkSpeed;
-                newPosition.z += Math.sin(npc.userData.walkDirection) * npc.userData.walkSpeed;
+    // Spells of weather follow a seeded forecast; rain falls around the camera and soaks the streets
+    setupWeather() {
+        this.weather = new WeatherSystem();
+        this.rain = new RainEffect(this.scene, { maxDrops: QualityManager.getMaximum('rainDrops') });
+        this.windVelocity = new THREE.Vector3();
+
+        // Wet ground is darker and shinier. The road is instanced, so its batch's copy of the material changes too.
+        this.wetSurfaces = [
+            this.groundMaterial,
+            this.sidewalkMaterial,
+            this.roadMaterial,
+            this.getOutlineMaterial(this.roadMaterial, 'none')
+        ].map(material => ({ material: material, color: material.color.clone(), roughness: material.roughness }));
+        this.puddleMaterial = this.puddles[0].material;
+        this.updateWeather(0);
+    }
 
-                if (newPosition.distanceTo(npc.userData.originalPosition) < npc.userData.maxWanderDistance) {
-                    npc.position.copy(newPosition);
-                } else {
-                    const angleToOrigin = Math.atan2(
-                        npc.userData.originalPosition.z - npc.position.z,
-                        npc.userData.originalPosition.x - npc.position.x
-                    );
-                    npc.userData.walkDirection = angleToOrigin;
-                }
+    updateWeather(dt) {
+        this.weather.update(dt);
+        const conditions = this.weather.getConditions();
+        const wetness = this.weather.getWetness();
+
+        // The wind comes from the west, a little south
+        this.windVelocity.set(conditions.wind, 0, conditions.wind * 0.3);
+        this.rain.update(dt, this.camera.position, this.currentInterior ? 0 : conditions.rain, this.windVelocity);
+
+        const cloudCount = Math.round(this.quality.getPreset().clouds * (1 + conditions.cloudCover));
+        this.clouds.forEach((cloud, index) => {
+            cloud.visible = index < cloudCount;
+            cloud.position.addScaledVector(this.windVelocity, dt);
+            if (cloud.position.x > 100) cloud.position.x -= 200;
+            if (cloud.position.z > 100) cloud.position.z -= 200;
+        });
+        this.cloudMaterial.color.setScalar(1 - conditions.cloudCover * 0.45);
 
-                npc.rotation.y = npc.userData.walkDirection;
-            }
+        this.wetSurfaces.forEach(surface => {
+            surface.material.color.copy(surface.color).multiplyScalar(1 - wetness * 0.35);
+            surface.material.roughness = surface.roughness + (0.2 - surface.roughness) * wetness;
+        });
+        this.puddles.forEach(puddle => {
+            puddle.visible = wetness > 0.05;
+            puddle.scale.setScalar(puddle.userData.size * wetness);
         });
+        this.puddleMaterial.opacity = 0.6 * wetness;
+    }
 
-        // Update regular NPCs with culling
-        this.npcs.forEach(npc => {
-            // Only update if within visible range
-            if (npc.position.distanceTo(playerPos) <= 50) {
-                npc.position.x += Math.cos(npc.walkDirection) * npc.walkSpeed;
-                npc.position.z += Math.sin(npc.walkDirection) * npc.walkSpeed;
+    // The clock runs while the game does; lamps come on at dusk, lit by a few lights that follow Mr. Bean
+    setupDayNight() {
+        this.dayNight = new DayNightCycle();
+        this.streetLighting = new StreetLighting(this.scene);
+        const bulbPosition = new THREE.Vector3();
+        this.streetLamps.forEach(lamp => {
+            this.streetLighting.addLamp(lamp.userData.bulb.getWorldPosition(bulbPosition));
+        });
+        // The bulbs are instanced, so their glow is set on the batch's material as well as the original
+        const bulbMaterial = this.streetLamps[0].userData.bulb.material;
+        this.bulbMaterials = [bulbMaterial, this.getOutlineMaterial(bulbMaterial, 'none')];
+        // Where the shadows were last drawn from
+        this.lastShadowDirection = new THREE.Vector3();
+        this.updateLighting();
+    }
 
-                if (Math.random() < 0.02) {
-                    npc.walkDirection += (Math.random() - 0.5) * Math.PI / 2;
-                }
+    updateLighting() {
+        const lighting = this.dayNight.getLighting();
+        const conditions = this.weather.getConditions();
+
+        this.weather.tintSky(this.scene.background.copy(lighting.sky));
+        this.scene.fog.color.copy(this.scene.background);
+        this.scene.fog.density = this.quality.getPreset().fogDensity * conditions.fogScale;
+        this.sunLight.color.copy(lighting.sun);
+        this.sunLight.intensity = lighting.sunIntensity * conditions.light;
+        this.sunLight.position.copy(lighting.lightDirection).multiplyScalar(120);
+        this.ambientLight.intensity = lighting.ambient;
+        this.fillLights.forEach(light => { light.intensity = lighting.fill; });
+        this.bulbMaterials.forEach(material => { material.emissiveIntensity = 0.5 + lighting.lamps * 1.5; });
+        this.streetLighting.update(this.player.position, lighting.lamps);
+
+        // Shadows are only redrawn on request, so ask once the sun has moved far enough to notice
+        if (lighting.lightDirection.angleTo(this.lastShadowDirection) > 0.01) {
+            this.lastShadowDirection.copy(lighting.lightDirection);
+            this.renderer.shadowMap.needsUpdate = true;
+        }
+    }
 
-                const maxDistance = 40;
-                if (Math.abs(npc.position.x) > maxDistance || Math.abs(npc.position.z) > maxDistance) {
-                    npc.walkDirection += Math.PI;
-                }
+    updateClockDisplay() {
+        const text = `${this.weather.getDefinition().icon} ${this.dayNight.formatTime()}`;
+        if (this.clockDisplay.textContent !== text) this.clockDisplay.textContent = text;
+    }
 
-                npc.rotation.y = npc.walkDirection;
-            }
+    // F3 shows frame timings and renderer numbers, with switches for drawing colliders, triggers and NPC wander radii
+    setupDebug() {
+        this.debugShapes = new DebugShapes(this.scene, {
+            collisionSystem: this.collisionSystem,
+            triggerSystem: this.triggerSystem,
+            npcs: this.mainNPCs
+        });
+        this.debugOverlay = new DebugOverlay({
+            getRows: () => this.getDebugRows(),
+            toggles: [
+                { name: 'colliders', label: 'Show colliders' },
+                { name: 'triggers', label: 'Show trigger volumes' },
+                { name: 'wander', label: 'Show NPC wander radii' }
+            ]
+        });
+        this.debugOverlay.addEventListener('toggle', event => this.debugShapes.setEnabled(event.name, event.enabled));
+    }
+
+    // [label, value] pairs shown under the frame time graph
+    getDebugRows() {
+        const info = this.renderer.info;
+        const visibility = this.visibility.getStats();
+        const instances = this.instancing.getStats();
+        const cached = this.resources.getStats();
+        const position = this.player.position;
+        const challenge = this.activeChallenge;
+
+        return [
+            ['Draw calls', `${this.renderStats.drawCalls} (${this.renderStats.drawCallsWithoutInstancing} without instancing)`],
+            ['Triangles', this.renderStats.triangles.toLocaleString()],
+            ['Geometries', info.memory.geometries],
+            ['Textures', info.memory.textures],
+            ['Programs', info.programs ? info.programs.length : 0],
+            ['Quality', this.quality.getPreset().label + (this.quality.auto ? ' (auto)' : '')],
+            ['Cached', `${cached.geometries} geometries, ${cached.materials} materials`],
+            ['Objects', `${visibility.visible} visible, ${visibility.culled} culled, ${visibility.lowDetail} low detail`],
+            ['Instances', `${instances.shown}/${instances.instances} in ${instances.batches} batches`],
+            ['Time', `${this.dayNight.formatTime()} ${this.dayNight.getPhase()}, ${this.streetLighting.getActiveCount()} lamp lights`],
+            ['Weather', `${this.weather.getDefinition().label} for ${Math.ceil(this.weather.getRemaining())} s, ` +
+                `${Math.round(this.weather.getWetness() * 100)}% wet`],
+            ['Player', `${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)}`],
+            ['State', this.gameState.current + (this.gameLoop.isPaused() ? ' (frozen)' : '')],
+            ['Challenge', challenge ?
+                `${challenge.title} (${challenge.steps.filter(step => step.completed).length}/${challenge.steps.length} steps)` :
+                'none']
+        ];
+    }
+
+    // Takes a prop out of the world for good, disposing of cached resources only it used
+    removeObject(object) {
+        // A hidden stand-in hides its instance too
+        object.visible = false;
+        if (object.parent) object.parent.remove(object);
+        this.visibility.unregister(object);
+        this.resources.release(object);
+    }
+
+    // Toon outlines are drawn by OutlineEffect as a second pass over the scene
+    setupOutlines() {
+        this.outlineEffect = new OutlineEffect(this.renderer, {
+            defaultThickness: OUTLINE_STYLES.prop.thickness,
+            defaultColor: OUTLINE_STYLES.prop.color,
+            // Materials come and go from view with culling, so keep their outline materials
+            defaultKeepAlive: true
+        });
+
+        [this.player, ...this.npcs, ...this.mainNPCs].forEach(person => {
+            person.userData.outlineStyle = 'character';
+        });
+        this.applyOutlineStyles(this.scene, 'prop');
+
+        // OutlineEffect's shader leaves out the instance matrix, so instanced props would get lopsided outlines
+        this.instancing.batches.forEach(batch => {
+            batch.mesh.material = this.getOutlineMaterial(batch.mesh.material, 'none');
+        });
+    }
+
+    // Gives every mesh under object the outline style of its nearest ancestor that has one
+    applyOutlineStyles(object, inheritedStyle) {
+        const style = object.userData.outlineStyle || inheritedStyle;
+        if (object.isMesh && !object.isInstancedMesh && !Array.isArray(object.material)) {
+            const glass = object.material.transparent && object.material.opacity < 1;
+            object.material = this.getOutlineMaterial(object.material, glass ? 'none' : style);
+        }
+        object.children.forEach(child => this.applyOutlineStyles(child, style));
+    }
+
+    // Materials are shared, so a style other than the default goes on a shared copy
+    getOutlineMaterial(material, style) {
+        if (style === 'prop') return material;
+        return this.resources.variant(material, `outline:${style}`, copy => {
+            copy.userData.outlineParameters = OUTLINE_STYLES[style];
         });
     }
 
@@ -2257,232 +3271,559 @@ class MrBeanGame {
         // Create dialog element
         this.createDialogElement();
 
+        // Let the player know when a controller is plugged in or out
+        this.createNoticeElement();
+        this.gamepad.addEventListener('connected', event => {
+            this.showNotice(`🎮 Controller connected: ${event.gamepad.id}`);
+        });
+        this.gamepad.addEventListener('disconnected', () => {
+            this.showNotice('🎮 Controller disconnected');
+        });
+
+        // Toggle the inventory panel
+        this.input.subscribe('ToggleInventory', () => {
+            if (this.gameState.is('playing', 'dialog')) {
+                this.toggleInventoryPanel();
+            }
+        });
+
         // Add interaction with NPCs and doors
-        window.addEventListener('keydown', (e) => {
-            if (e.key.toLowerCase() === 'e') {
-                // Find closest NPC and interactable object
-                let closestNPC = null;
-                let closestDistance = Infinity;
-                let closestInteractable = null;
-                let closestInteractableDistance = Infinity;
-
-                // Check main NPCs
-                this.mainNPCs.forEach(npc => {
-                    const distance = this.player.position.distanceTo(npc.position);
-                    if (distance < closestDistance) {
-                        closestDistance = distance;
-                        closestNPC = npc;
-                    }
-                });
+        this.input.subscribe('Interact', () => {
+            if (this.gameState.is('playing')) {
+                this.interact();
+            }
+        });
+    }
 
-                // Check regular NPCs
-                this.npcs.forEach(npc => {
-                    const distance = this.player.position.distanceTo(npc.position);
-                    if (distance < closestDistance) {
-                        closestDistance = distance;
-                        closestNPC = npc;
-                    }
-                });
+    // Whether interact() would find anything within reach
+    canInteract() {
+        if (this.findClosestPickup() || this.findClosestShopCounter()) return true;
 
-                // Check all objects with doors
-                this.scene.traverse(object => {
-                    if (object.doorData) {
-                        const doorWorldPos = object.position.clone().add(object.doorData.position);
-                        const distance = this.player.position.distanceTo(doorWorldPos);
-                        if (distance < closestInteractableDistance) {
-                            closestInteractableDistance = distance;
-                            closestInteractable = object;
-                        }
-                    }
-                });
+        const inReach = point => this.player.position.distanceTo(point) < this.interactionDistance;
+        if (this.mainNPCs.some(npc => inReach(npc.position)) || this.npcs.some(npc => inReach(npc.position))) {
+            return true;
+        }
+        if (this.doors.some(building => inReach(building.position.clone().add(building.doorData.position)))) {
+            return true;
+        }
+        const targetWorldPos = new THREE.Vector3();
+        return this.questTargets.some(target => inReach(target.getWorldPosition(targetWorldPos)));
+    }
 
-                // Handle NPC interaction
-                if (closestNPC && closestDistance < this.interactionDistance) {
-                    // Make the NPC turn to face the player
-                    const angle = Math.atan2(
-                        this.player.position.x - closestNPC.position.x,
-                        this.player.position.z - closestNPC.position.z
-                    );
-                    closestNPC.rotation.y = angle;
-                    
-                    // Stop the NPC from walking temporarily
-                    const currentSpeed = closestNPC.userData ? closestNPC.userData.walkSpeed : closestNPC.walkSpeed;
-                    if (closestNPC.userData) {
-                        closestNPC.userData.walkSpeed = 0;
-                    } else {
-                        closestNPC.walkSpeed = 0;
-                    }
-                    
-                    // Show dialog
-                    this.showDialog(closestNPC);
-                    
-                    // After 30 seconds, hide dialog and let them continue walking
-                    setTimeout(() => {
-                        this.hideDialog();
-                        if (closestNPC.userData) {
-                            closestNPC.userData.walkSpeed = currentSpeed;
-                        } else {
-                            closestNPC.walkSpeed = currentSpeed;
-                        }
-                    }, 30000);
+    // Uses whatever is within reach: a pickup, a till, an NPC, a door or a quest target
+    interact() {
+        // Items lying within reach are picked up before anything else
+        const pickup = this.findClosestPickup();
+        if (pickup) {
+            this.collectPickup(pickup);
+            return;
+        }
 
-                    // Play interaction sound
-                    if (this.soundEffectsEnabled && this.soundEffects && this.soundEffects.interact) {
-                        this.soundEffects.interact.play();
-                    }
+        // Standing at a store counter opens the till
+        const counter = this.findClosestShopCounter();
+        if (counter) {
+            this.openShop(counter.userData.shopType);
+            return;
+        }
 
-                    // Check for challenge progress
-                    this.checkChallengeProgress(closestNPC);
-                }
-                // Handle door/building interaction
-                else if (closestInteractable && closestInteractableDistance < this.interactionDistance) {
-                    // Play door sound
-                    if (this.soundEffectsEnabled && this.soundEffects && this.soundEffects.doorOpen) {
-                        this.soundEffects.doorOpen.play();
-                    }
+        // Find closest NPC and interactable object
+        let closestNPC = null;
+        let closestDistance = Infinity;
+        let closestInteractable = null;
+        let closestInteractableDistance = Infinity;
 
-                    // Show interaction message
-                    const buildingType = closestInteractable.doorData.type;
-                    this.showInteractionMessage(buildingType, closestInteractable.doorData.isOpen ? "Closing door..." : "Opening door...");
-
-                    // Toggle door state
-                    closestInteractable.doorData.isOpen = !closestInteractable.doorData.isOpen;
-                    
-                    // Animate the door
-                    const door = closestInteractable.getObjectByName('door');
-                    if (door) {
-                        const targetRotation = closestInteractable.doorData.isOpen ? Math.PI / 2 : 0;
-                        this.animateDoor(door, targetRotation);
-                    }
+        // Check main NPCs
+        this.mainNPCs.forEach(npc => {
+            const distance = this.player.position.distanceTo(npc.position);
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closestNPC = npc;
+            }
+        });
+
+        // Check regular NPCs
+        this.npcs.forEach(npc => {
+            const distance = this.player.position.distanceTo(npc.position);
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closestNPC = npc;
+            }
+        });
+
+        // Check all objects with doors
+        this.scene.traverse(object => {
+            if (object.doorData) {
+                const doorWorldPos = object.position.clone().add(object.doorData.position);
+                const distance = this.player.position.distanceTo(doorWorldPos);
+                if (distance < closestInteractableDistance) {
+                    closestInteractableDistance = distance;
+                    closestInteractable = object;
                 }
             }
         });
-    }
 
-    animateDoor(door, targetRotation) {
-        const duration = 1000; // Animation duration in milliseconds
-        const startRotation = door.rotation.y;
-        const startTime = performance.now();
+        // Check world objects that quests can ask the player to inspect
+        let closestTarget = null;
+        let closestTargetDistance = Infinity;
+        const targetWorldPos = new THREE.Vector3();
+        this.questTargets.forEach(target => {
+            target.getWorldPosition(targetWorldPos);
+            const distance = this.player.position.distanceTo(targetWorldPos);
+            if (distance < closestTargetDistance) {
+                closestTargetDistance = distance;
+                closestTarget = target;
+            }
+        });
+        const targetInReach = closestTarget && closestTargetDistance < this.interactionDistance;
+
+        // Handle NPC interaction
+        if (closestNPC && closestDistance < this.interactionDistance) {
+            // Make the NPC turn to face the player
+            const angle = Math.atan2(
+                this.player.position.x - closestNPC.position.x,
+                this.player.position.z - closestNPC.position.z
+            );
+            closestNPC.rotation.y = angle;
+            
+            // The NPC stands still until the conversation ends
+            this.stopTalkingNPC(closestNPC);
+            
+            // Show dialog
+            this.showDialog(closestNPC);
+            
+            // After 30 seconds, hide dialog and let them continue walking. This replaces the timer of
+            // whatever was shown before, so an earlier message can't cut the new conversation short.
+            this.hideDialogLater(30000);
 
-        const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
+            // Play interaction sound
+            if (this.soundEffectsEnabled && this.soundEffects && this.soundEffects.interact) {
+                this.soundEffects.interact.play();
+            }
 
-            // Use easing function for smooth animation
-            const easeProgress = 1 - Math.pow(1 - progress, 3);
+            // Shopkeepers serve customers as well as chatting
+            if (closestNPC.userData.shopType) {
+                this.openShop(closestNPC.userData.shopType);
+            }
+
+            // Check for challenge progress
+            if (closestNPC.userData.name) {
+                this.questEngine.handleEvent(this.activeChallenge, {
+                    type: 'talkTo',
+                    npc: closestNPC.userData.name
+                });
+            }
+        }
+        // Handle door/building interaction
+        else if (closestInteractable && closestInteractableDistance < this.interactionDistance &&
+            !(targetInReach && closestTargetDistance < closestInteractableDistance)) {
+            // Play door sound
+            if (this.soundEffectsEnabled && this.soundEffects && this.soundEffects.doorOpen) {
+                this.soundEffects.doorOpen.play();
+            }
+
+            // Show interaction message
+            const buildingType = closestInteractable.doorData.type;
+            this.showInteractionMessage(buildingType, closestInteractable.doorData.isOpen ? "Closing door..." : "Opening door...");
+
+            // Toggle door state
+            closestInteractable.doorData.isOpen = !closestInteractable.doorData.isOpen;
+            this.updateDoorCollider(closestInteractable);
             
-            door.rotation.y = startRotation + (targetRotation - startRotation) * easeProgress;
+            // Animate the door
+            const door = closestInteractable.getObjectByName('door');
+            if (door) {
+                const targetRotation = closestInteractable.doorData.isOpen ? Math.PI / 2 : 0;
+                this.animateDoor(door, targetRotation);
+            }
+        }
+        // Handle quest target interaction
+        else if (targetInReach) {
+            if (this.soundEffectsEnabled && this.soundEffects && this.soundEffects.interact) {
+                this.soundEffects.interact.play();
+            }
+            this.questEngine.handleEvent(this.activeChallenge, {
+                type: 'interact',
+                target: closestTarget.userData.questTarget
+            });
+        }
+    }
 
-            if (progress < 1) {
-                requestAnimationFrame(animate);
+    setupPickups() {
+        this.pickups = [];
+        PICKUP_DATA.forEach(config => {
+            const pickup = this.createPickup(config.item);
+            pickup.position.fromArray(config.position);
+            pickup.userData = {
+                isPickup: true,
+                pickupId: config.id,
+                itemId: config.item,
+                quantity: config.quantity || 1,
+                collected: false,
+                baseY: config.position[1]
+            };
+            this.pickups.push(pickup);
+            this.scene.add(pickup);
+        });
+    }
+
+    updatePickups(dt) {
+        // Gentle spin and bob so items stand out from the scenery
+        const time = this.gameLoop.time;
+        this.pickups.forEach(pickup => {
+            if (pickup.userData.collected) return;
+            pickup.rotation.y += 1.2 * dt;
+            pickup.position.y = pickup.userData.baseY + 0.1 + Math.sin(time * 2 + pickup.id) * 0.05;
+        });
+    }
+
+    findClosestPickup() {
+        let closest = null;
+        let closestDistance = this.interactionDistance;
+        this.pickups.forEach(pickup => {
+            if (pickup.userData.collected) return;
+            const dx = this.player.position.x - pickup.position.x;
+            const dz = this.player.position.z - pickup.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closest = pickup;
             }
-        };
+        });
+        return closest;
+    }
+
+    collectPickup(pickup) {
+        const item = ITEM_DATA[pickup.userData.itemId];
+        const added = this.inventory.add(pickup.userData.itemId, pickup.userData.quantity);
+        if (added === 0) {
+            this.showInteractionMessage(item.name, "You've already got one of those.");
+            return;
+        }
+
+        pickup.userData.collected = true;
+        pickup.visible = false;
+        this.showInteractionMessage('Picked up', `${item.icon} ${item.name}`);
+
+        if (this.soundEffectsEnabled && this.soundEffects && this.soundEffects.interact) {
+            this.soundEffects.interact.play();
+        }
+    }
 
-        requestAnimationFrame(animate);
+    findClosestShopCounter() {
+        const counterWorldPos = new THREE.Vector3();
+        // Counters are 3 units wide, so allow a little extra reach
+        const reach = this.interactionDistance + 1;
+        return this.shopCounters.find(counter => {
+            counter.getWorldPosition(counterWorldPos);
+            return this.player.position.distanceTo(counterWorldPos) < reach;
+        }) || null;
     }
 
-    checkChallengeProgress(npc) {
-        if (!this.activeChallenge || !npc.userData) return;
+    createShopUI() {
+        // Purchase panel, styled like the options menu
+        const shopPanel = document.createElement('div');
+        shopPanel.style.position = 'fixed';
+        shopPanel.style.top = '50%';
+        shopPanel.style.left = '50%';
+        shopPanel.style.transform = 'translate(-50%, -50%)';
+        shopPanel.style.backgroundColor = 'rgba(0, 0, 0, 0.9)';
+        shopPanel.style.padding = '20px';
+        shopPanel.style.borderRadius = '10px';
+        shopPanel.style.color = 'white';
+        shopPanel.style.fontFamily = 'Arial, sans-serif';
+        shopPanel.style.zIndex = '1000';
+        shopPanel.style.minWidth = '300px';
+        shopPanel.style.display = 'none';
+
+        this.shopTitle = document.createElement('h2');
+        this.shopTitle.style.textAlign = 'center';
+        this.shopTitle.style.margin = '0 0 10px 0';
+        shopPanel.appendChild(this.shopTitle);
+
+        this.shopBalance = document.createElement('div');
+        this.shopBalance.style.textAlign = 'center';
+        this.shopBalance.style.marginBottom = '15px';
+        shopPanel.appendChild(this.shopBalance);
+
+        this.shopList = document.createElement('div');
+        shopPanel.appendChild(this.shopList);
 
-        const challenge = this.activeChallenge;
-        const npcName = npc.userData.name;
-
-        switch (challenge.id) {
-            case 1: // Find Teddy
-                if (npcName === "Mrs. Wicket" && !challenge.steps[0].completed) {
-                    // First step: Talk to Mrs. Wicket
-                    this.updateChallengeProgress(0);
-                } else if (challenge.steps[0].completed && !challenge.steps[1].completed) {
-                    // Check if player is near a park bench
-                    const parkBenches = this.scene.children.filter(obj => 
-                        obj.isBench && this.player.position.distanceTo(obj.position) < 2
-                    );
-                    if (parkBenches.length > 0) {
-                        this.updateChallengeProgress(1);
-                        this.showDialog({
-                            userData: {
-                                name: "Mr. Bean",
-                                dialogs: ["Aha! There's a note here... 'Your Teddy is at the department store.'"]
-                            }
-                        });
-                    }
-                } else if (challenge.steps[1].completed && !challenge.steps[2].completed) {
-                    // Check if player is near the department store
-                    const nearDepartmentStore = this.scene.children.some(obj =>
-                        obj.isDepartmentStore && this.player.position.distanceTo(obj.position) < 5
-                    );
-                    if (nearDepartmentStore) {
-                        this.updateChallengeProgress(2);
-                        this.completeChallenge();
-                    }
-                }
-                break;
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.style.display = 'block';
+        closeButton.style.margin = '20px auto 0';
+        closeButton.style.padding = '8px 20px';
+        closeButton.style.backgroundColor = '#4CAF50';
+        closeButton.style.border = 'none';
+        closeButton.style.borderRadius = '5px';
+        closeButton.style.color = 'white';
+        closeButton.style.cursor = 'pointer';
+        closeButton.onclick = () => this.closeShop();
+        shopPanel.appendChild(closeButton);
 
-            case 2: // Late for Appointment
-                if (!challenge.steps[0].completed) {
-                    // Check if player is near their car
-                    const nearCar = this.player.position.distanceTo(new THREE.Vector3(-38, 0, -28)) < 2;
-                    if (nearCar) {
-                        this.updateChallengeProgress(0);
-                        this.showDialog({
-                            userData: {
-                                name: "Mr. Bean",
-                                dialogs: ["Oh no! The car won't start! Maybe Rupert can help..."]
-                            }
-                        });
-                    }
-                } else if (npcName === "Rupert" && !challenge.steps[1].completed) {
-                    this.updateChallengeProgress(1);
-                    this.showDialog({
-                        userData: {
-                            name: "Rupert",
-                            dialogs: ["*Sigh* Fine, Bean. The clinic is in the city center, near the department store."]
-                        }
-                    });
-                } else if (challenge.steps[1].completed && !challenge.steps[2].completed) {
-                    // Check if player is in the city center (near department store)
-                    const inCityCenter = this.player.position.distanceTo(new THREE.Vector3(30, 0, -30)) < 10;
-                    if (inCityCenter) {
-                        this.updateChallengeProgress(2);
-                        this.completeChallenge();
-                    }
+        document.body.appendChild(shopPanel);
+        this.shopPanel = shopPanel;
+        this.currentShopType = null;
+
+        // Tell the player what they bought and keep the till up to date
+        this.economy.addEventListener('purchase', event => {
+            const item = ITEM_DATA[event.itemId];
+            this.showStoreMessage('Purchased', `${item.icon} ${item.name} for ${Economy.formatPrice(event.price)}`);
+            if (this.soundEffectsEnabled && this.soundEffects && this.soundEffects.interact) {
+                this.soundEffects.interact.play();
+            }
+        });
+        this.economy.addEventListener('balance', () => this.updateShopUI());
+        this.economy.addEventListener('sale', () => this.updateShopUI());
+    }
+
+    openShop(storeType) {
+        if (!this.economy.getStore(storeType)) return;
+        this.currentShopType = storeType;
+        this.updateShopUI();
+        this.shopPanel.style.display = 'block';
+        this.updateDialogState();
+    }
+
+    closeShop() {
+        this.currentShopType = null;
+        this.shopPanel.style.display = 'none';
+        this.updateDialogState();
+    }
+
+    updateShopUI() {
+        if (!this.currentShopType) return;
+
+        const store = this.economy.getStore(this.currentShopType);
+        this.shopTitle.textContent = store.name;
+        this.shopBalance.textContent = `Your wallet: ${Economy.formatPrice(this.economy.balance)}`;
+
+        this.shopList.innerHTML = '';
+        this.economy.getCatalog(this.currentShopType).forEach(entry => {
+            const item = ITEM_DATA[entry.item];
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.marginBottom = '8px';
+            row.style.padding = '5px';
+            row.style.borderRadius = '5px';
+            row.style.backgroundColor = entry.saleLabel ? 'rgba(76, 175, 80, 0.3)' : 'rgba(255, 255, 255, 0.1)';
+
+            const label = document.createElement('span');
+            label.style.flex = '1';
+            label.innerHTML = `${item.icon} ${item.name}` +
+                (entry.saleLabel ? `<div style="font-size: 0.8em; color: #4CAF50;">${entry.saleLabel}</div>` : '');
+            row.appendChild(label);
+
+            const price = document.createElement('span');
+            price.style.marginRight = '10px';
+            price.innerHTML = entry.price !== entry.basePrice ?
+                `<s style="opacity: 0.6;">${Economy.formatPrice(entry.basePrice)}</s> ${Economy.formatPrice(entry.price)}` :
+                Economy.formatPrice(entry.price);
+            row.appendChild(price);
+
+            const buyButton = document.createElement('button');
+            buyButton.textContent = 'Buy';
+            buyButton.style.padding = '3px 10px';
+            buyButton.style.border = 'none';
+            buyButton.style.borderRadius = '5px';
+            buyButton.style.color = 'white';
+            buyButton.style.cursor = 'pointer';
+            const affordable = this.economy.canAfford(entry.price);
+            buyButton.style.backgroundColor = affordable ? '#4CAF50' : '#666';
+            buyButton.onclick = () => {
+                const result = this.economy.purchase(this.currentShopType, entry.item);
+                if (result.reason === 'cannotAfford') {
+                    this.showStoreMessage(store.name, "I'm afraid you're a bit short, sir.");
+                } else if (result.reason === 'alreadyOwned') {
+                    this.showStoreMessage(store.name, "You've already got one of those, sir.");
                 }
-                break;
+            };
+            row.appendChild(buyButton);
 
-            case 3: // Christmas Shopping
-                if (npcName === "Irma Gobb" && !challenge.steps[0].completed) {
-                    this.updateChallengeProgress(0);
-                    this.showDialog({
-                        userData: {
-                            name: "Irma",
-                            dialogs: ["Oh, Mr. Bean! I do love that teddy bear in the department store window..."]
-                        }
-                    });
-                } else if (challenge.steps[0].completed && !challenge.steps[1].completed) {
-                    // Check if player is at department store
-                    const atStore = this.scene.children.some(obj =>
-                        obj.isDepartmentStore && this.player.position.distanceTo(obj.position) < 5
-                    );
-                    if (atStore) {
-                        this.updateChallengeProgress(1);
-                        this.showDialog({
-                            userData: {
-                                name: "Store Clerk",
-                                dialogs: ["The teddy bears are on sale today! Perfect timing!"]
-                            }
-                        });
-                    }
-                } else if (challenge.steps[1].completed && !challenge.steps[2].completed) {
-                    // Player needs to interact with the store clerk
-                    if (npcName === "Store Clerk") {
-                        this.updateChallengeProgress(2);
-                        this.completeChallenge();
-                    }
+            this.shopList.appendChild(row);
+        });
+    }
+
+
+    // Registers every static collider once the world is built
+    setupCollisions() {
+        this.collisionSystem = new CollisionSystem();
+        this.scene.updateMatrixWorld(true);
+
+        // Every prop factory describes its shape in userData.collision (see CollisionSystem.js)
+        this.scene.traverse(object => {
+            if (object.userData.collision) {
+                this.collisionSystem.addShape(object, object.userData.collision);
+            }
+        });
+
+        // Store doors only block while closed
+        this.stores.forEach(store => {
+            [store.doorColliderId] = this.collisionSystem.addShape(store, store.userData.doorCollision, { door: true });
+            this.updateDoorCollider(store);
+        });
+
+        // The camera stays out of buildings and sees through props in its way
+        this.cameraOcclusion = new CameraOcclusion(this.collisionSystem);
+    }
+
+    updateDoorCollider(building) {
+        if (building.doorColliderId !== undefined) {
+            this.collisionSystem.setEnabled(building.doorColliderId, !building.doorData.isOpen);
+        }
+    }
+
+    setupTriggers() {
+        this.triggerSystem = new TriggerSystem();
+        Object.entries(AREA_DATA).forEach(([id, definition]) => {
+            this.triggerSystem.addFromDefinition(id, definition);
+        });
+
+        // Each store interior is a volume too, which drives the "inside" state
+        this.currentInterior = null;
+        this.stores.forEach(store => {
+            const bounds = store.interiorBounds.clone().translate(store.position);
+            const volume = this.triggerSystem.addBox(`interior-${store.type}`, bounds.min.toArray(), bounds.max.toArray(), {
+                interior: true,
+                store: store
+            });
+            this.triggerSystem.subscribe(volume.id, 'enter', () => this.enterInterior(store));
+            this.triggerSystem.subscribe(volume.id, 'exit', () => this.exitInterior(store));
+        });
+
+        // Prime the inside state so the starting area is not announced
+        this.triggerSystem.update(this.player.position);
+
+        // Announce named areas, unless a conversation is on screen
+        this.triggerSystem.addEventListener('enter', event => {
+            const area = event.volume.data;
+            if (!area.message || this.currentNPC) return;
+
+            this.showInteractionMessage(area.name, area.message);
+            if (this.soundEffectsEnabled && this.soundEffects && this.soundEffects.interact) {
+                this.soundEffects.interact.play();
+            }
+        });
+    }
+
+    enterInterior(store) {
+        this.currentInterior = store;
+        this.updateMusicVolume();
+
+        // The shopkeeper looks up and greets the customer
+        const shopkeeper = store.shopkeeper;
+        shopkeeper.lookAt(this.player.position.x, shopkeeper.getWorldPosition(new THREE.Vector3()).y, this.player.position.z);
+        const storeName = SHOP_DATA.stores[store.type] ? SHOP_DATA.stores[store.type].name : 'the shop';
+        if (!this.currentNPC) {
+            this.showStoreMessage('Shopkeeper', `Welcome to ${storeName}! Come to the counter when you're ready.`);
+        }
+    }
+
+    exitInterior(store) {
+        if (this.currentInterior === store) {
+            this.currentInterior = null;
+        }
+        this.updateMusicVolume();
+    }
+
+    // Other systems can ask whether Mr. Bean is indoors, and where
+    isInside() {
+        return this.currentInterior !== null;
+    }
+
+    getCurrentInterior() {
+        return this.currentInterior;
+    }
+
+    animateDoor(door, targetRotation) {
+        // A door that is still swinging turns around from where it is
+        this.doorAnimations = this.doorAnimations.filter(animation => animation.door !== door);
+        this.doorAnimations.push({
+            door: door,
+            startRotation: door.rotation.y,
+            targetRotation: targetRotation,
+            elapsed: 0,
+            duration: 1 // Seconds
+        });
+        this.interpolator.track(door);
+    }
+
+    updateDoors(dt) {
+        this.doorAnimations = this.doorAnimations.filter(animation => {
+            animation.elapsed += dt;
+            const progress = Math.min(animation.elapsed / animation.duration, 1);
+
+            // Use easing function for smooth animation
+            const easeProgress = 1 - Math.pow(1 - progress, 3);
+            animation.door.rotation.y = animation.startRotation +
+                (animation.targetRotation - animation.startRotation) * easeProgress;
+
+            if (progress < 1) return true;
+            this.interpolator.untrack(animation.door);
+            return false;
+        });
+    }
+
+    onQuestStepComplete(quest, stepIndex) {
+        const step = quest.steps[stepIndex];
+        if (step.dialog) {
+            this.showDialog({
+                userData: {
+                    name: step.dialog.name,
+                    dialogs: [step.dialog.text]
                 }
+            });
+        }
+        step.effects.forEach(effect => this.applyEffect(effect));
+        this.updateChallengeProgress(stepIndex);
+    }
+
+    // Applies a quest or dialogue side effect (see EFFECT_TYPES in QuestEngine.js)
+    applyEffect(effect) {
+        switch (effect.type) {
+            case 'giveItem':
+                this.inventory.add(effect.item, effect.quantity || 1);
+                break;
+            case 'takeItem':
+                this.inventory.remove(effect.item, effect.quantity || 1);
+                break;
+            case 'giveMoney':
+                this.economy.addMoney(effect.amount);
+                break;
+            case 'startSale':
+                this.economy.startSale(effect.sale);
                 break;
+            case 'startChallenge':
+                this.startChallenge(effect.quest);
+                break;
+            case 'changeAffinity': {
+                const npc = this.affinity.findByName(effect.npc);
+                if (npc) this.affinity.change(npc, effect.amount);
+                break;
+            }
+            case 'setFlag':
+                this.flags.set(effect.flag, effect.hours);
+                break;
+            default:
+                console.warn(`Unknown effect type "${effect.type}"`);
+        }
+    }
+
+    // Items taken from Mr. Bean during a conversation are gifts to whoever he is talking to
+    applyDialogueEffect(effect) {
+        this.applyEffect(effect);
+        if (effect.type === 'takeItem' && this.currentNPC) {
+            this.affinity.onGift(this.currentNPC, effect.item);
         }
     }
 
+    updateQuests() {
+        if (!this.questEngine || !this.activeChallenge) return;
+
+        this.questEngine.update(this.activeChallenge);
+    }
+
     completeChallenge() {
         if (!this.activeChallenge) return;
 
@@ -2499,6 +3840,10 @@ class MrBeanGame {
             this.soundEffects.interact.play();
         }
 
+        // Hand out any reward items
+        challenge.rewardItems.forEach(itemId => this.inventory.add(itemId));
+        this.affinity.onChallengeCompleted(challenge.id);
+
         // Mark challenge as completed
         challenge.completed = true;
         this.activeChallenge = null;
@@ -2506,6 +3851,8 @@ class MrBeanGame {
 
         // Update challenge menu
         this.updateChallengeMenu();
+
+        this.autosave();
     }
 
     updateChallengeMenu() {
@@ -2517,6 +3864,10 @@ class MrBeanGame {
             if (challenge && challenge.completed) {
                 item.style.backgroundColor = 'rgba(76, 175, 80, 0.3)';
                 item.style.textDecoration = 'line-through';
+            } else {
+                // Loading an older save can un-complete a challenge
+                item.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+                item.style.textDecoration = 'none';
             }
         });
     }
@@ -2529,12 +3880,42 @@ class MrBeanGame {
         this.dialogElement.style.display = 'block';
         
         // Hide the message after 3 seconds
-        setTimeout(() => {
-            this.hideDialog();
-        }, 3000);
+        this.hideDialogLater(3000);
+    }
+
+    // A short message at the top of the screen that doesn't interrupt conversations
+    createNoticeElement() {
+        this.noticeElement = document.createElement('div');
+        this.noticeElement.style.position = 'fixed';
+        this.noticeElement.style.top = '20px';
+        this.noticeElement.style.left = '50%';
+        this.noticeElement.style.transform = 'translateX(-50%)';
+        this.noticeElement.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        this.noticeElement.style.color = 'white';
+        this.noticeElement.style.padding = '10px 20px';
+        this.noticeElement.style.borderRadius = '10px';
+        this.noticeElement.style.fontFamily = 'Arial, sans-serif';
+        this.noticeElement.style.display = 'none';
+        this.noticeElement.style.zIndex = '1001';
+        document.body.appendChild(this.noticeElement);
+        this.noticeTimeout = null;
+    }
+
+    showNotice(message, duration = 3000) {
+        if (!this.noticeElement) return;
+
+        this.noticeElement.textContent = message;
+        this.noticeElement.style.display = 'block';
+        clearTimeout(this.noticeTimeout);
+        this.noticeTimeout = setTimeout(() => {
+            this.noticeElement.style.display = 'none';
+        }, duration);
     }
 
     createDialogElement() {
+        // Timer that closes the dialog, and the NPC stopped to talk
+        this.dialogTimeout = null;
+        this.talkingNPC = null;
         if (!this.dialogElement) {
             this.dialogElement = document.createElement('div');
             this.dialogElement.style.position = 'fixed';
@@ -2563,6 +3944,11 @@ class MrBeanGame {
             this.dialogMessage.style.marginBottom = '10px';
             this.dialogElement.appendChild(this.dialogMessage);
 
+            // Add numbered conversation choices
+            this.dialogChoices = document.createElement('div');
+            this.dialogChoices.style.display = 'none';
+            this.dialogElement.appendChild(this.dialogChoices);
+
             // Add chat input
             this.chatInput = document.createElement('input');
             this.chatInput.type = 'text';
@@ -2578,6 +3964,15 @@ class MrBeanGame {
             
             document.body.appendChild(this.dialogElement);
 
+            // Number keys pick conversation choices (the input manager ignores them while typing in the chat box)
+            for (let index = 0; index < 9; index++) {
+                this.input.subscribe(`Choice${index + 1}`, () => {
+                    if (this.gameState.is('dialog') && this.dialogShowsConversation) {
+                        this.chooseDialogOption(index);
+                    }
+                });
+            }
+
             // Add chat input handler
             this.chatInput.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter' && this.currentNPC) {
@@ -2596,16 +3991,20 @@ class MrBeanGame {
         let response;
 
         if (npc.userData && npc.userData.isMainNPC) {
+            // What was said changes how they feel, which colours the reply
+            this.affinity.applyKeywords(npc, message, this.chatKeywordsUsed);
+            const tone = this.affinity.isTracked(npc) ? this.affinity.getBandFor(npc).tone : 'neutral';
+
             // Character-specific responses
             switch (npc.userData.name) {
                 case "Mrs. Wicket":
-                    response = this.getMrsWicketResponse(message);
+                    response = this.getMrsWicketResponse(message, tone);
                     break;
                 case "Irma Gobb":
-                    response = this.getIrmaResponse(message);
+                    response = this.getIrmaResponse(message, tone);
                     break;
                 case "Rupert":
-                    response = this.getRupertResponse(message);
+                    response = this.getRupertResponse(message, tone);
                     break;
                 default:
                     response = this.getGenericResponse(message);
@@ -2623,7 +4022,8 @@ class MrBeanGame {
         }
     }
 
-    getMrsWicketResponse(message) {
+    // tone is 'cold', 'neutral' or 'warm' (see AFFINITY_BANDS)
+    getMrsWicketResponse(message, tone) {
         if (message.includes('rent')) {
             return "Yes, yes, the rent! It's due on Friday, don't forget!";
         } else if (message.includes('cat') || message.includes('scrapper')) {
@@ -2631,15 +4031,21 @@ class MrBeanGame {
         } else if (message.includes('noise') || message.includes('loud')) {
             return "The noise from your flat is absolutely dreadful! What are you doing up there?";
         } else if (message.includes('hello') || message.includes('hi')) {
-            return "Good day, Mr. Bean. I hope you're not planning any of your usual shenanigans.";
+            return tone === 'warm' ?
+                "Hello, Mr. Bean! Lovely to see you. Do mind the stairs, I've just polished them." :
+                "Good day, Mr. Bean. I hope you're not planning any of your usual shenanigans.";
         } else if (message.includes('sorry')) {
             return "Well, just try to be more careful next time, Mr. Bean.";
+        } else if (tone === 'cold') {
+            return "I don't have time for this, Mr. Bean. Rent. Friday. No excuses!";
+        } else if (tone === 'warm') {
+            return "You're not so bad really, Mr. Bean. Just keep the noise down, dear.";
         } else {
             return "Hmph! Just make sure you keep the noise down and pay your rent on time!";
         }
     }
 
-    getIrmaResponse(message) {
+    getIrmaResponse(message, tone) {
         if (message.includes('date')) {
             return "Oh, Mr. Bean! I thought you'd never ask. Shall we go to the restaurant?";
         } else if (message.includes('teddy')) {
@@ -2649,31 +4055,52 @@ class MrBeanGame {
         } else if (message.includes('gift') || message.includes('present')) {
             return "You remembered! Though last time you gave me a picture of yourself...";
         } else if (message.includes('love')) {
-            return "Oh, Mr. Bean... *blushes* You're sweet when you want to be.";
+            return tone === 'cold' ?
+                "Love? You've a funny way of showing it, Mr. Bean." :
+                "Oh, Mr. Bean... *blushes* You're sweet when you want to be.";
+        } else if (tone === 'cold') {
+            return "Hmm. I'm still cross with you, you know.";
         } else {
             return "We should go on another date soon, Mr. Bean!";
         }
     }
 
-    getRupertResponse(message) {
+    getRupertResponse(message, tone) {
         if (message.includes('noise')) {
             return "You're making too much noise again, Bean! I'm trying to get some peace and quiet!";
         } else if (message.includes('garden')) {
             return "Stay away from my garden, Bean! I saw what you did to my flowers last time!";
         } else if (message.includes('hello') || message.includes('hi')) {
-            return "What do you want now, Bean?";
+            return tone === 'warm' ? "Alright, Bean? Good to see you." : "What do you want now, Bean?";
         } else if (message.includes('sorry')) {
-            return "Hmph! You're always sorry after the fact, aren't you?";
+            return tone === 'cold' ?
+                "Hmph! You're always sorry after the fact, aren't you?" :
+                "Apology accepted, Bean. Just this once.";
+        } else if (tone === 'warm') {
+            return "You know, Bean, you're alright. For a lunatic.";
         } else {
             return "Just keep your distance, Bean. I'm watching you!";
         }
     }
 
     getGenericResponse(message) {
+        const weather = this.weather.getState();
         if (message.includes('hello') || message.includes('hi')) {
-            return "Hello! Lovely day, isn't it?";
-        } else if (message.includes('weather')) {
-            return "Yes, typical British weather we're having!";
+            return {
+                sunny: "Hello! Lovely day, isn't it?",
+                overcast: "Hello! Bit grey, isn't it? Still, mustn't grumble.",
+                drizzle: "Hello! Lovely day for it... if you're a duck.",
+                downpour: "Hello! Can't stop, I'm getting soaked!",
+                fog: "Hello? Oh, it's you! Couldn't see a thing in this fog."
+            }[weather];
+        } else if (message.includes('weather') || message.includes('rain')) {
+            return {
+                sunny: "Sunshine! Make the most of it, it'll be raining by teatime.",
+                overcast: "Typical British weather. Can't decide whether to rain or not.",
+                drizzle: "Only spitting. Mind you, that's how it starts.",
+                downpour: "Raining cats and dogs! Typical British summer, that.",
+                fog: "Pea-souper, this. Typical British weather!"
+            }[weather];
         } else if (message.includes('bean')) {
             return "Oh, you know Mr. Bean? Quite a peculiar fellow, isn't he?";
         } else if (message.includes('shop') || message.includes('store')) {
@@ -2688,46 +4115,150 @@ class MrBeanGame {
     showDialog(npc) {
         if (!this.dialogElement) return;
 
-        // Store current NPC for chat interaction
-        this.currentNPC = npc;
-
-        let message;
-        let name;
+        // NPCs with a conversation graph get numbered choices
+        const conversationId = this.getConversationId(npc);
+        if (conversationId) {
+            this.currentNPC = npc;
+            this.chatKeywordsUsed = new Set();
+            const speaker = npc.userData.isMainNPC ? npc.userData.name : 'Citizen';
+            this.renderConversation(this.dialogueSystem.start(conversationId, speaker));
+            return;
+        }
 
-        if (npc.userData && npc.userData.isMainNPC) {
-            // Use specific dialogs for main NPCs
-            name = npc.userData.name;
-            message = npc.userData.dialogs[Math.floor(Math.random() * npc.userData.dialogs.length)];
-        } else {
-            // Generic NPC dialogs
-            name = "Citizen";
-            const dialogs = [
-                "Hello there! Lovely weather we're having.",
-                "Good day! Have you seen Mr. Bean's teddy?",
-                "Mind the road, dear! The traffic's been terrible.",
-                "Fancy a cup of tea? The café's just around the corner.",
-                "I heard there's a sale at the department store today!",
-                "Lovely day for a walk in the park, isn't it?",
-                "Have you tried the new bakery? Their scones are divine!"
-            ];
-            message = dialogs[Math.floor(Math.random() * dialogs.length)];
+        // Everything else is a single line: challenge updates, or an NPC without a graph
+        if (this.dialogueSystem) {
+            this.dialogueSystem.end();
         }
+        this.dialogShowsConversation = false;
+        this.dialogChoices.style.display = 'none';
+
+        const isNPC = npc.userData.isMainNPC || (this.npcs && this.npcs.includes(npc));
+        const name = npc.userData.name || 'Citizen';
+        const dialogs = npc.userData.dialogs || [];
+        const message = dialogs.length > 0 ? dialogs[Math.floor(Math.random() * dialogs.length)] : '...';
+
+        // Store current NPC for chat interaction
+        this.currentNPC = isNPC ? npc : null;
+        this.chatKeywordsUsed = new Set();
 
         // Update dialog content
         this.dialogName.textContent = name;
         this.dialogMessage.textContent = message;
         
-        // Show the dialog and chat input
+        // Show the dialog, with the chat input for NPCs
         this.dialogElement.style.display = 'block';
-        this.chatInput.style.display = 'block';
-        this.chatInput.focus();
+        this.chatInput.style.display = isNPC ? 'block' : 'none';
+        if (isNPC) {
+            this.chatInput.focus();
+        }
+        this.updateDialogState();
+    }
+
+    getConversationId(npc) {
+        if (!this.dialogueSystem) return null;
+        if (npc.userData.isMainNPC) {
+            return this.dialogueSystem.has(npc.userData.name) ? npc.userData.name : null;
+        }
+        if (this.npcs.includes(npc)) {
+            return this.dialogueSystem.has('Citizen') ? 'Citizen' : null;
+        }
+        return null;
+    }
+
+    renderConversation(view) {
+        this.dialogShowsConversation = true;
+        this.dialogName.textContent = view.speaker;
+        this.dialogMessage.textContent = view.text;
+
+        this.dialogChoices.innerHTML = '';
+        view.choices.forEach((choice, index) => {
+            const button = document.createElement('button');
+            button.textContent = `${index + 1}. ${choice.text}`;
+            button.style.display = 'block';
+            button.style.width = '100%';
+            button.style.marginTop = '5px';
+            button.style.padding = '5px 10px';
+            button.style.textAlign = 'left';
+            button.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+            button.style.border = 'none';
+            button.style.borderRadius = '5px';
+            button.style.color = 'white';
+            button.style.cursor = 'pointer';
+            button.onclick = () => this.chooseDialogOption(index);
+            this.dialogChoices.appendChild(button);
+        });
+        this.dialogChoices.style.display = view.choices.length > 0 ? 'block' : 'none';
+
+        // Free-text chat is only offered on chat nodes
+        this.dialogElement.style.display = 'block';
+        this.chatInput.style.display = view.type === 'chat' ? 'block' : 'none';
+        if (view.type === 'chat') {
+            this.chatInput.focus();
+        } else if (document.activeElement === this.chatInput) {
+            this.chatInput.blur();
+        }
+        this.updateDialogState();
+    }
+
+    chooseDialogOption(index) {
+        if (!this.dialogueSystem.isActive()) return;
+
+        if (this.soundEffectsEnabled && this.soundEffects && this.soundEffects.interact) {
+            this.soundEffects.interact.play();
+        }
+
+        const view = this.dialogueSystem.choose(index);
+        if (view) {
+            this.renderConversation(view);
+        } else if (this.dialogShowsConversation) {
+            // An effect may already have replaced the conversation with a message of its own
+            this.hideDialog();
+        }
+    }
+
+    // Closes the dialog after delay ms, unless something else is shown in it first
+    hideDialogLater(delay) {
+        clearTimeout(this.dialogTimeout);
+        this.dialogTimeout = setTimeout(() => this.hideDialog(), delay);
+    }
+
+    // Main NPCs keep their speed in userData, passers-by on the object itself
+    getWalker(npc) {
+        return npc.userData.isMainNPC ? npc.userData : npc;
+    }
+
+    stopTalkingNPC(npc) {
+        this.releaseTalkingNPC();
+        const walker = this.getWalker(npc);
+        if (walker.originalWalkSpeed === undefined) {
+            walker.originalWalkSpeed = walker.walkSpeed;
+        }
+        walker.walkSpeed = 0;
+        this.talkingNPC = npc;
+    }
+
+    // Lets the NPC in the last conversation walk on at its usual speed
+    releaseTalkingNPC() {
+        if (!this.talkingNPC) return;
+
+        const walker = this.getWalker(this.talkingNPC);
+        walker.walkSpeed = walker.originalWalkSpeed;
+        this.talkingNPC = null;
     }
 
     hideDialog() {
+        clearTimeout(this.dialogTimeout);
+        this.releaseTalkingNPC();
         if (this.dialogElement) {
             this.dialogElement.style.display = 'none';
             this.chatInput.style.display = 'none';
+            this.dialogChoices.style.display = 'none';
             this.currentNPC = null;
+            this.dialogShowsConversation = false;
+            if (this.dialogueSystem) {
+                this.dialogueSystem.end();
+            }
+            this.updateDialogState();
         }
     }
 
@@ -2735,8 +4266,8 @@ class MrBeanGame {
         const npcGroup = new THREE.Group();
         
         // Body - more human-like with torso
-        const torsoGeometry = new THREE.BoxGeometry(0.4, 0.6, 0.3);
-        const clothingMaterial = new THREE.MeshStandardMaterial({ 
+        const torsoGeometry = this.resources.geometry('Box', [0.4, 0.6, 0.3]);
+        const clothingMaterial = this.resources.material('MeshStandard', { 
             color: Math.random() > 0.5 ? 0x2c3e50 : 0x34495e // Dark suit colors
         });
         const torso = new THREE.Mesh(torsoGeometry, clothingMaterial);
@@ -2744,7 +4275,7 @@ class MrBeanGame {
         npcGroup.add(torso);
 
         // Legs
-        const legGeometry = new THREE.BoxGeometry(0.15, 0.5, 0.15);
+        const legGeometry = this.resources.geometry('Box', [0.15, 0.5, 0.15]);
         [-0.1, 0.1].forEach(x => {
             const leg = new THREE.Mesh(legGeometry, clothingMaterial);
             leg.position.set(x, 0.5, 0);
@@ -2752,7 +4283,7 @@ class MrBeanGame {
         });
 
         // Arms
-        const armGeometry = new THREE.BoxGeometry(0.12, 0.4, 0.12);
+        const armGeometry = this.resources.geometry('Box', [0.12, 0.4, 0.12]);
         [-0.25, 0.25].forEach(x => {
             const arm = new THREE.Mesh(armGeometry, clothingMaterial);
             arm.position.set(x, 1.2, 0);
@@ -2763,8 +4294,8 @@ class MrBeanGame {
         const headGroup = new THREE.Group();
         
         // Basic head shape
-        const headGeometry = new THREE.SphereGeometry(0.15, 12, 12);
-        const skinMaterial = new THREE.MeshStandardMaterial({ 
+        const headGeometry = this.resources.geometry('Sphere', [0.15, 12, 12]);
+        const skinMaterial = this.resources.material('MeshStandard', { 
             color: 0xf5d0c5,
             roughness: 0.7
         });
@@ -2772,8 +4303,8 @@ class MrBeanGame {
         headGroup.add(head);
 
         // Hair
-        const hairGeometry = new THREE.SphereGeometry(0.16, 8, 8);
-        const hairMaterial = new THREE.MeshStandardMaterial({ 
+        const hairGeometry = this.resources.geometry('Sphere', [0.16, 8, 8]);
+        const hairMaterial = this.resources.material('MeshStandard', { 
             color: Math.random() > 0.5 ? 0x4a2f23 : 0x2c1810,
             roughness: 1
         });
@@ -2783,8 +4314,8 @@ class MrBeanGame {
         headGroup.add(hair);
 
         // Eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.03, 8, 8);
-        const eyeMaterial = new THREE.MeshStandardMaterial({ color: 0x000000 });
+        const eyeGeometry = this.resources.geometry('Sphere', [0.03, 8, 8]);
+        const eyeMaterial = this.resources.material('MeshStandard', { color: 0x000000 });
         [-0.06, 0.06].forEach(x => {
             const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
             eye.position.set(x, 0, 0.12);
@@ -2794,6 +4325,8 @@ class MrBeanGame {
         headGroup.position.y = 1.5;
         npcGroup.add(headGroup);
 
+        npcGroup.userData.lod = this.createFigureLOD(npcGroup, clothingMaterial, skinMaterial);
+
         // Add random starting position within city bounds
         const randomPosition = () => (Math.random() - 0.5) * 80; // Keep within ±40 units
         npcGroup.position.set(randomPosition(), 0, randomPosition());
@@ -2806,54 +4339,54 @@ class MrBeanGame {
 
     createWindow() {
         const windowGroup = new THREE.Group();
+        const parts = {
+            frameGeometry: this.resources.geometry('Box', [1, 1.5, 0.1]),
+            glassGeometry: this.resources.geometry('Box', [0.9, 1.4, 0.05]),
+            dividerGeometry: this.resources.geometry('Box', [0.9, 0.05, 0.1]),
+            verticalDividerGeometry: this.resources.geometry('Box', [0.05, 1.4, 0.1]),
+            sillGeometry: this.resources.geometry('Box', [1.2, 0.1, 0.2]),
+            // The frame and dividers are the same white
+            frameMaterial: this.resources.material('MeshToon', { 
+                color: 0xFFFFFF,
+                gradientMap: this.createToonGradient()
+            }),
+            glassMaterial: this.resources.material('MeshToon', {
+                color: 0x88CCFF,
+                transparent: true,
+                opacity: 0.6,
+                gradientMap: this.createToonGradient()
+            }),
+            sillMaterial: this.resources.material('MeshToon', { 
+                color: 0xCCCCCC,
+                gradientMap: this.createToonGradient()
+            })
+        };
         
         // Window frame with toon material
-        const frameGeometry = new THREE.BoxGeometry(1, 1.5, 0.1);
-        const frameMaterial = new THREE.MeshToonMaterial({ 
-            color: 0xFFFFFF,
-            gradientMap: this.createToonGradient()
-        });
-        const frame = new THREE.Mesh(frameGeometry, frameMaterial);
+        const frame = new THREE.Mesh(parts.frameGeometry, parts.frameMaterial);
         windowGroup.add(frame);
 
         // Window glass with cartoon effect
-        const glassGeometry = new THREE.BoxGeometry(0.9, 1.4, 0.05);
-        const glassMaterial = new THREE.MeshToonMaterial({
-            color: 0x88CCFF,
-            transparent: true,
-            opacity: 0.6,
-            gradientMap: this.createToonGradient()
-        });
-        const glass = new THREE.Mesh(glassGeometry, glassMaterial);
+        const glass = new THREE.Mesh(parts.glassGeometry, parts.glassMaterial);
         glass.position.z = 0.02;
         windowGroup.add(glass);
 
         // Window divider (horizontal)
-        const dividerGeometry = new THREE.BoxGeometry(0.9, 0.05, 0.1);
-        const dividerMaterial = new THREE.MeshToonMaterial({ 
-            color: 0xFFFFFF,
-            gradientMap: this.createToonGradient()
-        });
-        const horizontalDivider = new THREE.Mesh(dividerGeometry, dividerMaterial);
+        const horizontalDivider = new THREE.Mesh(parts.dividerGeometry, parts.frameMaterial);
         horizontalDivider.position.z = 0.02;
         windowGroup.add(horizontalDivider);
 
         // Window divider (vertical)
-        const verticalDividerGeometry = new THREE.BoxGeometry(0.05, 1.4, 0.1);
-        const verticalDivider = new THREE.Mesh(verticalDividerGeometry, dividerMaterial);
+        const verticalDivider = new THREE.Mesh(parts.verticalDividerGeometry, parts.frameMaterial);
         verticalDivider.position.z = 0.02;
         windowGroup.add(verticalDivider);
 
         // Add window sill
-        const sillGeometry = new THREE.BoxGeometry(1.2, 0.1, 0.2);
-        const sillMaterial = new THREE.MeshToonMaterial({ 
-            color: 0xCCCCCC,
-            gradientMap: this.createToonGradient()
-        });
-        const sill = new THREE.Mesh(sillGeometry, sillMaterial);
+        const sill = new THREE.Mesh(parts.sillGeometry, parts.sillMaterial);
         sill.position.y = -0.8;
         sill.position.z = 0.05;
         windowGroup.add(sill);
+        windowGroup.children.forEach(part => { part.userData.instanced = true; });
 
         return windowGroup;
     }
@@ -2865,30 +4398,82 @@ class MrBeanGame {
         const width = 8;
         const height = 4;
         const depth = 8;
+        const wallThickness = 0.2;
+        const doorwayWidth = 2;
+        const doorwayHeight = 3;
         
-        // Create store building
-        const buildingGeometry = new THREE.BoxGeometry(width, height, depth);
-        const buildingMaterial = new THREE.MeshStandardMaterial({ 
+        // Build the shell from separate walls so the interior can be walked into
+        const buildingMaterial = this.resources.material('MeshStandard', { 
             color: 0xE8BEAC,
             roughness: 0.8
         });
-        const building = new THREE.Mesh(buildingGeometry, buildingMaterial);
-        building.position.y = height / 2;
-        storeGroup.add(building);
+        const sideWidth = (width - doorwayWidth) / 2;
+        // [width, height, depth, x, y, z] in store-local space
+        const wallPieces = [
+            [width, height, wallThickness, 0, height / 2, -depth / 2 + wallThickness / 2], // Back
+            [wallThickness, height, depth, -width / 2 + wallThickness / 2, height / 2, 0], // Left
+            [wallThickness, height, depth, width / 2 - wallThickness / 2, height / 2, 0], // Right
+            [sideWidth, height, wallThickness, -(doorwayWidth + sideWidth) / 2, height / 2, depth / 2 - wallThickness / 2], // Front left
+            [sideWidth, height, wallThickness, (doorwayWidth + sideWidth) / 2, height / 2, depth / 2 - wallThickness / 2] // Front right
+        ];
+        wallPieces.forEach(([w, h, d, x, y, z]) => {
+            const wall = new THREE.Mesh(this.resources.geometry('Box', [w, h, d]), buildingMaterial);
+            wall.position.set(x, y, z);
+            storeGroup.add(wall);
+        });
+        storeGroup.userData.collision = {
+            type: 'compound',
+            shapes: wallPieces.map(([w, h, d, x, y, z]) => ({
+                type: 'box',
+                min: [x - w / 2, y - h / 2, z - d / 2],
+                max: [x + w / 2, y + h / 2, z + d / 2]
+            }))
+        };
+
+        // Wall above the doorway and the roof are out of reach, so they need no collider
+        const lintel = new THREE.Mesh(
+            this.resources.geometry('Box', [doorwayWidth, height - doorwayHeight, wallThickness]),
+            buildingMaterial
+        );
+        lintel.position.set(0, (height + doorwayHeight) / 2, depth / 2 - wallThickness / 2);
+        storeGroup.add(lintel);
 
-        // Create entrance
-        const doorGeometry = new THREE.BoxGeometry(2, 3, 0.2);
-        const doorMaterial = new THREE.MeshStandardMaterial({ 
+        const roof = new THREE.Mesh(this.resources.geometry('Box', [width, wallThickness, depth]), buildingMaterial);
+        roof.position.y = height + wallThickness / 2;
+        storeGroup.add(roof);
+
+        // Create entrance - the door hangs from a hinge on the left of the doorway
+        const doorGeometry = this.resources.geometry('Box', [doorwayWidth, doorwayHeight, 0.1]);
+        const doorMaterial = this.resources.material('MeshStandard', { 
             color: 0x8B4513,
             metalness: 0.3
         });
         const door = new THREE.Mesh(doorGeometry, doorMaterial);
-        door.position.set(0, 1.5, depth/2);
-        storeGroup.add(door);
+        door.position.set(doorwayWidth / 2, doorwayHeight / 2, 0);
+        const doorHinge = new THREE.Group();
+        doorHinge.name = 'door';
+        doorHinge.position.set(-doorwayWidth / 2, 0, depth / 2 - wallThickness / 2);
+        doorHinge.add(door);
+        storeGroup.add(doorHinge);
+
+        // Closed doors block the doorway
+        storeGroup.userData.doorCollision = {
+            type: 'box',
+            min: [-doorwayWidth / 2, 0, depth / 2 - wallThickness],
+            max: [doorwayWidth / 2, doorwayHeight, depth / 2]
+        };
+        storeGroup.doorData = {
+            id: `store-${type}`,
+            position: new THREE.Vector3(0, 0, depth / 2),
+            isOpen: false,
+            canInteract: true,
+            type: SHOP_DATA.stores[type] ? SHOP_DATA.stores[type].name : 'Shop'
+        };
+        this.doors.push(storeGroup);
 
         // Add store name sign
-        const signGeometry = new THREE.BoxGeometry(width * 0.8, 0.8, 0.2);
-        const signMaterial = new THREE.MeshStandardMaterial({ color: 0x4A4A4A });
+        const signGeometry = this.resources.geometry('Box', [width * 0.8, 0.8, 0.2]);
+        const signMaterial = this.resources.material('MeshStandard', { color: 0x4A4A4A });
         const sign = new THREE.Mesh(signGeometry, signMaterial);
         sign.position.set(0, height + 0.5, depth/2 - 0.1);
         storeGroup.add(sign);
@@ -2897,8 +4482,8 @@ class MrBeanGame {
         const interiorGroup = new THREE.Group();
         
         // Floor
-        const floorGeometry = new THREE.PlaneGeometry(width - 0.2, depth - 0.2);
-        const floorMaterial = new THREE.MeshStandardMaterial({ color: 0xCCCCCC });
+        const floorGeometry = this.resources.geometry('Plane', [width - 0.2, depth - 0.2]);
+        const floorMaterial = this.resources.material('MeshStandard', { color: 0xCCCCCC });
         const floor = new THREE.Mesh(floorGeometry, floorMaterial);
         floor.rotation.x = -Math.PI / 2;
         floor.position.y = 0.01;
@@ -2921,16 +4506,25 @@ class MrBeanGame {
         // Add counter
         const counter = this.createCounter();
         counter.position.set(0, 0, -3);
+        counter.userData.shopType = type;
+        this.shopCounters.push(counter);
         interiorGroup.add(counter);
 
+        // Shopkeeper waits behind the counter
+        const shopkeeper = this.createNPC();
+        interiorGroup.add(shopkeeper);
+        shopkeeper.position.set(0, 0, -3.6);
+        shopkeeper.userData.name = 'Shopkeeper';
+        shopkeeper.userData.shopType = type;
+        storeGroup.shopkeeper = shopkeeper;
+
         storeGroup.add(interiorGroup);
 
-        // Add collision box
-        const collider = new THREE.Box3(
-            new THREE.Vector3(-width/2, 0, -depth/2),
-            new THREE.Vector3(width/2, height, depth/2)
+        // Walkable floor space, in store-local coordinates
+        storeGroup.interiorBounds = new THREE.Box3(
+            new THREE.Vector3(-width / 2 + wallThickness, 0, -depth / 2 + wallThickness),
+            new THREE.Vector3(width / 2 - wallThickness, height, depth / 2 - wallThickness)
         );
-        storeGroup.collider = collider;
         storeGroup.isStore = true;
         storeGroup.type = type;
 
@@ -2947,8 +4541,8 @@ class MrBeanGame {
         const shelfGroup = new THREE.Group();
         
         // Shelf structure
-        const shelfGeometry = new THREE.BoxGeometry(2, 2, 0.5);
-        const shelfMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
+        const shelfGeometry = this.resources.geometry('Box', [2, 2, 0.5]);
+        const shelfMaterial = this.resources.material('MeshStandard', { color: 0x8B4513 });
         const shelf = new THREE.Mesh(shelfGeometry, shelfMaterial);
         shelf.position.y = 1;
         shelfGroup.add(shelf);
@@ -2958,6 +4552,8 @@ class MrBeanGame {
         products.position.y = 1;
         shelfGroup.add(products);
 
+        shelfGroup.userData.collision = { type: 'box', min: [-1, 0, -0.25], max: [1, 2, 0.25] };
+
         return shelfGroup;
     }
 
@@ -2974,8 +4570,8 @@ class MrBeanGame {
         const productColors = colors[storeType] || colors.grocery;
         
         for (let i = 0; i < 6; i++) {
-            const productGeometry = new THREE.BoxGeometry(0.3, 0.3, 0.3);
-            const productMaterial = new THREE.MeshStandardMaterial({ 
+            const productGeometry = this.resources.geometry('Box', [0.3, 0.3, 0.3]);
+            const productMaterial = this.resources.material('MeshStandard', { 
                 color: productColors[i % 3],
                 metalness: 0.3
             });
@@ -2994,19 +4590,21 @@ class MrBeanGame {
     createCounter() {
         const counterGroup = new THREE.Group();
         
-        const counterGeometry = new THREE.BoxGeometry(3, 1, 0.8);
-        const counterMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
+        const counterGeometry = this.resources.geometry('Box', [3, 1, 0.8]);
+        const counterMaterial = this.resources.material('MeshStandard', { color: 0x8B4513 });
         const counter = new THREE.Mesh(counterGeometry, counterMaterial);
         counter.position.y = 0.5;
         counterGroup.add(counter);
 
         // Add cash register
-        const registerGeometry = new THREE.BoxGeometry(0.4, 0.3, 0.3);
-        const registerMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
+        const registerGeometry = this.resources.geometry('Box', [0.4, 0.3, 0.3]);
+        const registerMaterial = this.resources.material('MeshStandard', { color: 0x333333 });
         const register = new THREE.Mesh(registerGeometry, registerMaterial);
         register.position.set(0, 1, 0);
         counterGroup.add(register);
 
+        counterGroup.userData.collision = { type: 'box', min: [-1.5, 0, -0.4], max: [1.5, 1, 0.4] };
+
         return counterGroup;
     }
 
@@ -3026,9 +4624,6 @@ class MrBeanGame {
                 interact: new THREE.Audio(this.listener)
             };
 
-            // Create start screen
-            this.createStartScreen();
-
             // Load audio files with error handling
             const audioLoader = new THREE.AudioLoader();
             const loadAudioFile = (path, onSuccess) => {
@@ -3052,24 +4647,24 @@ class MrBeanGame {
             loadAudioFile('sounds/background_music.mp3', (buffer) => {
                 this.backgroundMusic.setBuffer(buffer);
                 this.backgroundMusic.setLoop(true);
-                this.backgroundMusic.setVolume(0.5);
+                this.backgroundMusic.setVolume(this.musicVolume);
             });
 
             // Load sound effects
             loadAudioFile('sounds/footsteps.mp3', (buffer) => {
                 this.soundEffects.footsteps.setBuffer(buffer);
                 this.soundEffects.footsteps.setLoop(true);
-                this.soundEffects.footsteps.setVolume(0.3);
+                this.soundEffects.footsteps.setVolume(this.sfxVolume);
             });
 
             loadAudioFile('sounds/door_open.mp3', (buffer) => {
                 this.soundEffects.doorOpen.setBuffer(buffer);
-                this.soundEffects.doorOpen.setVolume(0.4);
+                this.soundEffects.doorOpen.setVolume(this.sfxVolume);
             });
 
             loadAudioFile('sounds/interact.mp3', (buffer) => {
                 this.soundEffects.interact.setBuffer(buffer);
-                this.soundEffects.interact.setVolume(0.4);
+                this.soundEffects.interact.setVolume(this.sfxVolume);
             });
 
             // Add audio controls with better feedback
@@ -3122,8 +4717,8 @@ class MrBeanGame {
             }
             // Enable sound effects
             this.soundEffectsEnabled = true;
-            // Remove start screen
-            document.body.removeChild(startScreen);
+            // Leaving the title state removes the start screen
+            this.gameState.transition('playing');
             // Play a test sound to verify audio is working
             if (this.soundEffects.interact && this.soundEffects.interact.buffer) {
                 this.soundEffects.interact.play();
@@ -3133,6 +4728,7 @@ class MrBeanGame {
         startScreen.appendChild(title);
         startScreen.appendChild(startButton);
         document.body.appendChild(startScreen);
+        this.startScreen = startScreen;
     }
 
     createAudioControls() {
@@ -3149,6 +4745,8 @@ class MrBeanGame {
         optionsMenu.style.fontFamily = 'Arial, sans-serif';
         optionsMenu.style.zIndex = '1000';
         optionsMenu.style.minWidth = '300px';
+        optionsMenu.style.maxHeight = '90vh';
+        optionsMenu.style.overflowY = 'auto';
         optionsMenu.style.display = 'none';
 
         // Add title
@@ -3157,6 +4755,7 @@ class MrBeanGame {
         title.style.textAlign = 'center';
         title.style.marginBottom = '20px';
         optionsMenu.appendChild(title);
+        this.optionsMenuTitle = title;
 
         // Create volume controls
         const createVolumeControl = (label, initialValue, onChange) => {
@@ -3189,6 +4788,12 @@ class MrBeanGame {
                 onChange(slider.value / 100);
             };
 
+            // Lets loaded settings move the slider without firing onChange
+            container.setValue = (value) => {
+                slider.value = Math.round(value * 100);
+                valueDisplay.textContent = `${slider.value}%`;
+            };
+
             sliderContainer.appendChild(slider);
             sliderContainer.appendChild(valueDisplay);
             container.appendChild(sliderContainer);
@@ -3197,22 +4802,26 @@ class MrBeanGame {
         };
 
         // Add music volume control
-        optionsMenu.appendChild(createVolumeControl('Background Music Volume', 0.2, (value) => {
-            if (this.backgroundMusic) {
-                this.backgroundMusic.setVolume(value);
-            }
-        }));
+        this.musicVolumeControl = createVolumeControl('Background Music Volume', this.musicVolume, (value) => {
+            this.setMusicVolume(value);
+        });
+        optionsMenu.appendChild(this.musicVolumeControl);
 
         // Add sound effects volume control
-        optionsMenu.appendChild(createVolumeControl('Sound Effects Volume', 0.3, (value) => {
-            if (this.soundEffects) {
-                Object.values(this.soundEffects).forEach(sound => {
-                    if (sound) {
-                        sound.setVolume(value);
-                    }
-                });
-            }
-        }));
+        this.sfxVolumeControl = createVolumeControl('Sound Effects Volume', this.sfxVolume, (value) => {
+            this.setSfxVolume(value);
+        });
+        optionsMenu.appendChild(this.sfxVolumeControl);
+
+        // Add camera style
+        optionsMenu.appendChild(this.createQualityMenu());
+        optionsMenu.appendChild(this.createCameraMenu());
+
+        // Add save/load slots
+        optionsMenu.appendChild(this.createSaveMenu());
+
+        // Add key bindings
+        optionsMenu.appendChild(this.createControlsMenu());
 
         // Add close button
         const closeButton = document.createElement('button');
@@ -3225,9 +4834,7 @@ class MrBeanGame {
         closeButton.style.borderRadius = '5px';
         closeButton.style.color = 'white';
         closeButton.style.cursor = 'pointer';
-        closeButton.onclick = () => {
-            optionsMenu.style.display = 'none';
-        };
+        closeButton.onclick = () => this.resumeGame();
         optionsMenu.appendChild(closeButton);
 
         // Add to document
@@ -3246,6 +4853,12 @@ class MrBeanGame {
         audioControls.style.fontFamily = 'Arial, sans-serif';
         audioControls.style.zIndex = '1000';
 
+        // Game clock
+        this.clockDisplay = document.createElement('span');
+        this.clockDisplay.style.marginRight = '10px';
+        audioControls.appendChild(this.clockDisplay);
+        this.updateClockDisplay();
+
         // Music toggle button
         const musicButton = document.createElement('button');
         musicButton.textContent = '🎵 Music: Off';
@@ -3281,6 +4894,308 @@ class MrBeanGame {
         audioControls.appendChild(musicButton);
         audioControls.appendChild(sfxButton);
         document.body.appendChild(audioControls);
+        this.audioControls = audioControls;
+    }
+
+    setMusicVolume(value) {
+        this.musicVolume = value;
+        this.updateMusicVolume();
+        if (this.musicVolumeControl) {
+            this.musicVolumeControl.setValue(value);
+        }
+    }
+
+    // Music is muffled while indoors
+    updateMusicVolume() {
+        if (this.backgroundMusic) {
+            // Quieter indoors, and ducked while paused or talking
+            const stateLevel = this.gameState.getDefinition().musicLevel;
+            this.backgroundMusic.setVolume(this.musicVolume * (this.currentInterior ? 0.4 : 1) * stateLevel);
+        }
+    }
+
+    setSfxVolume(value) {
+        this.sfxVolume = value;
+        if (this.soundEffects) {
+            Object.values(this.soundEffects).forEach(sound => {
+                if (sound) {
+                    sound.setVolume(value);
+                }
+            });
+        }
+        if (this.sfxVolumeControl) {
+            this.sfxVolumeControl.setValue(value);
+        }
+    }
+
+    createQualityMenu() {
+        const container = document.createElement('div');
+        container.style.marginTop = '20px';
+
+        const title = document.createElement('div');
+        title.textContent = 'Graphics';
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '10px';
+        container.appendChild(title);
+
+        const select = document.createElement('select');
+        select.style.padding = '3px';
+        const autoOption = document.createElement('option');
+        autoOption.value = 'auto';
+        autoOption.textContent = 'Automatic';
+        select.appendChild(autoOption);
+        QUALITY_LEVELS.forEach(level => {
+            const option = document.createElement('option');
+            option.value = level;
+            option.textContent = QUALITY_PRESETS[level].label;
+            select.appendChild(option);
+        });
+        select.onchange = () => {
+            if (select.value === 'auto') {
+                this.quality.setAuto(true);
+            } else {
+                this.quality.setLevel(select.value, false);
+            }
+        };
+        container.appendChild(select);
+        this.qualitySelect = select;
+
+        const hint = document.createElement('div');
+        hint.style.fontSize = '0.9em';
+        hint.style.color = '#ccc';
+        hint.style.marginTop = '5px';
+        container.appendChild(hint);
+        this.qualityHint = hint;
+
+        const outlineLabel = document.createElement('label');
+        outlineLabel.style.display = 'block';
+        outlineLabel.style.marginTop = '10px';
+        outlineLabel.style.cursor = 'pointer';
+        const outlineCheckbox = document.createElement('input');
+        outlineCheckbox.type = 'checkbox';
+        outlineCheckbox.style.marginRight = '5px';
+        outlineCheckbox.onchange = () => this.quality.setOutlines(outlineCheckbox.checked);
+        outlineLabel.appendChild(outlineCheckbox);
+        outlineLabel.appendChild(document.createTextNode('Cartoon outlines (High and Ultra)'));
+        container.appendChild(outlineLabel);
+        this.outlineCheckbox = outlineCheckbox;
+
+        this.updateQualityMenu();
+        return container;
+    }
+
+    updateQualityMenu() {
+        if (!this.qualitySelect) return;
+
+        this.qualitySelect.value = this.quality.auto ? 'auto' : this.quality.level;
+        this.outlineCheckbox.checked = this.quality.outlines;
+        this.qualityHint.textContent = this.quality.auto ?
+            `Currently ${this.quality.getPreset().label}. Detail is lowered while the game runs slowly and raised again when there's room.` :
+            'Covers resolution, shadows, fog, grass, sky details, drawing distance and outlines.';
+    }
+
+    createCameraMenu() {
+        const container = document.createElement('div');
+        container.style.marginTop = '20px';
+
+        const title = document.createElement('div');
+        title.textContent = 'Camera';
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '10px';
+        container.appendChild(title);
+
+        const select = document.createElement('select');
+        select.style.padding = '3px';
+        CAMERA_STYLES.forEach(style => {
+            const option = document.createElement('option');
+            option.value = style.id;
+            option.textContent = style.label;
+            select.appendChild(option);
+        });
+        select.value = this.getCameraStyle().id;
+        select.onchange = () => {
+            const style = CAMERA_STYLES.find(s => s.id === select.value);
+            this.setCameraMode(style.isFirstPerson, style.freeLook);
+        };
+        container.appendChild(select);
+        this.cameraStyleSelect = select;
+
+        const hint = document.createElement('div');
+        hint.textContent = 'Free styles move relative to the camera. Drag to orbit, or click the game to look around with the mouse.';
+        hint.style.fontSize = '0.9em';
+        hint.style.color = '#ccc';
+        hint.style.marginTop = '5px';
+        container.appendChild(hint);
+
+        return container;
+    }
+
+    createControlsMenu() {
+        const container = document.createElement('div');
+        container.style.marginTop = '20px';
+
+        const title = document.createElement('div');
+        title.textContent = 'Controls';
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '10px';
+        container.appendChild(title);
+
+        this.controlsMenuList = document.createElement('div');
+        container.appendChild(this.controlsMenuList);
+
+        // Shows the action a key is already used by
+        this.controlsMenuNotice = document.createElement('div');
+        this.controlsMenuNotice.style.fontSize = '0.9em';
+        this.controlsMenuNotice.style.color = '#FFB74D';
+        this.controlsMenuNotice.style.minHeight = '1.2em';
+        container.appendChild(this.controlsMenuNotice);
+
+        const resetButton = document.createElement('button');
+        resetButton.textContent = 'Reset to defaults';
+        resetButton.style.marginTop = '5px';
+        resetButton.style.padding = '3px 10px';
+        resetButton.style.backgroundColor = '#666';
+        resetButton.style.border = 'none';
+        resetButton.style.borderRadius = '5px';
+        resetButton.style.color = 'white';
+        resetButton.style.cursor = 'pointer';
+        resetButton.onclick = () => {
+            this.input.cancelCapture();
+            this.input.resetBindings();
+            this.controlsMenuNotice.textContent = '';
+        };
+        container.appendChild(resetButton);
+
+        this.input.addEventListener('bindings', () => this.updateControlsMenu());
+        this.updateControlsMenu();
+
+        return container;
+    }
+
+    updateControlsMenu() {
+        this.controlsMenuList.innerHTML = '';
+        Object.entries(ACTIONS).forEach(([action, definition]) => {
+            // Reply keys are fixed and documented in the README
+            if (definition.fixed) return;
+
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.marginBottom = '5px';
+
+            const label = document.createElement('span');
+            label.style.flex = '1';
+            label.style.fontSize = '0.9em';
+            label.textContent = definition.label;
+            row.appendChild(label);
+
+            const button = document.createElement('button');
+            button.textContent = InputManager.getKeyLabel(this.input.getBinding(action));
+            button.style.minWidth = '80px';
+            button.style.padding = '3px 10px';
+            button.style.backgroundColor = '#4CAF50';
+            button.style.border = 'none';
+            button.style.borderRadius = '5px';
+            button.style.color = 'white';
+            button.style.cursor = 'pointer';
+            button.onclick = () => {
+                button.textContent = 'Press a key...';
+                this.controlsMenuNotice.textContent = 'Press Escape to cancel.';
+                this.input.captureNextKey(code => {
+                    this.controlsMenuNotice.textContent = '';
+                    if (code) {
+                        const result = this.input.rebind(action, code);
+                        if (result.conflict) {
+                            this.controlsMenuNotice.textContent =
+                                `${InputManager.getKeyLabel(code)} is already used for "${ACTIONS[result.conflict].label}".`;
+                        }
+                    }
+                    this.updateControlsMenu();
+                });
+            };
+            row.appendChild(button);
+
+            this.controlsMenuList.appendChild(row);
+        });
+    }
+
+    createSaveMenu() {
+        const container = document.createElement('div');
+        container.style.marginTop = '20px';
+
+        const title = document.createElement('div');
+        title.textContent = 'Saved Games';
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '10px';
+        container.appendChild(title);
+
+        if (!this.saveManager.isAvailable()) {
+            const notice = document.createElement('div');
+            notice.textContent = 'Saving is not available in this browser.';
+            notice.style.fontSize = '0.9em';
+            container.appendChild(notice);
+            return container;
+        }
+
+        this.saveMenuList = document.createElement('div');
+        container.appendChild(this.saveMenuList);
+        this.updateSaveMenu();
+
+        return container;
+    }
+
+    updateSaveMenu() {
+        const createButton = (label, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.style.padding = '3px 10px';
+            button.style.marginLeft = '5px';
+            button.style.backgroundColor = '#4CAF50';
+            button.style.border = 'none';
+            button.style.borderRadius = '5px';
+            button.style.color = 'white';
+            button.style.cursor = 'pointer';
+            button.onclick = onClick;
+            return button;
+        };
+
+        this.saveMenuList.innerHTML = '';
+        this.saveManager.listSlots().forEach(info => {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.marginBottom = '5px';
+
+            const label = document.createElement('span');
+            label.style.flex = '1';
+            label.style.fontSize = '0.9em';
+            const slotName = info.slot === 'autosave' ? 'Autosave' : `Slot ${info.slot.replace('slot', '')}`;
+            label.textContent = info.exists ?
+                `${slotName} - ${new Date(info.savedAt).toLocaleString()}` :
+                `${slotName} - Empty`;
+            row.appendChild(label);
+
+            // The autosave slot is written by the game only
+            if (info.slot !== 'autosave') {
+                row.appendChild(createButton('Save', () => {
+                    if (this.saveGame(info.slot)) {
+                        this.showInteractionMessage('Game Saved', `Saved to ${slotName}.`);
+                    }
+                }));
+            }
+
+            if (info.exists) {
+                row.appendChild(createButton('Load', () => {
+                    if (this.loadGame(info.slot)) {
+                        this.showInteractionMessage('Game Loaded', `Loaded ${slotName}.`);
+                    } else {
+                        this.showInteractionMessage('Load Failed', `${slotName} could not be loaded.`);
+                    }
+                }));
+            }
+
+            this.saveMenuList.appendChild(row);
+        });
     }
 
     showInteractionMessage(name, message) {
@@ -3291,9 +5206,7 @@ class MrBeanGame {
         this.dialogElement.style.display = 'block';
         
         // Hide the message after 2 seconds
-        setTimeout(() => {
-            this.hideDialog();
-        }, 2000);
+        this.hideDialogLater(2000);
     }
 }
 
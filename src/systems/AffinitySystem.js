@@ -0,0 +1,122 @@
+import { EventDispatcher } from 'three';
+
+// AffinitySystem keeps a score per main NPC in npc.userData.affinity and
+// changes it from chat keywords, completed challenges and gifts.
+// Dispatches 'change' with { npc, score, delta, band, previousBand }.
+
+const MIN_AFFINITY = -100;
+const MAX_AFFINITY = 100;
+
+// Ordered from worst to best; a score belongs to the first band whose max it does not exceed.
+// tone is the coarser split the chat responses use.
+const AFFINITY_BANDS = [
+    { id: 'hostile', max: -50, icon: '😠', tone: 'cold' },
+    { id: 'cool', max: -15, icon: '😒', tone: 'cold' },
+    { id: 'neutral', max: 15, icon: '😐', tone: 'neutral' },
+    { id: 'warm', max: 50, icon: '🙂', tone: 'warm' },
+    { id: 'fond', max: MAX_AFFINITY, icon: '😊', tone: 'warm' }
+];
+
+class AffinitySystem extends EventDispatcher {
+    constructor(data) {
+        super();
+        this.data = data;
+        this.npcs = [];
+    }
+
+    static getBand(score) {
+        return AFFINITY_BANDS.find(band => score <= band.max);
+    }
+
+    register(npc) {
+        const config = this.data[npc.userData.name];
+        if (!config) return;
+
+        npc.userData.affinity = config.initial;
+        this.npcs.push(npc);
+    }
+
+    isTracked(npc) {
+        return this.npcs.includes(npc);
+    }
+
+    findByName(name) {
+        return this.npcs.find(npc => npc.userData.name === name) || null;
+    }
+
+    getScore(npc) {
+        return npc.userData.affinity;
+    }
+
+    getBandFor(npc) {
+        return AffinitySystem.getBand(npc.userData.affinity);
+    }
+
+    change(npc, delta) {
+        if (!this.isTracked(npc) || delta === 0) return;
+
+        const previousBand = this.getBandFor(npc);
+        const score = Math.max(MIN_AFFINITY, Math.min(MAX_AFFINITY, npc.userData.affinity + delta));
+        if (score === npc.userData.affinity) return;
+
+        npc.userData.affinity = score;
+        this.dispatchEvent({
+            type: 'change',
+            npc: npc,
+            score: score,
+            delta: delta,
+            band: this.getBandFor(npc),
+            previousBand: previousBand
+        });
+    }
+
+    // usedKeywords is a Set kept per conversation so repeating a word does not farm points
+    applyKeywords(npc, message, usedKeywords) {
+        const config = this.data[npc.userData.name];
+        if (!config) return;
+
+        Object.entries(config.keywords).forEach(([keyword, delta]) => {
+            if (message.includes(keyword) && !usedKeywords.has(keyword)) {
+                usedKeywords.add(keyword);
+                this.change(npc, delta);
+            }
+        });
+    }
+
+    onChallengeCompleted(challengeId) {
+        this.npcs.forEach(npc => {
+            const delta = this.data[npc.userData.name].challenges[challengeId];
+            if (delta) this.change(npc, delta);
+        });
+    }
+
+    onGift(npc, itemId) {
+        const config = this.data[npc.userData.name];
+        if (config && config.gifts[itemId]) {
+            this.change(npc, config.gifts[itemId]);
+        }
+    }
+
+    toJSON() {
+        return Object.fromEntries(this.npcs.map(npc => [npc.userData.name, npc.userData.affinity]));
+    }
+
+    fromJSON(data) {
+        this.npcs.forEach(npc => {
+            const saved = data ? data[npc.userData.name] : undefined;
+            const score = typeof saved === 'number' ? saved : this.data[npc.userData.name].initial;
+            const previousBand = this.getBandFor(npc);
+            npc.userData.affinity = score;
+            this.dispatchEvent({
+                type: 'change',
+                npc: npc,
+                score: score,
+                delta: 0,
+                band: this.getBandFor(npc),
+                previousBand: previousBand
+            });
+        });
+    }
+}
+
+export { AffinitySystem, AFFINITY_BANDS };
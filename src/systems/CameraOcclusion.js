@@ -0,0 +1,145 @@
+import { Box3, Raycaster, Vector3 } from 'three';
+
+// CameraOcclusion keeps the third-person camera from ending up inside
+// buildings, and fades out props that stand between the camera and Mr. Bean.
+//
+// Both use the static colliders in the CollisionSystem. The camera is pulled in
+// along the line from its pivot (Mr. Bean's head) wherever a box collider
+// blocks it; upright cylinders (trees, lamp posts) are too thin to be worth
+// jumping the camera for, so those are faded instead. Props near the
+// camera-to-pivot line are found through the collision grid and only their
+// meshes are raycast.
+//
+// Faded meshes get their own copies of their materials, since materials are
+// shared between props; the originals are put back once fully faded in.
+// Instanced stand-ins (see InstanceBatcher.js) are drawn on their own while
+// faded.
+
+const DEFAULT_OPTIONS = {
+    // Gap kept between the camera and whatever blocks it
+    padding: 0.3,
+    // The camera never comes closer to the pivot than this
+    minDistance: 0.5,
+    // Opacity of props in the way
+    fadeOpacity: 0.3,
+    // Opacity change per second
+    fadeRate: 4,
+    // How far from the line props are looked for; covers canopies around thin trunks
+    searchMargin: 2
+};
+
+class CameraOcclusion {
+    constructor(collisionSystem, options = {}) {
+        this.collisionSystem = collisionSystem;
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+        this.raycaster = new Raycaster();
+        // Instanced stand-ins live on a layer of their own
+        this.raycaster.layers.enableAll();
+        // object -> current opacity
+        this.faded = new Map();
+    }
+
+    static blocksCamera(collider) {
+        return !collider.cylinder;
+    }
+
+    // Writes into out the point on the way from pivot to desired that the camera can safely take
+    resolve(pivot, desired, out = new Vector3()) {
+        const direction = desired.clone().sub(pivot);
+        const distance = direction.length();
+        if (distance === 0) return out.copy(desired);
+        direction.divideScalar(distance);
+
+        const hit = this.collisionSystem.raycast(pivot, direction, distance, CameraOcclusion.blocksCamera);
+        if (!hit) return out.copy(desired);
+
+        const allowed = Math.max(hit.distance - this.options.padding, Math.min(this.options.minDistance, distance));
+        return out.copy(pivot).addScaledVector(direction, allowed);
+    }
+
+    // Returns the props whose meshes cross the line from the camera to the pivot
+    findOccluders(cameraPosition, pivot) {
+        const bounds = new Box3().setFromPoints([cameraPosition, pivot]).expandByScalar(this.options.searchMargin);
+        const candidates = new Set(this.collisionSystem.queryBox(bounds)
+            .map(collider => collider.data.object)
+            .filter(object => object));
+        if (candidates.size === 0) return new Set();
+
+        const direction = pivot.clone().sub(cameraPosition);
+        const distance = direction.length();
+        this.raycaster.set(cameraPosition, direction.divideScalar(distance));
+        this.raycaster.far = distance;
+
+        const occluders = new Set();
+        this.raycaster.intersectObjects([...candidates], true).forEach(intersection => {
+            // The prop the hit mesh belongs to
+            let object = intersection.object;
+            while (object && !candidates.has(object)) object = object.parent;
+            if (object) occluders.add(object);
+        });
+        return occluders;
+    }
+
+    // Fades props in the way out and everything else back in; pass a null pivot to fade everything in
+    update(cameraPosition, pivot, dt) {
+        const occluders = pivot ? this.findOccluders(cameraPosition, pivot) : new Set();
+        occluders.forEach(object => {
+            if (!this.faded.has(object)) this.faded.set(object, 1);
+        });
+
+        const step = this.options.fadeRate * dt;
+        this.faded.forEach((opacity, object) => {
+            const target = occluders.has(object) ? this.options.fadeOpacity : 1;
+            const next = opacity < target ? Math.min(opacity + step, target) : Math.max(opacity - step, target);
+            if (next >= 1) {
+                CameraOcclusion.restoreMaterials(object);
+                this.faded.delete(object);
+                return;
+            }
+            CameraOcclusion.setOpacity(object, next);
+            this.faded.set(object, next);
+        });
+    }
+
+    static setOpacity(object, opacity) {
+        object.traverse(child => {
+            if (!child.isMesh) return;
+
+            if (!child.userData.fadeOriginalMaterial) {
+                child.userData.fadeOriginalMaterial = child.material;
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                const copies = materials.map(material => {
+                    const copy = material.clone();
+                    // Glass and the like stay relatively as see-through as they were
+                    copy.userData.baseOpacity = material.opacity;
+                    copy.transparent = true;
+                    copy.depthWrite = false;
+                    // OutlineEffect would still draw the full outline around a see-through prop
+                    copy.userData.outlineParameters = { visible: false };
+                    return copy;
+                });
+                child.material = Array.isArray(child.material) ? copies : copies[0];
+                child.userData.fadeLayers = child.layers.mask;
+                child.layers.enable(0);
+            }
+
+            (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+                material.opacity = material.userData.baseOpacity * opacity;
+            });
+        });
+    }
+
+    static restoreMaterials(object) {
+        object.traverse(child => {
+            if (!child.isMesh || !child.userData.fadeOriginalMaterial) return;
+
+            (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => material.dispose());
+            child.material = child.userData.fadeOriginalMaterial;
+            child.layers.mask = child.userData.fadeLayers;
+            delete child.userData.fadeOriginalMaterial;
+            delete child.userData.fadeLayers;
+        });
+    }
+}
+
+export { CameraOcclusion };
@@ -0,0 +1,197 @@
+import { Box3, Ray, Vector3 } from 'three';
+
+// CollisionSystem holds the static world colliders in a uniform grid over the
+// XZ plane. Colliders are world-space Box3s registered once while the world is
+// built, so a query only tests the boxes in the grid cells it overlaps instead
+// of walking the scene graph.
+//
+// Colliders can be switched off and on again (closed store doors) without
+// being re-registered.
+//
+// Prop factories describe their shapes as metadata in object.userData.collision,
+// in the object's local space, and setupCollisions() registers them:
+//   { type: 'box', min: [x, y, z], max: [x, y, z] }
+//   { type: 'cylinder', radius: r, height: h, center: [x, y, z] }  - upright, center is the base (default origin)
+//   { type: 'compound', shapes: [shape, ...] }
+
+const DEFAULT_CELL_SIZE = 8;
+
+class CollisionSystem {
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+        // "ix,iz" -> [collider]
+        this.cells = new Map();
+        // id -> { id, box, cylinder, data, enabled, stamp }; box is the bounds of a cylinder
+        this.colliders = new Map();
+        this.nextId = 0;
+        // Bumped per query so a collider spanning several cells is only tested once
+        this.queryStamp = 0;
+    }
+
+    forEachCell(box, callback) {
+        const minX = Math.floor(box.min.x / this.cellSize);
+        const maxX = Math.floor(box.max.x / this.cellSize);
+        const minZ = Math.floor(box.min.z / this.cellSize);
+        const maxZ = Math.floor(box.max.z / this.cellSize);
+        for (let ix = minX; ix <= maxX; ix++) {
+            for (let iz = minZ; iz <= maxZ; iz++) {
+                callback(`${ix},${iz}`);
+            }
+        }
+    }
+
+    // Registers a world-space box; returns its id
+    addBox(box, data = {}) {
+        return this.addCollider(box.clone(), null, data);
+    }
+
+    // Registers an upright world-space cylinder standing on base; returns its id
+    addCylinder(base, radius, height, data = {}) {
+        const box = new Box3(
+            new Vector3(base.x - radius, base.y, base.z - radius),
+            new Vector3(base.x + radius, base.y + height, base.z + radius)
+        );
+        return this.addCollider(box, { x: base.x, z: base.z, radius: radius }, data);
+    }
+
+    addCollider(box, cylinder, data) {
+        const collider = { id: this.nextId++, box: box, cylinder: cylinder, data: data, enabled: true, stamp: 0 };
+        this.colliders.set(collider.id, collider);
+        this.forEachCell(collider.box, key => {
+            if (!this.cells.has(key)) this.cells.set(key, []);
+            this.cells.get(key).push(collider);
+        });
+        return collider.id;
+    }
+
+    // Registers a collision shape given in the object's local space; returns the ids of the colliders added
+    addShape(object, shape, data = {}) {
+        object.updateWorldMatrix(true, false);
+        const colliderData = Object.assign({ object: object }, data);
+
+        switch (shape.type) {
+            case 'box': {
+                const box = new Box3(new Vector3().fromArray(shape.min), new Vector3().fromArray(shape.max));
+                return [this.addBox(box.applyMatrix4(object.matrixWorld), colliderData)];
+            }
+            case 'cylinder': {
+                const base = new Vector3().fromArray(shape.center || [0, 0, 0]).applyMatrix4(object.matrixWorld);
+                const scale = new Vector3().setFromMatrixScale(object.matrixWorld);
+                return [this.addCylinder(base, shape.radius * Math.max(scale.x, scale.z), shape.height * scale.y, colliderData)];
+            }
+            case 'compound':
+                return shape.shapes.flatMap(part => this.addShape(object, part, data));
+            default:
+                console.warn(`Unknown collision shape type "${shape.type}"`);
+                return [];
+        }
+    }
+
+    remove(id) {
+        const collider = this.colliders.get(id);
+        if (!collider) return;
+
+        this.forEachCell(collider.box, key => {
+            const cell = this.cells.get(key);
+            cell.splice(cell.indexOf(collider), 1);
+            if (cell.length === 0) this.cells.delete(key);
+        });
+        this.colliders.delete(id);
+    }
+
+    setEnabled(id, enabled) {
+        const collider = this.colliders.get(id);
+        if (collider) collider.enabled = enabled;
+    }
+
+    // Returns the enabled colliders that intersect the box
+    queryBox(box, results = []) {
+        const stamp = ++this.queryStamp;
+        this.forEachCell(box, key => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+            cell.forEach(collider => {
+                if (collider.stamp === stamp) return;
+                collider.stamp = stamp;
+                if (collider.enabled && collider.box.intersectsBox(box) &&
+                    (!collider.cylinder || CollisionSystem.cylinderIntersectsBox(collider.cylinder, box))) {
+                    results.push(collider);
+                }
+            });
+        });
+        return results;
+    }
+
+    // The box bounds already overlap in Y, so only the circle needs testing in XZ
+    static cylinderIntersectsBox(cylinder, box) {
+        const dx = Math.max(box.min.x, Math.min(cylinder.x, box.max.x)) - cylinder.x;
+        const dz = Math.max(box.min.z, Math.min(cylinder.z, box.max.z)) - cylinder.z;
+        return dx * dx + dz * dz <= cylinder.radius * cylinder.radius;
+    }
+
+    intersectsBox(box) {
+        return this.queryBox(box).length > 0;
+    }
+
+    // Returns { collider, distance } for the nearest enabled collider hit by the
+    // ray from origin along the (normalized) direction within far, or null.
+    // Cylinders are tested by their bounding box. Colliders the origin is
+    // already inside are ignored, and filter(collider) can skip others.
+    raycast(origin, direction, far, filter = null) {
+        const ray = new Ray(origin, direction);
+        const end = ray.at(far, new Vector3());
+        const bounds = new Box3().setFromPoints([origin, end]);
+        const hitPoint = new Vector3();
+
+        let nearest = null;
+        this.queryBox(bounds).forEach(collider => {
+            if (filter && !filter(collider)) return;
+            if (collider.box.containsPoint(origin)) return;
+            if (!ray.intersectBox(collider.box, hitPoint)) return;
+
+            const distance = hitPoint.distanceTo(origin);
+            if (distance <= far && (!nearest || distance < nearest.distance)) {
+                nearest = { collider: collider, distance: distance };
+            }
+        });
+        return nearest;
+    }
+
+    // How far the box would have to move to clear everything it overlaps,
+    // summed over the colliders: each one is cleared along whichever of X or Z
+    // is shorter. Cylinders are measured by their bounding box.
+    overlapDepth(box) {
+        return this.queryBox(box).reduce((depth, collider) => {
+            const x = Math.min(box.max.x - collider.box.min.x, collider.box.max.x - box.min.x);
+            const z = Math.min(box.max.z - collider.box.min.z, collider.box.max.z - box.min.z);
+            return depth + Math.max(0, Math.min(x, z));
+        }, 0);
+    }
+
+    // Moves a box of the given size, centred on position, by delta and returns
+    // the new centre. When the full move is blocked each axis is tried on its
+    // own so movers slide along walls instead of stopping dead. A mover that
+    // already overlaps something (e.g. loaded into a wall) may only make moves
+    // that take it further out, so it can walk free but not through.
+    moveAndSlide(position, delta, size) {
+        const box = new Box3();
+        const target = new Vector3();
+        const startDepth = this.overlapDepth(box.setFromCenterAndSize(position, size));
+        const isFree = startDepth > 0 ?
+            point => this.overlapDepth(box.setFromCenterAndSize(point, size)) < startDepth :
+            point => !this.intersectsBox(box.setFromCenterAndSize(point, size));
+
+        if (isFree(target.copy(position).add(delta))) {
+            return target.clone();
+        }
+        if (delta.x !== 0 && isFree(target.set(position.x + delta.x, position.y, position.z))) {
+            return target.clone();
+        }
+        if (delta.z !== 0 && isFree(target.set(position.x, position.y, position.z + delta.z))) {
+            return target.clone();
+        }
+        return position.clone();
+    }
+}
+
+export { CollisionSystem };
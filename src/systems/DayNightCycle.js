@@ -0,0 +1,149 @@
+import { Color, EventDispatcher, Vector3 } from 'three';
+
+// DayNightCycle is the game clock. It runs a full day in dayLength real
+// seconds of play and works out the lighting for the time of day from the
+// keyframes below: sky (also the fog colour), sun colour and strength, ambient
+// and fill light, and how far the street lamps are turned up. The game applies
+// the lighting (see updateLighting() in main.js); this only does the sums.
+//
+// After dark the sun's light stands in for the moon, dim and blue, so there is
+// never a second shadow-casting light to pay for.
+//
+// Anything that depends on the time reads it from here: getHours(),
+// isBetween(from, to) (which wraps past midnight, e.g. 22 to 6), getPhase().
+// Quest steps and dialogue choices use it through "hours": [from, to].
+//
+// Dispatches 'phase' with { phase, previous } when the time moves from one of
+// night, dawn, day and dusk into the next.
+
+const DEFAULT_DAY_LENGTH = 24 * 60;
+const DEFAULT_START = 9;
+
+// Ordered by hour, covering 0 to 24 so every time falls between two of them
+const LIGHTING_KEYFRAMES = [
+    { hour: 0, sky: 0x0B1026, sun: 0x8899CC, sunIntensity: 0.15, ambient: 0.15, fill: 0.05, lamps: 1 },
+    { hour: 5, sky: 0x0B1026, sun: 0x8899CC, sunIntensity: 0.15, ambient: 0.15, fill: 0.05, lamps: 1 },
+    { hour: 6.5, sky: 0xF4A261, sun: 0xFFB070, sunIntensity: 0.5, ambient: 0.25, fill: 0.1, lamps: 0.5 },
+    { hour: 7.5, sky: 0x87CEEB, sun: 0xFFF2DD, sunIntensity: 0.8, ambient: 0.35, fill: 0.15, lamps: 0 },
+    { hour: 9, sky: 0x87CEEB, sun: 0xFFFFFF, sunIntensity: 1, ambient: 0.4, fill: 0.2, lamps: 0 },
+    { hour: 17, sky: 0x87CEEB, sun: 0xFFFFFF, sunIntensity: 1, ambient: 0.4, fill: 0.2, lamps: 0 },
+    { hour: 18.5, sky: 0xF4A261, sun: 0xFFB070, sunIntensity: 0.6, ambient: 0.3, fill: 0.15, lamps: 0 },
+    { hour: 19.5, sky: 0xB5566E, sun: 0xFF8C5A, sunIntensity: 0.3, ambient: 0.2, fill: 0.1, lamps: 1 },
+    { hour: 20.5, sky: 0x0B1026, sun: 0x8899CC, sunIntensity: 0.15, ambient: 0.15, fill: 0.05, lamps: 1 },
+    { hour: 24, sky: 0x0B1026, sun: 0x8899CC, sunIntensity: 0.15, ambient: 0.15, fill: 0.05, lamps: 1 }
+];
+
+// Start hour of each phase, in order
+const PHASES = [
+    { id: 'night', from: 0 },
+    { id: 'dawn', from: 5.5 },
+    { id: 'day', from: 8 },
+    { id: 'dusk', from: 18 },
+    { id: 'night', from: 20.5 }
+];
+
+// The sun rises due east and sets due west, leaning south at midday. The moon
+// takes the same path overnight; the light swaps over when both are dim.
+const SUNRISE = 5;
+const SUNSET = 20;
+const SUN_TILT = 0.5;
+// Keeps shadows from stretching across the whole town at dawn and dusk
+const MIN_LIGHT_ELEVATION = 0.25;
+
+class DayNightCycle extends EventDispatcher {
+    constructor({ hours = DEFAULT_START, dayLength = DEFAULT_DAY_LENGTH } = {}) {
+        super();
+        // Real seconds per game day
+        this.dayLength = dayLength;
+        this.hours = 0;
+        this.phase = null;
+        this.setHours(hours);
+
+        this.lighting = {
+            sky: new Color(),
+            sun: new Color(),
+            sunIntensity: 0,
+            ambient: 0,
+            fill: 0,
+            lamps: 0,
+            // Unit vector from the scene towards the sun (or moon)
+            lightDirection: new Vector3()
+        };
+        this.colorA = new Color();
+        this.colorB = new Color();
+    }
+
+    update(dt) {
+        this.setHours(this.hours + dt * 24 / this.dayLength);
+    }
+
+    setHours(hours) {
+        this.hours = ((hours % 24) + 24) % 24;
+
+        const phase = DayNightCycle.getPhaseAt(this.hours);
+        if (phase !== this.phase) {
+            const previous = this.phase;
+            this.phase = phase;
+            if (previous !== null) this.dispatchEvent({ type: 'phase', phase: phase, previous: previous });
+        }
+    }
+
+    getHours() {
+        return this.hours;
+    }
+
+    getPhase() {
+        return this.phase;
+    }
+
+    static getPhaseAt(hours) {
+        let phase = PHASES[0].id;
+        PHASES.forEach(entry => {
+            if (hours >= entry.from) phase = entry.id;
+        });
+        return phase;
+    }
+
+    // from and to in hours; a range that passes midnight (22 to 6) wraps around
+    isBetween(from, to) {
+        return from <= to ?
+            this.hours >= from && this.hours < to :
+            this.hours >= from || this.hours < to;
+    }
+
+    // "HH:MM", 24 hour clock
+    formatTime() {
+        const minutes = Math.floor(this.hours * 60);
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+    }
+
+    // Lighting for the current time; the returned object is reused between calls
+    getLighting() {
+        const index = LIGHTING_KEYFRAMES.findIndex(key => key.hour > this.hours);
+        const from = LIGHTING_KEYFRAMES[index - 1];
+        const to = LIGHTING_KEYFRAMES[index];
+        const t = (this.hours - from.hour) / (to.hour - from.hour);
+        const lerp = (a, b) => a + (b - a) * t;
+
+        const lighting = this.lighting;
+        lighting.sky.copy(this.colorA.setHex(from.sky)).lerp(this.colorB.setHex(to.sky), t);
+        lighting.sun.copy(this.colorA.setHex(from.sun)).lerp(this.colorB.setHex(to.sun), t);
+        lighting.sunIntensity = lerp(from.sunIntensity, to.sunIntensity);
+        lighting.ambient = lerp(from.ambient, to.ambient);
+        lighting.fill = lerp(from.fill, to.fill);
+        lighting.lamps = lerp(from.lamps, to.lamps);
+
+        // Angle along the sun's (or moon's) arc: 0 when it rises, PI when it sets
+        const angle = this.isBetween(SUNRISE, SUNSET) ?
+            ((this.hours - SUNRISE) / (SUNSET - SUNRISE)) * Math.PI :
+            (((this.hours - SUNSET + 24) % 24) / (24 - SUNSET + SUNRISE)) * Math.PI;
+        const direction = lighting.lightDirection.set(Math.cos(angle), Math.sin(angle), SUN_TILT);
+        direction.y = Math.max(direction.y, MIN_LIGHT_ELEVATION);
+        direction.normalize();
+
+        return lighting;
+    }
+}
+
+export { DayNightCycle };
@@ -0,0 +1,162 @@
+import { EventDispatcher } from 'three';
+
+// DebugOverlay is a toggleable panel for checking performance while playing:
+// frames per second, a graph of recent frame times, and whatever rows of
+// numbers the game hands it (draw calls, culling, the player's position...).
+// It also has checkboxes for the debug shapes drawn in the world
+// (see DebugShapes.js).
+//
+// Call frame() once per rendered frame. Frame times are recorded even while
+// hidden so the graph is already filled in when it's opened; the rows are
+// asked for through getRows() a few times a second, and only while shown.
+//
+// Dispatches 'toggle' with { name, enabled } when a checkbox changes.
+
+const HISTORY_LENGTH = 120;
+const REFRESH_INTERVAL = 250;
+// Frame times at 60 and 30 fps, drawn as guides on the graph
+const GRAPH_GUIDES = [1000 / 60, 1000 / 30];
+const GRAPH_MAX = 50;
+
+class DebugOverlay extends EventDispatcher {
+    constructor({ getRows = () => [], toggles = [] } = {}) {
+        super();
+        this.getRows = getRows;
+        this.frameTimes = new Float32Array(HISTORY_LENGTH);
+        this.frameIndex = 0;
+        this.lastFrame = null;
+        this.lastRefresh = performance.now();
+        this.framesSinceRefresh = 0;
+        this.fps = 0;
+        this.visible = false;
+        // Rows are refreshed on the next frame rather than after the interval
+        this.refreshNow = false;
+
+        this.createElements(toggles);
+    }
+
+    // toggles: [{ name, label }]
+    createElements(toggles) {
+        this.root = document.createElement('div');
+        this.root.style.position = 'fixed';
+        this.root.style.bottom = '10px';
+        this.root.style.left = '10px';
+        this.root.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        this.root.style.padding = '10px';
+        this.root.style.borderRadius = '10px';
+        this.root.style.color = 'white';
+        this.root.style.fontFamily = 'monospace';
+        this.root.style.fontSize = '12px';
+        this.root.style.zIndex = '1000';
+        this.root.style.minWidth = '240px';
+        this.root.style.display = 'none';
+
+        this.fpsElement = document.createElement('div');
+        this.fpsElement.style.fontWeight = 'bold';
+        this.fpsElement.style.marginBottom = '5px';
+        this.root.appendChild(this.fpsElement);
+
+        this.graph = document.createElement('canvas');
+        this.graph.width = HISTORY_LENGTH * 2;
+        this.graph.height = 50;
+        this.graph.style.display = 'block';
+        this.graph.style.width = '100%';
+        this.graph.style.marginBottom = '5px';
+        this.graph.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+        this.root.appendChild(this.graph);
+
+        this.rowsElement = document.createElement('div');
+        this.rowsElement.style.whiteSpace = 'pre';
+        this.root.appendChild(this.rowsElement);
+
+        toggles.forEach(({ name, label }) => {
+            const row = document.createElement('label');
+            row.style.display = 'block';
+            row.style.marginTop = '5px';
+            row.style.cursor = 'pointer';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.style.marginRight = '5px';
+            checkbox.addEventListener('change', () => {
+                this.dispatchEvent({ type: 'toggle', name: name, enabled: checkbox.checked });
+            });
+            row.appendChild(checkbox);
+            row.appendChild(document.createTextNode(label));
+            this.root.appendChild(row);
+        });
+
+        document.body.appendChild(this.root);
+    }
+
+    isVisible() {
+        return this.visible;
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.root.style.display = visible ? 'block' : 'none';
+        if (visible) this.refreshNow = true;
+    }
+
+    toggle() {
+        this.setVisible(!this.visible);
+    }
+
+    frame(now = performance.now()) {
+        if (this.lastFrame !== null) {
+            this.frameTimes[this.frameIndex] = now - this.lastFrame;
+            this.frameIndex = (this.frameIndex + 1) % HISTORY_LENGTH;
+        }
+        this.lastFrame = now;
+        this.framesSinceRefresh++;
+
+        if (now - this.lastRefresh >= REFRESH_INTERVAL) {
+            this.fps = Math.round(this.framesSinceRefresh * 1000 / (now - this.lastRefresh));
+            this.framesSinceRefresh = 0;
+            this.lastRefresh = now;
+            this.refreshNow = true;
+        }
+        if (!this.visible) return;
+
+        this.drawGraph();
+        if (!this.refreshNow) return;
+        this.refreshNow = false;
+
+        const latest = this.frameTimes[(this.frameIndex + HISTORY_LENGTH - 1) % HISTORY_LENGTH];
+        this.fpsElement.textContent = `FPS: ${this.fps}  (${latest.toFixed(1)} ms)`;
+        this.rowsElement.textContent = this.getRows()
+            .map(([label, value]) => `${label}: ${value}`)
+            .join('\n');
+    }
+
+    // Oldest frame on the left; bars over the 30 fps budget are red, over 60 fps yellow
+    drawGraph() {
+        const context = this.graph.getContext('2d');
+        const { width, height } = this.graph;
+        const barWidth = width / HISTORY_LENGTH;
+        context.clearRect(0, 0, width, height);
+
+        for (let i = 0; i < HISTORY_LENGTH; i++) {
+            const time = this.frameTimes[(this.frameIndex + i) % HISTORY_LENGTH];
+            const barHeight = Math.min(time / GRAPH_MAX, 1) * height;
+            context.fillStyle = time > GRAPH_GUIDES[1] ? '#F44336' : time > GRAPH_GUIDES[0] ? '#FFC107' : '#4CAF50';
+            context.fillRect(i * barWidth, height - barHeight, barWidth, barHeight);
+        }
+
+        context.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        GRAPH_GUIDES.forEach(time => {
+            const y = height - (time / GRAPH_MAX) * height;
+            context.beginPath();
+            context.moveTo(0, y);
+            context.lineTo(width, y);
+            context.stroke();
+        });
+    }
+
+    dispose() {
+        this.root.remove();
+    }
+}
+
+export { DebugOverlay };
@@ -0,0 +1,146 @@
+import {
+    Box3, Box3Helper, BufferGeometry, Color, CylinderGeometry, EdgesGeometry, Group, LineBasicMaterial,
+    LineLoop, LineSegments, SphereGeometry, Vector3, WireframeGeometry
+} from 'three';
+
+// DebugShapes draws wireframes of things that are otherwise invisible in the
+// world, each set switched on and off on its own:
+//   colliders - the CollisionSystem's boxes and cylinders (grey while disabled)
+//   triggers  - the TriggerSystem's volumes
+//   wander    - how far each main NPC may stray from where they started
+//
+// The wireframes are built the first time a set is shown and drawn through
+// walls, so they can be seen from anywhere.
+
+const COLORS = {
+    colliders: 0xFF3333,
+    disabledColliders: 0x888888,
+    triggers: 0x33CCFF,
+    wander: 0xFFCC00
+};
+const CIRCLE_SEGMENTS = 32;
+
+class DebugShapes {
+    constructor(parent, { collisionSystem, triggerSystem, npcs = [] }) {
+        this.collisionSystem = collisionSystem;
+        this.triggerSystem = triggerSystem;
+        this.npcs = npcs;
+
+        this.root = new Group();
+        this.root.name = 'debugShapes';
+        parent.add(this.root);
+
+        // name -> Group
+        this.sets = new Map();
+        // Collider and trigger wireframes next to what they show, for keeping them up to date
+        this.colliderLines = [];
+        this.triggerLines = [];
+    }
+
+    static createMaterial(color) {
+        return new LineBasicMaterial({ color: color, depthTest: false, transparent: true });
+    }
+
+    isEnabled(name) {
+        return this.sets.has(name) && this.sets.get(name).visible;
+    }
+
+    setEnabled(name, enabled) {
+        if (enabled && !this.sets.has(name)) {
+            const builders = {
+                colliders: () => this.buildColliders(),
+                triggers: () => this.buildTriggers(),
+                wander: () => this.buildWanderRadii()
+            };
+            if (!builders[name]) {
+                console.warn(`Unknown debug shapes "${name}"`);
+                return;
+            }
+            const group = builders[name]();
+            group.name = name;
+            this.sets.set(name, group);
+            this.root.add(group);
+        }
+        if (this.sets.has(name)) this.sets.get(name).visible = enabled;
+    }
+
+    buildColliders() {
+        const group = new Group();
+        const material = DebugShapes.createMaterial(COLORS.colliders);
+        const disabledMaterial = DebugShapes.createMaterial(COLORS.disabledColliders);
+        const size = new Vector3();
+
+        this.collisionSystem.colliders.forEach(collider => {
+            let line;
+            if (collider.cylinder) {
+                collider.box.getSize(size);
+                line = new LineSegments(new EdgesGeometry(new CylinderGeometry(collider.cylinder.radius, collider.cylinder.radius, size.y, 12)), material);
+                collider.box.getCenter(line.position);
+            } else {
+                line = new Box3Helper(collider.box, new Color(COLORS.colliders));
+                line.material.depthTest = false;
+                line.material.transparent = true;
+            }
+            this.colliderLines.push({ line: line, collider: collider, material: line.material, disabledMaterial: disabledMaterial });
+            group.add(line);
+        });
+        return group;
+    }
+
+    buildTriggers() {
+        const group = new Group();
+        const material = DebugShapes.createMaterial(COLORS.triggers);
+
+        this.triggerSystem.volumes.forEach(volume => {
+            let line;
+            if (volume.shape instanceof Box3) {
+                line = new Box3Helper(volume.shape, new Color(COLORS.triggers));
+                line.material.depthTest = false;
+                line.material.transparent = true;
+            } else {
+                line = new LineSegments(new WireframeGeometry(new SphereGeometry(volume.shape.radius, 12, 8)), material);
+                line.position.copy(volume.shape.center);
+            }
+            this.triggerLines.push({ line: line, volume: volume });
+            group.add(line);
+        });
+        return group;
+    }
+
+    buildWanderRadii() {
+        const group = new Group();
+        const material = DebugShapes.createMaterial(COLORS.wander);
+
+        this.npcs.forEach(npc => {
+            const { originalPosition, maxWanderDistance } = npc.userData;
+            if (!originalPosition || !maxWanderDistance) return;
+
+            const points = [];
+            for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+                const angle = (i / CIRCLE_SEGMENTS) * Math.PI * 2;
+                points.push(new Vector3(Math.cos(angle) * maxWanderDistance, 0, Math.sin(angle) * maxWanderDistance));
+            }
+            const circle = new LineLoop(new BufferGeometry().setFromPoints(points), material);
+            circle.position.copy(originalPosition);
+            circle.position.y += 0.05;
+            group.add(circle);
+        });
+        return group;
+    }
+
+    // Follows colliders and triggers being switched off and on (closed store doors)
+    update() {
+        if (this.isEnabled('colliders')) {
+            this.colliderLines.forEach(entry => {
+                entry.line.material = entry.collider.enabled ? entry.material : entry.disabledMaterial;
+            });
+        }
+        if (this.isEnabled('triggers')) {
+            this.triggerLines.forEach(entry => {
+                entry.line.visible = entry.volume.enabled;
+            });
+        }
+    }
+}
+
+export { DebugShapes };
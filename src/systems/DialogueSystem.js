@@ -0,0 +1,192 @@
+import { QuestEngine } from './QuestEngine.js';
+
+// DialogueSystem walks branching conversations defined in src/data/dialogues.js.
+//
+// A conversation is a graph of nodes. Each node has a line of text (or a list
+// of variants to pick from at random) and a list of choices. A choice can be
+// hidden behind conditions, apply effects when picked and point to the next
+// node; a choice without "next" ends the conversation. Nodes of type "chat"
+// also open the free-text chat box. Node text can also be an object keyed by
+// affinity band ("hostile", "cool", "neutral", "warm", "fond") with a
+// "default" entry, so the same node reads differently as a relationship changes.
+//
+// The game supplies a context for conditions and effects:
+//   isQuestActive(id), isQuestCompleted(id), hasItem(id), getBalance(),
+//   isTimeBetween(from, to), getWeather(), hasFlag(flag), getAffinityBand(speaker), applyEffect(effect)
+
+const CONDITION_TYPES = ['questActive', 'questNotActive', 'questCompleted', 'questNotCompleted', 'hasItem', 'lacksItem', 'minMoney', 'timeBetween', 'weather', 'flagSet', 'flagNotSet'];
+const NODE_TYPES = ['line', 'chat'];
+
+class DialogueSystem {
+    constructor(data, context, known = {}) {
+        this.context = context;
+
+        this.errors = DialogueSystem.validate(data, known);
+        this.errors.forEach(error => console.warn(`Dialogue definition error: ${error.message}`));
+
+        // Conversations with broken graphs fall back to plain lines
+        const invalid = new Set(this.errors.map(error => error.conversationId));
+        this.conversations = {};
+        Object.entries(data).forEach(([id, conversation]) => {
+            if (!invalid.has(id)) {
+                this.conversations[id] = conversation;
+            }
+        });
+
+        this.active = null;
+    }
+
+    // known: { items: [ids], quests: [ids], sales: [ids], weather: [ids] }
+    // Effects use the same format, and validation, as quest step effects
+    static validate(data, known) {
+        const errors = [];
+
+        Object.entries(data).forEach(([id, conversation]) => {
+            const report = message => errors.push({ conversationId: id, message: `${id}: ${message}` });
+            const nodes = conversation.nodes || {};
+
+            if (!nodes[conversation.start]) {
+                report(`start node "${conversation.start}" does not exist`);
+            }
+
+            Object.entries(nodes).forEach(([nodeId, node]) => {
+                if (node.type && !NODE_TYPES.includes(node.type)) {
+                    report(`node "${nodeId}" has unknown type "${node.type}"`);
+                }
+                if (DialogueSystem.isBandText(node.text)) {
+                    if (!node.text.default) {
+                        report(`node "${nodeId}" has band text without a "default" entry`);
+                    }
+                } else if (!node.text || (Array.isArray(node.text) && node.text.length === 0)) {
+                    report(`node "${nodeId}" has no text`);
+                }
+
+                (node.choices || []).forEach((choice, index) => {
+                    const label = `node "${nodeId}" choice ${index + 1}`;
+                    if (choice.next && !nodes[choice.next]) {
+                        report(`${label} points to missing node "${choice.next}"`);
+                    }
+                    (choice.conditions || []).forEach(condition => {
+                        const message = DialogueSystem.validateCondition(condition, known);
+                        if (message) report(`${label} ${message}`);
+                    });
+                    QuestEngine.validateEffects(choice.effects || [], known).forEach(message => {
+                        report(`${label} ${message}`);
+                    });
+                });
+            });
+        });
+
+        return errors;
+    }
+
+    static validateCondition(condition, known) {
+        if (!CONDITION_TYPES.includes(condition.type)) {
+            return `has an unknown condition type "${condition.type}"`;
+        }
+        if ((condition.type === 'hasItem' || condition.type === 'lacksItem') &&
+            known.items && !known.items.includes(condition.item)) {
+            return `condition refers to unknown item "${condition.item}"`;
+        }
+        if (condition.type.startsWith('quest') && known.quests && !known.quests.includes(condition.quest)) {
+            return `condition refers to unknown quest "${condition.quest}"`;
+        }
+        if (condition.type === 'timeBetween' && !QuestEngine.isValidHours(condition.hours)) {
+            return 'condition has invalid hours, expected [from, to] between 0 and 24';
+        }
+        if (condition.type === 'weather') {
+            if (!Array.isArray(condition.weather)) return 'condition has no list of weather';
+            const unknown = known.weather && condition.weather.find(weather => !known.weather.includes(weather));
+            if (unknown) return `condition refers to unknown weather "${unknown}"`;
+        }
+        if ((condition.type === 'flagSet' || condition.type === 'flagNotSet') &&
+            (!condition.flag || typeof condition.flag !== 'string')) {
+            return 'condition has no flag name';
+        }
+        return null;
+    }
+
+    static isBandText(text) {
+        return !!text && typeof text === 'object' && !Array.isArray(text);
+    }
+
+    has(conversationId) {
+        return !!this.conversations[conversationId];
+    }
+
+    isActive() {
+        return this.active !== null;
+    }
+
+    checkCondition(condition) {
+        switch (condition.type) {
+            case 'questActive': return this.context.isQuestActive(condition.quest);
+            case 'questNotActive': return !this.context.isQuestActive(condition.quest);
+            case 'questCompleted': return this.context.isQuestCompleted(condition.quest);
+            case 'questNotCompleted': return !this.context.isQuestCompleted(condition.quest);
+            case 'hasItem': return this.context.hasItem(condition.item);
+            case 'lacksItem': return !this.context.hasItem(condition.item);
+            case 'minMoney': return this.context.getBalance() >= condition.amount;
+            case 'timeBetween': return this.context.isTimeBetween(condition.hours[0], condition.hours[1]);
+            case 'weather': return condition.weather.includes(this.context.getWeather());
+            case 'flagSet': return this.context.hasFlag(condition.flag);
+            case 'flagNotSet': return !this.context.hasFlag(condition.flag);
+            default: return false;
+        }
+    }
+
+    // Starts a conversation and returns the first view, or null if there is none
+    start(conversationId, speaker) {
+        const conversation = this.conversations[conversationId];
+        if (!conversation) return null;
+
+        this.active = { id: conversationId, conversation: conversation, speaker: speaker, node: null };
+        return this.goTo(conversation.start);
+    }
+
+    goTo(nodeId) {
+        const node = this.active.conversation.nodes[nodeId];
+        let text = node.text;
+        if (DialogueSystem.isBandText(text)) {
+            const band = this.context.getAffinityBand(this.active.speaker);
+            text = text[band] || text.default;
+        }
+        if (Array.isArray(text)) {
+            text = text[Math.floor(Math.random() * text.length)];
+        }
+
+        this.active.node = node;
+        this.active.view = {
+            nodeId: nodeId,
+            speaker: this.active.speaker,
+            text: text,
+            type: node.type || 'line',
+            choices: (node.choices || []).filter(choice =>
+                (choice.conditions || []).every(condition => this.checkCondition(condition))
+            )
+        };
+        return this.active.view;
+    }
+
+    // Picks one of the visible choices by index; returns the next view or null when the conversation ends
+    choose(index) {
+        if (!this.active) return null;
+
+        const choice = this.active.view.choices[index];
+        if (!choice) return this.active.view;
+
+        (choice.effects || []).forEach(effect => this.context.applyEffect(effect));
+
+        if (!choice.next) {
+            this.end();
+            return null;
+        }
+        return this.goTo(choice.next);
+    }
+
+    end() {
+        this.active = null;
+    }
+}
+
+export { DialogueSystem, CONDITION_TYPES, NODE_TYPES };
@@ -0,0 +1,153 @@
+import { EventDispatcher } from 'three';
+
+// Economy owns Mr. Bean's wallet, the store price catalogs and any running
+// sales. All amounts are whole pence so prices never pick up rounding errors.
+// Sales run on seconds of play, counted by update(dt), so they don't run out
+// while the game is paused or between saving and loading.
+//
+// Events:
+//   balance  - { balance, delta } whenever the wallet changes
+//   purchase - { storeType, itemId, price } after a successful purchase
+//   sale     - { saleId, active } when a sale starts or runs out
+
+class Economy extends EventDispatcher {
+    constructor(data, inventory) {
+        super();
+        this.stores = data.stores;
+        this.saleDefinitions = data.sales || {};
+        this.inventory = inventory;
+        this.balance = data.startingBalance || 0;
+        // Seconds of play so far
+        this.time = 0;
+        // saleId -> { ...definition, id, expiresAt }, expiresAt in seconds of play
+        this.activeSales = new Map();
+    }
+
+    static formatPrice(pence) {
+        return `£${(pence / 100).toFixed(2)}`;
+    }
+
+    getStore(storeType) {
+        return this.stores[storeType] || null;
+    }
+
+    addMoney(amount) {
+        this.balance += amount;
+        this.dispatchEvent({ type: 'balance', balance: this.balance, delta: amount });
+    }
+
+    // Call once per simulation step
+    update(dt) {
+        this.time += dt;
+        this.expireSales();
+    }
+
+    canAfford(amount) {
+        return this.balance >= amount;
+    }
+
+    // Starting a sale that's already running starts its time over
+    startSale(saleId) {
+        const definition = this.saleDefinitions[saleId];
+        if (!definition) {
+            console.warn(`Unknown sale "${saleId}"`);
+            return;
+        }
+        const expiresAt = this.time + definition.durationSeconds;
+        this.activeSales.set(saleId, Object.assign({}, definition, { id: saleId, expiresAt: expiresAt }));
+        this.dispatchEvent({ type: 'sale', saleId: saleId, active: true });
+    }
+
+    // Drops sales whose time is up
+    expireSales() {
+        this.activeSales.forEach((sale, saleId) => {
+            if (sale.expiresAt <= this.time) {
+                this.activeSales.delete(saleId);
+                this.dispatchEvent({ type: 'sale', saleId: saleId, active: false });
+            }
+        });
+    }
+
+    getActiveSales(storeType, itemId) {
+        this.expireSales();
+        return [...this.activeSales.values()].filter(sale =>
+            (!sale.storeType || sale.storeType === storeType) &&
+            (!sale.item || sale.item === itemId)
+        );
+    }
+
+    getBasePrice(storeType, itemId) {
+        const store = this.getStore(storeType);
+        const entry = store && store.catalog.find(e => e.item === itemId);
+        return entry ? entry.price : null;
+    }
+
+    getPrice(storeType, itemId) {
+        const basePrice = this.getBasePrice(storeType, itemId);
+        if (basePrice === null) return null;
+
+        const multiplier = this.getActiveSales(storeType, itemId)
+            .reduce((total, sale) => total * sale.multiplier, 1);
+        return Math.round(basePrice * multiplier);
+    }
+
+    // Catalog rows for the purchase UI
+    getCatalog(storeType) {
+        const store = this.getStore(storeType);
+        if (!store) return [];
+
+        return store.catalog.map(entry => {
+            const sales = this.getActiveSales(storeType, entry.item);
+            return {
+                item: entry.item,
+                basePrice: entry.price,
+                price: this.getPrice(storeType, entry.item),
+                saleLabel: sales.length > 0 ? sales[0].label : null
+            };
+        });
+    }
+
+    // Returns { ok, reason, price }
+    purchase(storeType, itemId) {
+        const price = this.getPrice(storeType, itemId);
+        if (price === null) {
+            return { ok: false, reason: 'notSold', price: null };
+        }
+        if (!this.canAfford(price)) {
+            return { ok: false, reason: 'cannotAfford', price: price };
+        }
+        if (this.inventory.add(itemId) === 0) {
+            return { ok: false, reason: 'alreadyOwned', price: price };
+        }
+
+        this.addMoney(-price);
+        this.dispatchEvent({ type: 'purchase', storeType: storeType, itemId: itemId, price: price });
+        return { ok: true, reason: null, price: price };
+    }
+
+    toJSON() {
+        return {
+            balance: this.balance,
+            // Seconds of play left, as the clock starts from nothing again on loading
+            sales: [...this.activeSales.values()].map(sale => ({ id: sale.id, remaining: sale.expiresAt - this.time }))
+        };
+    }
+
+    fromJSON(data) {
+        if (!data) return;
+
+        // Without a balance the wallet keeps its starting money
+        if (typeof data.balance === 'number') this.balance = data.balance;
+        this.activeSales.clear();
+        (data.sales || []).forEach(saved => {
+            const definition = this.saleDefinitions[saved.id];
+            if (definition) {
+                this.activeSales.set(saved.id, Object.assign({}, definition, { id: saved.id, expiresAt: this.time + saved.remaining }));
+            }
+        });
+        this.expireSales();
+        this.dispatchEvent({ type: 'balance', balance: this.balance, delta: 0 });
+    }
+}
+
+export { Economy };
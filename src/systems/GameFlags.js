@@ -0,0 +1,58 @@
+// GameFlags remembers what Mr. Bean has already done that the town cares
+// about, like an odd job he has been paid for. Quest steps and dialogue
+// choices set them with the "setFlag" effect and check them with the
+// flagSet / flagNotSet conditions, so a choice can be made to pay out once.
+//
+// A flag set for some hours clears itself once that much time has passed on
+// the game clock, counted by update(hours); without hours it stays set.
+
+class GameFlags {
+    constructor() {
+        // flag -> game hours until it clears, Infinity for never
+        this.flags = new Map();
+    }
+
+    // Setting a flag that's already set starts its time over
+    set(flag, hours) {
+        this.flags.set(flag, hours > 0 ? hours : Infinity);
+    }
+
+    has(flag) {
+        return this.flags.has(flag);
+    }
+
+    clear(flag) {
+        this.flags.delete(flag);
+    }
+
+    // Call once per simulation step with the game hours it took
+    update(hours) {
+        this.flags.forEach((remaining, flag) => {
+            if (remaining - hours <= 0) {
+                this.flags.delete(flag);
+            } else {
+                this.flags.set(flag, remaining - hours);
+            }
+        });
+    }
+
+    // flag -> hours left, or null for a flag that never clears
+    toJSON() {
+        return Object.fromEntries([...this.flags].map(([flag, remaining]) =>
+            [flag, remaining === Infinity ? null : remaining]
+        ));
+    }
+
+    fromJSON(data) {
+        this.flags.clear();
+        Object.entries(data || {}).forEach(([flag, remaining]) => {
+            if (remaining === null) {
+                this.flags.set(flag, Infinity);
+            } else if (remaining > 0) {
+                this.flags.set(flag, remaining);
+            }
+        });
+    }
+}
+
+export { GameFlags };
@@ -0,0 +1,163 @@
+import { Vector3, Quaternion } from 'three';
+
+// GameLoop runs the simulation at a fixed timestep, independent of the
+// display's refresh rate, and renders once per animation frame. Time left
+// over between steps is carried in an accumulator and passed to render() as
+// alpha, the fraction of a step that the picture should be interpolated by.
+//
+// The loop can be paused, and while paused single steps can be queued with
+// stepOnce() to walk through the simulation frame by frame.
+
+const DEFAULT_STEP = 1 / 60;
+// Longer frames (a background tab, a breakpoint) are clamped so the simulation
+// does not try to catch up with hundreds of steps at once
+const MAX_FRAME_TIME = 0.25;
+
+class GameLoop {
+    constructor({ update, render, step = DEFAULT_STEP, maxFrameTime = MAX_FRAME_TIME, now = () => performance.now() }) {
+        this.update = update;
+        this.render = render;
+        this.step = step;
+        this.maxFrameTime = maxFrameTime;
+        this.now = now;
+
+        this.running = false;
+        this.paused = false;
+        this.pendingSteps = 0;
+        this.accumulator = 0;
+        this.lastTime = 0;
+        // Simulated seconds since the loop started; does not advance while paused
+        this.time = 0;
+
+        this.frame = this.frame.bind(this);
+    }
+
+    start() {
+        if (this.running) return;
+
+        this.running = true;
+        this.lastTime = this.now();
+        this.accumulator = 0;
+        requestAnimationFrame(this.frame);
+    }
+
+    stop() {
+        this.running = false;
+    }
+
+    pause() {
+        this.paused = true;
+        this.accumulator = 0;
+    }
+
+    resume() {
+        this.paused = false;
+        this.pendingSteps = 0;
+        this.lastTime = this.now();
+    }
+
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    // Advances exactly one step on the next frame; only has an effect while paused
+    stepOnce() {
+        if (this.paused) {
+            this.pendingSteps++;
+        }
+    }
+
+    advance() {
+        this.update(this.step);
+        this.time += this.step;
+    }
+
+    frame() {
+        if (!this.running) return;
+        requestAnimationFrame(this.frame);
+
+        try {
+            const currentTime = this.now();
+            const frameTime = Math.min((currentTime - this.lastTime) / 1000, this.maxFrameTime);
+            this.lastTime = currentTime;
+
+            if (this.paused) {
+                while (this.pendingSteps > 0) {
+                    this.pendingSteps--;
+                    this.advance();
+                }
+                // Show the latest state as is
+                this.render(1);
+                return;
+            }
+
+            this.accumulator += frameTime;
+            while (this.accumulator >= this.step) {
+                this.advance();
+                this.accumulator -= this.step;
+            }
+            this.render(this.accumulator / this.step);
+        } catch (error) {
+            console.error('Animation error:', error);
+        }
+    }
+}
+
+// Remembers where tracked objects were before the latest simulation step so
+// they can be drawn part of the way between that and where they are now.
+class TransformInterpolator {
+    constructor() {
+        // object -> { previousPosition, previousQuaternion, position, quaternion }
+        this.entries = new Map();
+    }
+
+    track(object) {
+        if (this.entries.has(object)) return;
+
+        this.entries.set(object, {
+            previousPosition: object.position.clone(),
+            previousQuaternion: object.quaternion.clone(),
+            position: new Vector3(),
+            quaternion: new Quaternion()
+        });
+    }
+
+    untrack(object) {
+        this.entries.delete(object);
+    }
+
+    // Call before every simulation step
+    snapshot() {
+        this.entries.forEach((entry, object) => {
+            entry.previousPosition.copy(object.position);
+            entry.previousQuaternion.copy(object.quaternion);
+        });
+    }
+
+    // Moves objects alpha of the way through the last step; restore() puts them back afterwards
+    apply(alpha) {
+        this.entries.forEach((entry, object) => {
+            entry.position.copy(object.position);
+            entry.quaternion.copy(object.quaternion);
+            object.position.lerpVectors(entry.previousPosition, entry.position, alpha);
+            object.quaternion.slerpQuaternions(entry.previousQuaternion, entry.quaternion, alpha);
+        });
+    }
+
+    restore() {
+        this.entries.forEach((entry, object) => {
+            object.position.copy(entry.position);
+            object.quaternion.copy(entry.quaternion);
+        });
+    }
+}
+
+export { GameLoop, TransformInterpolator };
@@ -0,0 +1,77 @@
+import { EventDispatcher } from 'three';
+
+// GameStateMachine tracks what the game is doing right now. Each state says
+// whether the world simulates, whether the player controls Mr. Bean, how loud
+// the music plays, and which states it may move on to. Hooks registered with
+// setHooks() run when a state is entered or left.
+//
+// Dispatches 'change' with { from, to } after every transition.
+
+const GAME_STATES = {
+    // Building the world
+    boot: { simulate: false, control: false, musicLevel: 0, next: ['title'] },
+    // Start screen over the frozen world
+    title: { simulate: false, control: false, musicLevel: 1, next: ['playing'] },
+    playing: { simulate: true, control: true, musicLevel: 1, next: ['paused', 'dialog', 'cutscene', 'title'] },
+    // Options menu; everything stops
+    paused: { simulate: false, control: false, musicLevel: 0.3, next: ['playing', 'dialog', 'cutscene', 'title'] },
+    // Conversations and the shop till; the world carries on around Mr. Bean
+    dialog: { simulate: true, control: false, musicLevel: 0.6, next: ['playing', 'paused', 'cutscene'] },
+    // Scripted sequences that take the controls away
+    cutscene: { simulate: true, control: false, musicLevel: 1, next: ['playing', 'paused'] }
+};
+
+class GameStateMachine extends EventDispatcher {
+    constructor(initial = 'boot') {
+        super();
+        this.current = initial;
+        this.previous = null;
+        // state -> { enter(from), exit(to) }
+        this.hooks = {};
+    }
+
+    setHooks(state, hooks) {
+        this.hooks[state] = hooks;
+    }
+
+    is(...states) {
+        return states.includes(this.current);
+    }
+
+    getDefinition(state = this.current) {
+        return GAME_STATES[state];
+    }
+
+    // flag is one of simulate / control
+    allows(flag) {
+        return !!this.getDefinition()[flag];
+    }
+
+    canTransition(to) {
+        return !!GAME_STATES[to] && this.getDefinition().next.includes(to);
+    }
+
+    // Returns whether the state changed
+    transition(to) {
+        if (to === this.current) return false;
+        if (!this.canTransition(to)) {
+            console.warn(`Invalid game state transition "${this.current}" -> "${to}"`);
+            return false;
+        }
+
+        const from = this.current;
+        const exitHooks = this.hooks[from];
+        if (exitHooks && exitHooks.exit) exitHooks.exit(to);
+
+        this.previous = from;
+        this.current = to;
+
+        const enterHooks = this.hooks[to];
+        if (enterHooks && enterHooks.enter) enterHooks.enter(from);
+
+        this.dispatchEvent({ type: 'change', from: from, to: to });
+        return true;
+    }
+}
+
+export { GameStateMachine, GAME_STATES };
@@ -0,0 +1,126 @@
+import { EventDispatcher } from 'three';
+
+// GamepadInput polls the Gamepad API once per frame and feeds the first
+// connected controller into the InputManager's actions: the left stick as
+// analog movement and turning, the right stick as looking around, buttons as
+// action presses.
+//
+// Controllers plugged in or out are noticed while polling, so nothing relies on
+// the browser's gamepadconnected events. getGamepads can be swapped for a
+// mock, e.g. new GamepadInput(input, { getGamepads: () => [fakePad] }).
+//
+// Dispatches 'connected' and 'disconnected' with { gamepad: { index, id } }.
+
+const DEFAULT_DEAD_ZONE = 0.2;
+
+// Button indices in the browser's "standard" layout
+const GAMEPAD_BUTTONS = {
+    Interact: 0, // A / Cross
+    ToggleInventory: 3, // Y / Triangle
+    ToggleCamera: 5, // Right shoulder
+    Pause: 9 // Start / Options
+};
+
+// Stick axes; pushing a stick up reads negative
+const MOVE_AXIS = 1;
+const TURN_AXIS = 0;
+const LOOK_X_AXIS = 2;
+const LOOK_Y_AXIS = 3;
+
+const ANALOG_ACTIONS = ['MoveForward', 'MoveBackward', 'TurnLeft', 'TurnRight', 'LookLeft', 'LookRight', 'LookUp', 'LookDown'];
+
+const getNavigatorGamepads = () =>
+    (typeof navigator !== 'undefined' && navigator.getGamepads) ? navigator.getGamepads() : [];
+
+class GamepadInput extends EventDispatcher {
+    constructor(input, options = {}) {
+        super();
+        this.input = input;
+        this.getGamepads = options.getGamepads || getNavigatorGamepads;
+        this.deadZone = options.deadZone !== undefined ? options.deadZone : DEFAULT_DEAD_ZONE;
+
+        // The controller in use, by Gamepad.index
+        this.activeIndex = null;
+        // index -> id of every controller seen on the last poll
+        this.known = new Map();
+        // action -> whether its button was down on the last poll
+        this.buttonState = {};
+    }
+
+    // Rescales so that the stick reads 0 inside the dead zone and still reaches 1 at the edge
+    static applyDeadZone(value, deadZone) {
+        const magnitude = Math.abs(value);
+        if (magnitude <= deadZone) return 0;
+        return Math.sign(value) * Math.min((magnitude - deadZone) / (1 - deadZone), 1);
+    }
+
+    isConnected() {
+        return this.activeIndex !== null;
+    }
+
+    poll() {
+        const gamepads = Array.from(this.getGamepads() || []).filter(gamepad => gamepad && gamepad.connected);
+        this.detectChanges(gamepads);
+
+        const gamepad = gamepads.find(pad => pad.index === this.activeIndex);
+        if (!gamepad) return;
+
+        // Left stick: analog movement and turning
+        const move = GamepadInput.applyDeadZone(gamepad.axes[MOVE_AXIS] || 0, this.deadZone);
+        const turn = GamepadInput.applyDeadZone(gamepad.axes[TURN_AXIS] || 0, this.deadZone);
+        this.input.setAnalog('MoveForward', Math.max(0, -move), 'gamepad');
+        this.input.setAnalog('MoveBackward', Math.max(0, move), 'gamepad');
+        this.input.setAnalog('TurnLeft', Math.max(0, -turn), 'gamepad');
+        this.input.setAnalog('TurnRight', Math.max(0, turn), 'gamepad');
+
+        // Right stick: looking around
+        const lookX = GamepadInput.applyDeadZone(gamepad.axes[LOOK_X_AXIS] || 0, this.deadZone);
+        const lookY = GamepadInput.applyDeadZone(gamepad.axes[LOOK_Y_AXIS] || 0, this.deadZone);
+        this.input.setAnalog('LookLeft', Math.max(0, -lookX), 'gamepad');
+        this.input.setAnalog('LookRight', Math.max(0, lookX), 'gamepad');
+        this.input.setAnalog('LookUp', Math.max(0, -lookY), 'gamepad');
+        this.input.setAnalog('LookDown', Math.max(0, lookY), 'gamepad');
+
+        // Buttons fire their action once when pressed down
+        Object.entries(GAMEPAD_BUTTONS).forEach(([action, buttonIndex]) => {
+            const button = gamepad.buttons[buttonIndex];
+            const isPressed = !!button && button.pressed;
+            if (isPressed && !this.buttonState[action]) {
+                this.input.trigger(action);
+            }
+            this.buttonState[action] = isPressed;
+        });
+    }
+
+    detectChanges(gamepads) {
+        const current = new Map(gamepads.map(gamepad => [gamepad.index, gamepad.id]));
+
+        this.known.forEach((id, index) => {
+            if (!current.has(index)) {
+                if (index === this.activeIndex) this.release();
+                this.dispatchEvent({ type: 'disconnected', gamepad: { index: index, id: id } });
+            }
+        });
+        current.forEach((id, index) => {
+            if (!this.known.has(index)) {
+                this.dispatchEvent({ type: 'connected', gamepad: { index: index, id: id } });
+            }
+        });
+        this.known = current;
+
+        // Switch to another controller if the active one went away
+        if (this.activeIndex === null && gamepads.length > 0) {
+            this.activeIndex = gamepads[0].index;
+            this.buttonState = {};
+        }
+    }
+
+    // Lets go of everything the controller was holding
+    release() {
+        this.activeIndex = null;
+        this.buttonState = {};
+        ANALOG_ACTIONS.forEach(action => this.input.setAnalog(action, 0, 'gamepad'));
+    }
+}
+
+export { GamepadInput, GAMEPAD_BUTTONS };
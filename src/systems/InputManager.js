@@ -0,0 +1,241 @@
+import { EventDispatcher } from 'three';
+import { SaveManager } from './SaveManager.js';
+
+// InputManager maps physical keys (KeyboardEvent.code, so layouts don't
+// matter) onto named game actions. The game asks isDown(action) for held
+// actions and subscribes to actions that fire once per press.
+//
+// Bindings can be changed at runtime and are stored in localStorage. An
+// action has exactly one key, and a key can only drive one action.
+//
+// Keys typed into text fields (the chat box) never reach the game, apart from
+// the ones listed in PASS_THROUGH_WHILE_TYPING.
+//
+// Other devices (GamepadInput.js, TouchControls.js) drive the same actions:
+// they report analog amounts with setAnalog() and presses with trigger().
+//
+// Dispatches 'bindings' whenever a binding changes.
+
+const BINDINGS_KEY = 'mrbean3d.bindings';
+
+// Fixed actions (dialogue choices) can't be rebound, but still count for conflicts
+const ACTIONS = {
+    MoveForward: { label: 'Move forward', key: 'KeyW' },
+    MoveBackward: { label: 'Move backward', key: 'KeyS' },
+    TurnLeft: { label: 'Turn left', key: 'KeyA' },
+    TurnRight: { label: 'Turn right', key: 'KeyD' },
+    LookLeft: { label: 'Look left', key: 'ArrowLeft' },
+    LookRight: { label: 'Look right', key: 'ArrowRight' },
+    LookUp: { label: 'Look up', key: 'ArrowUp' },
+    LookDown: { label: 'Look down', key: 'ArrowDown' },
+    Interact: { label: 'Interact', key: 'KeyE' },
+    ToggleInventory: { label: 'Inventory', key: 'KeyI' },
+    ToggleCamera: { label: 'Switch camera', key: 'Digit0' },
+    Pause: { label: 'Pause / options', key: 'Escape' },
+    DebugPause: { label: 'Freeze world (debug)', key: 'F8' },
+    DebugStep: { label: 'Step world (debug)', key: 'F9' },
+    ToggleDebug: { label: 'Debug overlay', key: 'F3' },
+    Choice1: { label: 'Reply 1', key: 'Digit1', fixed: true },
+    Choice2: { label: 'Reply 2', key: 'Digit2', fixed: true },
+    Choice3: { label: 'Reply 3', key: 'Digit3', fixed: true },
+    Choice4: { label: 'Reply 4', key: 'Digit4', fixed: true },
+    Choice5: { label: 'Reply 5', key: 'Digit5', fixed: true },
+    Choice6: { label: 'Reply 6', key: 'Digit6', fixed: true },
+    Choice7: { label: 'Reply 7', key: 'Digit7', fixed: true },
+    Choice8: { label: 'Reply 8', key: 'Digit8', fixed: true },
+    Choice9: { label: 'Reply 9', key: 'Digit9', fixed: true }
+};
+
+const PASS_THROUGH_WHILE_TYPING = ['Pause'];
+
+class InputManager extends EventDispatcher {
+    constructor(target = window, storage) {
+        super();
+        this.target = target;
+        this.storage = storage !== undefined ? storage : SaveManager.getDefaultStorage();
+
+        // action -> code
+        this.bindings = InputManager.getDefaultBindings();
+        this.loadBindings();
+
+        this.pressed = new Set();
+        // action -> (source -> 0..1) from analog devices
+        this.analog = new Map();
+        // action -> [callback]
+        this.subscribers = new Map();
+        // Set while the rebinding screen waits for a key
+        this.capture = null;
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onBlur = this.onBlur.bind(this);
+        target.addEventListener('keydown', this.onKeyDown);
+        target.addEventListener('keyup', this.onKeyUp);
+        target.addEventListener('blur', this.onBlur);
+    }
+
+    static getDefaultBindings() {
+        return Object.fromEntries(Object.entries(ACTIONS).map(([action, definition]) => [action, definition.key]));
+    }
+
+    // 'KeyW' -> 'W', 'Digit0' -> '0', 'ArrowUp' -> 'Arrow Up'
+    static getKeyLabel(code) {
+        if (!code) return '—';
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+        if (/^Digit\d$/.test(code)) return code.slice(5);
+        return code.replace(/([a-z])([A-Z])/g, '$1 $2');
+    }
+
+    static isTyping(event) {
+        const element = event.target;
+        return !!element && (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.isContentEditable);
+    }
+
+    getBinding(action) {
+        return this.bindings[action];
+    }
+
+    getAction(code) {
+        return Object.keys(this.bindings).find(action => this.bindings[action] === code) || null;
+    }
+
+    isDown(action) {
+        return this.getValue(action) >= 0.5;
+    }
+
+    // How far the action is pushed, 0..1; a held key counts as fully pushed
+    getValue(action) {
+        const keyValue = this.pressed.has(this.bindings[action]) ? 1 : 0;
+        const sources = this.analog.get(action);
+        return sources ? Math.max(keyValue, ...sources.values()) : keyValue;
+    }
+
+    // Each device reports under its own source name so they don't overwrite each other
+    setAnalog(action, value, source = 'default') {
+        if (!this.analog.has(action)) this.analog.set(action, new Map());
+        this.analog.get(action).set(source, value);
+    }
+
+    // Fires the action's subscribers as if its key had been pressed
+    trigger(action, event = null) {
+        (this.subscribers.get(action) || []).slice().forEach(callback => callback(event));
+    }
+
+    // Calls back every time the action's key is pressed; returns an unsubscribe function
+    subscribe(action, callback) {
+        if (!this.subscribers.has(action)) this.subscribers.set(action, []);
+        this.subscribers.get(action).push(callback);
+        return () => {
+            const callbacks = this.subscribers.get(action);
+            callbacks.splice(callbacks.indexOf(callback), 1);
+        };
+    }
+
+    // Returns { ok, conflict } where conflict names the action already using the key
+    rebind(action, code) {
+        const definition = ACTIONS[action];
+        if (!definition || definition.fixed) {
+            return { ok: false, conflict: null };
+        }
+
+        const owner = this.getAction(code);
+        if (owner && owner !== action) {
+            return { ok: false, conflict: owner };
+        }
+
+        this.bindings[action] = code;
+        this.saveBindings();
+        this.dispatchEvent({ type: 'bindings', action: action, code: code });
+        return { ok: true, conflict: null };
+    }
+
+    resetBindings() {
+        this.bindings = InputManager.getDefaultBindings();
+        this.saveBindings();
+        this.dispatchEvent({ type: 'bindings', action: null, code: null });
+    }
+
+    // The next key pressed goes to callback(code) instead of the game; Escape cancels with null
+    captureNextKey(callback) {
+        this.capture = callback;
+    }
+
+    cancelCapture() {
+        this.capture = null;
+    }
+
+    loadBindings() {
+        if (!this.storage) return;
+
+        let saved;
+        try {
+            saved = JSON.parse(this.storage.getItem(BINDINGS_KEY));
+        } catch (error) {
+            console.warn('Could not read key bindings, using defaults:', error);
+            return;
+        }
+        if (!saved) return;
+
+        const bindings = InputManager.getDefaultBindings();
+        Object.entries(saved).forEach(([action, code]) => {
+            if (ACTIONS[action] && !ACTIONS[action].fixed && typeof code === 'string') {
+                bindings[action] = code;
+            }
+        });
+
+        // A saved set where two actions share a key is thrown away rather than half-applied
+        const codes = Object.values(bindings);
+        if (new Set(codes).size !== codes.length) {
+            console.warn('Saved key bindings conflict, using defaults');
+            return;
+        }
+        this.bindings = bindings;
+    }
+
+    saveBindings() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(BINDINGS_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('Could not save key bindings:', error);
+        }
+    }
+
+    onKeyDown(event) {
+        if (this.capture) {
+            event.preventDefault();
+            const callback = this.capture;
+            this.capture = null;
+            callback(event.code === 'Escape' ? null : event.code);
+            return;
+        }
+
+        const action = this.getAction(event.code);
+        if (InputManager.isTyping(event) && !PASS_THROUGH_WHILE_TYPING.includes(action)) return;
+
+        this.pressed.add(event.code);
+        if (!action) return;
+
+        event.preventDefault();
+        if (event.repeat) return;
+        this.trigger(action, event);
+    }
+
+    onKeyUp(event) {
+        // Always release, even while typing, so keys can't get stuck down
+        this.pressed.delete(event.code);
+    }
+
+    onBlur() {
+        this.pressed.clear();
+    }
+
+    dispose() {
+        this.target.removeEventListener('keydown', this.onKeyDown);
+        this.target.removeEventListener('keyup', this.onKeyUp);
+        this.target.removeEventListener('blur', this.onBlur);
+    }
+}
+
+export { InputManager, ACTIONS };
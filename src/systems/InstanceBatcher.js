@@ -0,0 +1,125 @@
+import { Color, InstancedMesh, Matrix4 } from 'three';
+
+// InstanceBatcher draws repeated props (grass, road markings, trees, lamps,
+// windows...) with one InstancedMesh per geometry + material pair instead of
+// one draw call per mesh.
+//
+// Factories opt meshes in with userData.instanced = true, sharing geometry and
+// material between copies, and can tint a copy with userData.instanceColor
+// (multiplied with the material colour). The original meshes stay where they
+// are as stand-ins, moved to INSTANCED_LAYER so the camera skips them: hiding a
+// stand-in or any of its parents (culling, level of detail) hides its
+// instance, and colliders, raycasts and bounds keep working off the stand-ins.
+// A stand-in put back on the default layer (e.g. to fade it out) is drawn on
+// its own and its instance hidden.
+//
+// Instances are placed once when built; props that move shouldn't opt in.
+
+const INSTANCED_LAYER = 1;
+// Instances that are hidden are squashed to nothing
+const HIDDEN_MATRIX = new Matrix4().makeScale(0, 0, 0);
+
+class InstanceBatcher {
+    constructor(root) {
+        // Group the instanced meshes are added to
+        this.root = root;
+        // "geometry:material:shadows" -> { proxies, mesh, shown }
+        this.batches = new Map();
+        this.enabled = true;
+        this.stats = { batches: 0, instances: 0, shown: 0, drawCallsSaved: 0 };
+    }
+
+    add(mesh) {
+        const key = `${mesh.geometry.uuid}:${mesh.material.uuid}:${mesh.castShadow}:${mesh.receiveShadow}`;
+        if (!this.batches.has(key)) {
+            this.batches.set(key, { proxies: [], mesh: null, shown: null });
+        }
+        this.batches.get(key).proxies.push(mesh);
+    }
+
+    // Adds every mesh under object that opted in
+    collect(object) {
+        object.traverse(child => {
+            if (child.isMesh && !child.isInstancedMesh && child.userData.instanced) this.add(child);
+        });
+    }
+
+    build() {
+        const color = new Color();
+        this.batches.forEach((batch, key) => {
+            // A single copy is cheaper drawn as it is
+            if (batch.proxies.length < 2) {
+                this.batches.delete(key);
+                return;
+            }
+
+            const first = batch.proxies[0];
+            const mesh = new InstancedMesh(first.geometry, first.material, batch.proxies.length);
+            mesh.castShadow = first.castShadow;
+            mesh.receiveShadow = first.receiveShadow;
+
+            batch.proxies.forEach((proxy, index) => {
+                proxy.updateWorldMatrix(true, false);
+                mesh.setMatrixAt(index, proxy.matrixWorld);
+                mesh.setColorAt(index, proxy.userData.instanceColor || color.setRGB(1, 1, 1));
+                proxy.layers.set(INSTANCED_LAYER);
+            });
+            mesh.computeBoundingBox();
+            mesh.computeBoundingSphere();
+
+            batch.mesh = mesh;
+            batch.shown = new Uint8Array(batch.proxies.length).fill(1);
+            this.root.add(mesh);
+        });
+    }
+
+    // Whether the stand-in should be drawn through its instance right now
+    static isShown(proxy) {
+        if (proxy.layers.isEnabled(0)) return false;
+        for (let object = proxy; object; object = object.parent) {
+            if (!object.visible) return false;
+        }
+        return true;
+    }
+
+    // Call once per frame after visibility has been decided
+    update() {
+        const stats = { batches: this.batches.size, instances: 0, shown: 0, drawCallsSaved: 0 };
+
+        this.batches.forEach(batch => {
+            let shownCount = 0;
+            batch.proxies.forEach((proxy, index) => {
+                const shown = this.enabled && InstanceBatcher.isShown(proxy);
+                if (shown) shownCount++;
+                if (shown !== !!batch.shown[index]) {
+                    batch.shown[index] = shown ? 1 : 0;
+                    batch.mesh.setMatrixAt(index, shown ? proxy.matrixWorld : HIDDEN_MATRIX);
+                    batch.mesh.instanceMatrix.needsUpdate = true;
+                }
+            });
+
+            stats.instances += batch.proxies.length;
+            stats.shown += shownCount;
+            // Every shown copy would otherwise be a draw call of its own
+            if (shownCount > 0) stats.drawCallsSaved += shownCount - 1;
+        });
+
+        this.stats = stats;
+    }
+
+    // Switching off draws every stand-in on its own again, for comparing draw calls
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.batches.forEach(batch => {
+            batch.mesh.visible = enabled;
+            batch.proxies.forEach(proxy => proxy.layers.set(enabled ? INSTANCED_LAYER : 0));
+        });
+    }
+
+    // { batches, instances, shown, drawCallsSaved } as of the last update
+    getStats() {
+        return this.stats;
+    }
+}
+
+export { InstanceBatcher, INSTANCED_LAYER };
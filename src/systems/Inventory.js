@@ -0,0 +1,90 @@
+import { EventDispatcher } from 'three';
+
+// Inventory holds the items Mr. Bean is carrying.
+// Item definitions come from src/data/items.js; the inventory only stores
+// quantities and dispatches a 'change' event whenever they move.
+
+class Inventory extends EventDispatcher {
+    constructor(catalog) {
+        super();
+        this.catalog = catalog;
+        this.quantities = new Map();
+    }
+
+    getDefinition(itemId) {
+        return this.catalog[itemId] || null;
+    }
+
+    has(itemId, quantity = 1) {
+        return this.getQuantity(itemId) >= quantity;
+    }
+
+    getQuantity(itemId) {
+        return this.quantities.get(itemId) || 0;
+    }
+
+    // Returns the number of items actually added
+    add(itemId, quantity = 1) {
+        const definition = this.getDefinition(itemId);
+        if (!definition) {
+            console.warn(`Unknown item "${itemId}"`);
+            return 0;
+        }
+
+        const current = this.getQuantity(itemId);
+        const flags = definition.flags || {};
+        const next = flags.unique ? 1 : current + quantity;
+        if (next === current) return 0;
+
+        this.quantities.set(itemId, next);
+        this.dispatchEvent({ type: 'change', itemId: itemId, quantity: next, delta: next - current });
+        return next - current;
+    }
+
+    // Removes items only if enough are held; returns whether anything was removed
+    remove(itemId, quantity = 1) {
+        const current = this.getQuantity(itemId);
+        if (current < quantity) return false;
+
+        const next = current - quantity;
+        if (next === 0) {
+            this.quantities.delete(itemId);
+        } else {
+            this.quantities.set(itemId, next);
+        }
+        this.dispatchEvent({ type: 'change', itemId: itemId, quantity: next, delta: -quantity });
+        return true;
+    }
+
+    // Quest items are listed first, then by name
+    list() {
+        return [...this.quantities.entries()]
+            .map(([id, quantity]) => {
+                const definition = this.getDefinition(id);
+                return {
+                    id: id,
+                    name: definition.name,
+                    icon: definition.icon,
+                    quantity: quantity,
+                    flags: definition.flags || {}
+                };
+            })
+            .sort((a, b) => (b.flags.questItem ? 1 : 0) - (a.flags.questItem ? 1 : 0) || a.name.localeCompare(b.name));
+    }
+
+    toJSON() {
+        return Object.fromEntries(this.quantities);
+    }
+
+    fromJSON(data) {
+        this.quantities.clear();
+        Object.entries(data || {}).forEach(([id, quantity]) => {
+            if (this.getDefinition(id) && quantity > 0) {
+                this.quantities.set(id, quantity);
+            }
+        });
+        this.dispatchEvent({ type: 'change', itemId: null, quantity: 0, delta: 0 });
+    }
+}
+
+export { Inventory };
@@ -0,0 +1,191 @@
+import { EventDispatcher, BasicShadowMap, PCFShadowMap, PCFSoftShadowMap } from 'three';
+import { SaveManager } from './SaveManager.js';
+
+// QualityManager picks one of the graphics presets below and, in auto mode,
+// steps between them to keep the game running smoothly. The game applies the
+// preset (see applyQuality() in main.js); this only decides which one.
+//
+// Auto mode keeps a rolling average of frame times and compares it with the
+// budget. Over budget it steps down a level; comfortably under it steps up
+// again, but not back to a level it had to leave within the last little while,
+// so it doesn't flip between two levels. Every change is followed by a quiet
+// spell while shaders recompile and the average settles.
+//
+// The choice is a property of the device rather than the game, so it's kept
+// in localStorage next to the key bindings rather than in save slots.
+//
+// Dispatches 'change' with { level, preset, auto } whenever the level, mode or
+// outline switch changes.
+
+const QUALITY_KEY = 'mrbean3d.quality';
+
+// Preset fields:
+//   pixelRatio     - upper limit for the device pixel ratio
+//   shadows        - whether the sun casts shadows
+//   shadowMapSize  - width and height of the sun's shadow map
+//   shadowType     - three.js shadow map filtering
+//   fogDensity     - FogExp2 density; thicker fog hides the closer cull distance
+//   grassPatches   - grass patches drawn on the ground
+//   clouds, birds  - how many of the sky details are shown
+//   cullDistance   - props further than this from Mr. Bean aren't drawn (see VisibilityManager.js)
+//   lampLights     - point lights shared by the street lamps nearest Mr. Bean after dark
+//                    (see StreetLighting.js)
+//   rainDrops      - most raindrops falling at once, in a downpour (see RainEffect.js)
+//   outlines       - cel-shaded outlines around characters and props; the player can
+//                    also turn them off altogether (setOutlines)
+const QUALITY_PRESETS = {
+    low: {
+        label: 'Low', pixelRatio: 0.75, shadows: false, shadowMapSize: 512, shadowType: BasicShadowMap,
+        fogDensity: 0.02, grassPatches: 250, clouds: 4, birds: 2, cullDistance: 40, lampLights: 2, rainDrops: 1000, outlines: false
+    },
+    medium: {
+        label: 'Medium', pixelRatio: 1, shadows: true, shadowMapSize: 1024, shadowType: PCFShadowMap,
+        fogDensity: 0.015, grassPatches: 500, clouds: 6, birds: 3, cullDistance: 50, lampLights: 4, rainDrops: 2500, outlines: false
+    },
+    high: {
+        label: 'High', pixelRatio: 1.5, shadows: true, shadowMapSize: 2048, shadowType: PCFSoftShadowMap,
+        fogDensity: 0.012, grassPatches: 1000, clouds: 10, birds: 5, cullDistance: 60, lampLights: 6, rainDrops: 5000, outlines: true
+    },
+    ultra: {
+        label: 'Ultra', pixelRatio: 2, shadows: true, shadowMapSize: 4096, shadowType: PCFSoftShadowMap,
+        fogDensity: 0.009, grassPatches: 1500, clouds: 10, birds: 5, cullDistance: 80, lampLights: 8, rainDrops: 8000, outlines: true
+    }
+};
+const QUALITY_LEVELS = Object.keys(QUALITY_PRESETS);
+
+const DEFAULT_OPTIONS = {
+    level: 'high',
+    auto: true,
+    // Milliseconds per frame; about 45 fps
+    budget: 1000 / 45,
+    // Step up once the average is below this share of the budget (a steady 60 fps)
+    headroom: 0.8,
+    // Frames averaged over
+    sampleCount: 90,
+    // Milliseconds to wait after a change before judging again
+    settleTime: 3000,
+    // Milliseconds before trying a level that was too slow again
+    retryTime: 30000,
+    // Frames longer than this (loading, a breakpoint) say nothing about the settings
+    maxSample: 250
+};
+
+class QualityManager extends EventDispatcher {
+    constructor(options = {}) {
+        super();
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+        this.storage = options.storage !== undefined ? options.storage : SaveManager.getDefaultStorage();
+
+        this.level = this.options.level;
+        this.auto = this.options.auto;
+        // The player's own switch for outlines, on top of the preset
+        this.outlines = true;
+        this.load();
+
+        this.samples = [];
+        this.sampleTotal = 0;
+        this.lastChange = -Infinity;
+        // level -> time it was stepped down from
+        this.tooSlow = new Map();
+    }
+
+    getPreset() {
+        return QUALITY_PRESETS[this.level];
+    }
+
+    drawsOutlines() {
+        return this.outlines && this.getPreset().outlines;
+    }
+
+    setOutlines(outlines) {
+        if (outlines === this.outlines) return;
+
+        this.outlines = outlines;
+        this.save();
+        this.dispatchEvent({ type: 'change', level: this.level, preset: this.getPreset(), auto: this.auto });
+    }
+
+    // The most of each count any preset asks for, for building the world once
+    static getMaximum(field) {
+        return Math.max(...QUALITY_LEVELS.map(level => QUALITY_PRESETS[level][field]));
+    }
+
+    setLevel(level, auto = this.auto) {
+        if (!QUALITY_PRESETS[level]) {
+            console.warn(`Unknown quality level "${level}"`);
+            return;
+        }
+        if (level === this.level && auto === this.auto) return;
+
+        this.level = level;
+        this.auto = auto;
+        this.resetSamples();
+        this.save();
+        this.dispatchEvent({ type: 'change', level: level, preset: this.getPreset(), auto: auto });
+    }
+
+    setAuto(auto) {
+        this.setLevel(this.level, auto);
+    }
+
+    resetSamples() {
+        this.samples = [];
+        this.sampleTotal = 0;
+        this.lastChange = performance.now();
+    }
+
+    // Call once per frame while the game is being played
+    recordFrame(frameTime, now = performance.now()) {
+        if (!this.auto || frameTime > this.options.maxSample) return;
+
+        this.samples.push(frameTime);
+        this.sampleTotal += frameTime;
+        if (this.samples.length > this.options.sampleCount) {
+            this.sampleTotal -= this.samples.shift();
+        }
+        if (this.samples.length < this.options.sampleCount || now - this.lastChange < this.options.settleTime) return;
+
+        const average = this.sampleTotal / this.samples.length;
+        const index = QUALITY_LEVELS.indexOf(this.level);
+
+        if (average > this.options.budget && index > 0) {
+            this.tooSlow.set(this.level, now);
+            this.setLevel(QUALITY_LEVELS[index - 1]);
+        } else if (average < this.options.budget * this.options.headroom && index < QUALITY_LEVELS.length - 1) {
+            const next = QUALITY_LEVELS[index + 1];
+            const failedAt = this.tooSlow.get(next);
+            if (failedAt === undefined || now - failedAt > this.options.retryTime) {
+                this.setLevel(next);
+            }
+        }
+    }
+
+    load() {
+        if (!this.storage) return;
+
+        let saved;
+        try {
+            saved = JSON.parse(this.storage.getItem(QUALITY_KEY));
+        } catch (error) {
+            console.warn('Could not read quality settings, using defaults:', error);
+            return;
+        }
+        if (!saved) return;
+
+        if (QUALITY_PRESETS[saved.level]) this.level = saved.level;
+        if (typeof saved.auto === 'boolean') this.auto = saved.auto;
+        if (typeof saved.outlines === 'boolean') this.outlines = saved.outlines;
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(QUALITY_KEY, JSON.stringify({ level: this.level, auto: this.auto, outlines: this.outlines }));
+        } catch (error) {
+            console.warn('Could not save quality settings:', error);
+        }
+    }
+}
+
+export { QualityManager, QUALITY_PRESETS, QUALITY_LEVELS };
@@ -0,0 +1,240 @@
+// QuestEngine turns declarative quest definitions (see src/data/quests.js)
+// into challenge state and advances it from game events.
+//
+// Steps are completed in order: only the first unfinished step of the active
+// quest is checked. Event-style triggers (talkTo, interact, enterArea) are
+// checked when the game reports an interaction or a trigger volume event,
+// state-style triggers (holdItem) are checked every frame through update().
+//
+// Any trigger may also name an item it "requires"; with "consume": true the
+// item is taken from the inventory when the step completes. A trigger with
+// "hours": [from, to] only counts between those times of day on the game
+// clock (options.clock, see DayNightCycle.js); [22, 6] runs past midnight.
+//
+// Steps can list "effects" that the game applies once the step is done, e.g.
+// { "type": "startSale", "sale": "<sale id>" } (see EFFECT_TYPES).
+
+const TRIGGER_TYPES = ['talkTo', 'enterArea', 'interact', 'holdItem'];
+const EFFECT_TYPES = ['giveItem', 'takeItem', 'giveMoney', 'startSale', 'startChallenge', 'changeAffinity', 'setFlag'];
+
+class QuestEngine {
+    constructor(data, options = {}) {
+        this.onStepComplete = options.onStepComplete || (() => {});
+        this.inventory = options.inventory || null;
+        this.clock = options.clock || null;
+
+        this.errors = QuestEngine.validate(data, options.known || {});
+        this.errors.forEach(error => console.warn(`Quest definition error: ${error.message}`));
+
+        // Quests with broken definitions are left out instead of soft-locking the player
+        const invalidIds = new Set(this.errors.map(error => error.questId));
+        this.quests = (data.quests || [])
+            .filter(definition => !invalidIds.has(definition.id))
+            .map(definition => QuestEngine.createQuest(definition));
+    }
+
+    // Builds the runtime challenge object used by the challenge UI and saves
+    static createQuest(definition) {
+        return {
+            id: definition.id,
+            title: definition.title,
+            description: definition.description,
+            reward: definition.reward,
+            rewardItems: definition.rewardItems || [],
+            completed: false,
+            steps: definition.steps.map(step => ({
+                text: step.text,
+                trigger: step.trigger,
+                dialog: step.dialog || null,
+                effects: step.effects || [],
+                completed: false
+            }))
+        };
+    }
+
+    // known: { npcs: [names], areas: [ids], targets: [ids], items: [ids], sales: [ids], quests: [ids] }
+    // Lists that are not supplied are not checked.
+    static validate(data, known) {
+        const errors = [];
+        const report = (questId, message) => errors.push({ questId: questId, message: message });
+        const seenIds = new Set();
+
+        if (!Array.isArray(data.quests)) {
+            report(null, 'quest data has no "quests" array');
+            return errors;
+        }
+
+        data.quests.forEach((quest, questIndex) => {
+            const label = `quest ${quest.id !== undefined ? quest.id : '#' + questIndex}`;
+
+            if (quest.id === undefined) {
+                report(quest.id, `${label} is missing an id`);
+            } else if (seenIds.has(quest.id)) {
+                report(quest.id, `${label} has a duplicate id`);
+            }
+            seenIds.add(quest.id);
+
+            if (!quest.title) {
+                report(quest.id, `${label} is missing a title`);
+            }
+            (quest.rewardItems || []).forEach(item => {
+                if (known.items && !known.items.includes(item)) {
+                    report(quest.id, `${label} rewards unknown item "${item}"`);
+                }
+            });
+            if (!Array.isArray(quest.steps) || quest.steps.length === 0) {
+                report(quest.id, `${label} has no steps`);
+                return;
+            }
+
+            quest.steps.forEach((step, stepIndex) => {
+                const stepLabel = `${label} step ${stepIndex + 1}`;
+                const trigger = step.trigger;
+
+                if (!trigger || !TRIGGER_TYPES.includes(trigger.type)) {
+                    report(quest.id, `${stepLabel} has an unknown trigger type "${trigger && trigger.type}"`);
+                    return;
+                }
+
+                switch (trigger.type) {
+                    case 'talkTo':
+                        if (!trigger.npc) {
+                            report(quest.id, `${stepLabel} is missing an npc`);
+                        } else if (known.npcs && !known.npcs.includes(trigger.npc)) {
+                            report(quest.id, `${stepLabel} refers to unknown NPC "${trigger.npc}"`);
+                        }
+                        break;
+                    case 'enterArea':
+                        if (!trigger.area) {
+                            report(quest.id, `${stepLabel} is missing an area`);
+                        } else if (known.areas && !known.areas.includes(trigger.area)) {
+                            report(quest.id, `${stepLabel} refers to unknown area "${trigger.area}"`);
+                        }
+                        break;
+                    case 'interact':
+                        if (!trigger.target) {
+                            report(quest.id, `${stepLabel} is missing a target`);
+                        } else if (known.targets && !known.targets.includes(trigger.target)) {
+                            report(quest.id, `${stepLabel} refers to unknown target "${trigger.target}"`);
+                        }
+                        break;
+                    case 'holdItem':
+                        if (!trigger.item) {
+                            report(quest.id, `${stepLabel} is missing an item`);
+                        } else if (known.items && !known.items.includes(trigger.item)) {
+                            report(quest.id, `${stepLabel} refers to unknown item "${trigger.item}"`);
+                        }
+                        break;
+                }
+
+                if (trigger.hours !== undefined && !QuestEngine.isValidHours(trigger.hours)) {
+                    report(quest.id, `${stepLabel} has invalid hours, expected [from, to] between 0 and 24`);
+                }
+                if (trigger.requires && known.items && !known.items.includes(trigger.requires)) {
+                    report(quest.id, `${stepLabel} requires unknown item "${trigger.requires}"`);
+                }
+
+                QuestEngine.validateEffects(step.effects || [], known).forEach(message => {
+                    report(quest.id, `${stepLabel} ${message}`);
+                });
+            });
+        });
+
+        return errors;
+    }
+
+    // Shared with the dialogue system, which uses the same [from, to] format
+    static isValidHours(hours) {
+        return Array.isArray(hours) && hours.length === 2 &&
+            hours.every(hour => typeof hour === 'number' && hour >= 0 && hour <= 24);
+    }
+
+    // Shared with the dialogue system, which uses the same effect format
+    static validateEffects(effects, known) {
+        const messages = [];
+        effects.forEach(effect => {
+            if (!EFFECT_TYPES.includes(effect.type)) {
+                messages.push(`has an unknown effect type "${effect.type}"`);
+            } else if ((effect.type === 'giveItem' || effect.type === 'takeItem') &&
+                known.items && !known.items.includes(effect.item)) {
+                messages.push(`effect refers to unknown item "${effect.item}"`);
+            } else if (effect.type === 'startSale' && known.sales && !known.sales.includes(effect.sale)) {
+                messages.push(`effect refers to unknown sale "${effect.sale}"`);
+            } else if (effect.type === 'startChallenge' && known.quests && !known.quests.includes(effect.quest)) {
+                messages.push(`effect starts unknown quest "${effect.quest}"`);
+            } else if (effect.type === 'changeAffinity' && known.npcs && !known.npcs.includes(effect.npc)) {
+                messages.push(`effect refers to unknown NPC "${effect.npc}"`);
+            } else if (effect.type === 'setFlag' && (!effect.flag || typeof effect.flag !== 'string')) {
+                messages.push('effect has no flag name');
+            } else if (effect.type === 'setFlag' && effect.hours !== undefined && !(effect.hours > 0)) {
+                messages.push('effect has invalid hours, expected a number above 0');
+            }
+        });
+        return messages;
+    }
+
+    getCurrentStepIndex(quest) {
+        if (!quest || quest.completed) return -1;
+        return quest.steps.findIndex(step => !step.completed);
+    }
+
+    // event: { type: 'talkTo', npc }, { type: 'interact', target } or { type: 'enterArea', area }
+    handleEvent(quest, event) {
+        const stepIndex = this.getCurrentStepIndex(quest);
+        if (stepIndex === -1) return false;
+
+        const trigger = quest.steps[stepIndex].trigger;
+        if (trigger.type !== event.type) return false;
+
+        const matches = (trigger.type === 'talkTo' && trigger.npc === event.npc) ||
+            (trigger.type === 'interact' && trigger.target === event.target) ||
+            (trigger.type === 'enterArea' && trigger.area === event.area);
+        if (!matches || !this.hasRequiredItem(trigger) || !this.isRightTime(trigger)) return false;
+
+        this.completeStep(quest, stepIndex);
+        return true;
+    }
+
+    update(quest) {
+        const stepIndex = this.getCurrentStepIndex(quest);
+        if (stepIndex === -1) return false;
+
+        const trigger = quest.steps[stepIndex].trigger;
+        const satisfied = trigger.type === 'holdItem' &&
+            this.hasItem(trigger.item) &&
+            this.hasRequiredItem(trigger) &&
+            this.isRightTime(trigger);
+
+        if (!satisfied) return false;
+
+        this.completeStep(quest, stepIndex);
+        return true;
+    }
+
+    hasItem(itemId) {
+        return !!this.inventory && this.inventory.has(itemId);
+    }
+
+    hasRequiredItem(trigger) {
+        return !trigger.requires || this.hasItem(trigger.requires);
+    }
+
+    isRightTime(trigger) {
+        return !trigger.hours || !this.clock || this.clock.isBetween(trigger.hours[0], trigger.hours[1]);
+    }
+
+    completeStep(quest, stepIndex) {
+        const trigger = quest.steps[stepIndex].trigger;
+        if (trigger.consume && this.inventory) {
+            if (trigger.requires) {
+                this.inventory.remove(trigger.requires);
+            }
+            if (trigger.type === 'holdItem') {
+                this.inventory.remove(trigger.item);
+            }
+        }
+        this.onStepComplete(quest, stepIndex);
+    }
+}
+
+export { QuestEngine, TRIGGER_TYPES, EFFECT_TYPES };
@@ -0,0 +1,125 @@
+import { BufferGeometry, Color, Float32BufferAttribute, LineSegments, ShaderMaterial, Vector3 } from 'three';
+
+// RainEffect draws falling rain as one batch of short line streaks. Every
+// drop is placed once, at random in a box; the vertex shader moves it by the
+// distance the rain has fallen (and blown sideways) and wraps it around the
+// box, which follows the camera. Nothing is written to the GPU per frame but a
+// few uniforms, however many drops there are.
+//
+// Drops are built for the most any quality preset shows; setLimit() caps how
+// many of them can fall, and update() draws that share of them for the
+// current rain.
+
+const DEFAULT_OPTIONS = {
+    maxDrops: 8000,
+    // Size of the box of rain around the camera
+    area: new Vector3(40, 20, 40),
+    // Metres per second
+    fallSpeed: 18,
+    // Length of each streak
+    streakLength: 0.5,
+    color: 0xAABBCC,
+    opacity: 0.5
+};
+
+const VERTEX_SHADER = `
+uniform vec3 fallen;
+uniform vec3 center;
+uniform vec3 area;
+uniform vec3 velocity;
+uniform float streakLength;
+attribute float tail;
+varying float vTail;
+
+void main() {
+    vec3 drop = position + fallen;
+    drop = center + mod(drop - center + area * 0.5, area) - area * 0.5;
+    drop -= normalize(velocity) * streakLength * tail;
+    vTail = tail;
+    gl_Position = projectionMatrix * viewMatrix * vec4(drop, 1.0);
+}
+`;
+
+const FRAGMENT_SHADER = `
+uniform vec3 color;
+uniform float opacity;
+varying float vTail;
+
+void main() {
+    gl_FragColor = vec4(color, opacity * (1.0 - vTail * 0.8));
+}
+`;
+
+class RainEffect {
+    constructor(parent, options = {}) {
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+        this.limit = this.options.maxDrops;
+        // Kept within the box so the shader's floats keep their precision
+        this.fallen = new Vector3();
+
+        // Two vertices per drop, head and tail, at the same starting point
+        const { maxDrops, area } = this.options;
+        const positions = new Float32Array(maxDrops * 6);
+        const tails = new Float32Array(maxDrops * 2);
+        for (let i = 0; i < maxDrops; i++) {
+            const x = Math.random() * area.x;
+            const y = Math.random() * area.y;
+            const z = Math.random() * area.z;
+            positions.set([x, y, z, x, y, z], i * 6);
+            tails[i * 2 + 1] = 1;
+        }
+        const geometry = new BufferGeometry();
+        geometry.setAttribute('position', new Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('tail', new Float32BufferAttribute(tails, 1));
+        geometry.setDrawRange(0, 0);
+
+        this.material = new ShaderMaterial({
+            uniforms: {
+                fallen: { value: this.fallen },
+                center: { value: new Vector3() },
+                area: { value: area.clone() },
+                velocity: { value: new Vector3(0, -this.options.fallSpeed, 0) },
+                streakLength: { value: this.options.streakLength },
+                color: { value: new Color(this.options.color) },
+                opacity: { value: this.options.opacity }
+            },
+            vertexShader: VERTEX_SHADER,
+            fragmentShader: FRAGMENT_SHADER,
+            transparent: true,
+            depthWrite: false
+        });
+
+        this.lines = new LineSegments(geometry, this.material);
+        this.lines.name = 'rain';
+        // The drops are placed by the shader, so the geometry's bounds mean nothing
+        this.lines.frustumCulled = false;
+        this.lines.visible = false;
+        parent.add(this.lines);
+    }
+
+    setLimit(limit) {
+        this.limit = Math.min(limit, this.options.maxDrops);
+    }
+
+    // rain from 0 to 1; wind is a horizontal velocity in metres per second
+    update(dt, center, rain, wind) {
+        const count = Math.floor(this.limit * rain);
+        this.lines.visible = count > 0;
+        this.lines.geometry.setDrawRange(0, count * 2);
+        if (count === 0) return;
+
+        const { area } = this.options;
+        const velocity = this.material.uniforms.velocity.value.set(wind.x, -this.options.fallSpeed, wind.z);
+        this.fallen.addScaledVector(velocity, dt);
+        this.fallen.set(this.fallen.x % area.x, this.fallen.y % area.y, this.fallen.z % area.z);
+        this.material.uniforms.center.value.copy(center);
+    }
+
+    dispose() {
+        this.lines.removeFromParent();
+        this.lines.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+export { RainEffect };
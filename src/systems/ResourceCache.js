@@ -0,0 +1,161 @@
+import {
+    BoxGeometry, CircleGeometry, ConeGeometry, CylinderGeometry, IcosahedronGeometry, PlaneGeometry, SphereGeometry, TorusGeometry,
+    MeshBasicMaterial, MeshLambertMaterial, MeshStandardMaterial, MeshToonMaterial,
+    DataTexture, RedFormat, NearestFilter
+} from 'three';
+
+// ResourceCache hands out geometries, materials and toon gradient maps keyed
+// by the parameters they're built from, so every prop asking for, say, a
+// 2 x 0.1 x 0.6 box or a brown standard material shares one copy:
+//   resources.geometry('Box', [2, 0.1, 0.6])
+//   resources.material('MeshStandard', { color: 0x8B4513 })
+//
+// Cached resources are reference counted per mesh using them. retain(object)
+// counts every mesh under an object (call it once the object is built and
+// added), release(object) uncounts them again when it's removed, and anything
+// no longer used by any mesh is disposed of and dropped from the cache.
+//
+// Textures given as material parameters are keyed by their uuid, so materials
+// using one-off textures (sign lettering) stay one-off.
+
+const GEOMETRY_TYPES = {
+    Box: BoxGeometry,
+    Circle: CircleGeometry,
+    Cone: ConeGeometry,
+    Cylinder: CylinderGeometry,
+    Icosahedron: IcosahedronGeometry,
+    Plane: PlaneGeometry,
+    Sphere: SphereGeometry,
+    Torus: TorusGeometry
+};
+
+const MATERIAL_TYPES = {
+    MeshBasic: MeshBasicMaterial,
+    MeshLambert: MeshLambertMaterial,
+    MeshStandard: MeshStandardMaterial,
+    MeshToon: MeshToonMaterial
+};
+
+// Material properties that can hold textures
+const TEXTURE_SLOTS = ['map', 'gradientMap', 'bumpMap', 'normalMap', 'emissiveMap', 'alphaMap', 'roughnessMap', 'metalnessMap', 'aoMap'];
+
+class ResourceCache {
+    constructor() {
+        // key -> { resource, kind, users }
+        this.entries = new Map();
+        // resource -> key
+        this.keys = new Map();
+    }
+
+    static makeKey(kind, type, params) {
+        return `${kind}:${type}:${JSON.stringify(params, (name, value) =>
+            (value && typeof value === 'object' && value.isTexture) ? `texture:${value.uuid}` : value)}`;
+    }
+
+    getOrCreate(kind, key, create) {
+        let entry = this.entries.get(key);
+        if (!entry) {
+            entry = { resource: create(), kind: kind, users: 0 };
+            this.entries.set(key, entry);
+            this.keys.set(entry.resource, key);
+        }
+        return entry.resource;
+    }
+
+    geometry(type, args = []) {
+        const Geometry = GEOMETRY_TYPES[type];
+        if (!Geometry) {
+            console.warn(`Unknown geometry type "${type}"`);
+            return new BoxGeometry();
+        }
+        return this.getOrCreate('geometry', ResourceCache.makeKey('geometry', type, args), () => new Geometry(...args));
+    }
+
+    material(type, params = {}) {
+        const Material = MATERIAL_TYPES[type];
+        if (!Material) {
+            console.warn(`Unknown material type "${type}"`);
+            return new MeshStandardMaterial(params);
+        }
+        return this.getOrCreate('material', ResourceCache.makeKey('material', type, params), () => new Material(params));
+    }
+
+    // A copy of material changed by adjust, shared by everything asking for the same variant of it
+    variant(material, name, adjust) {
+        const baseKey = this.keys.get(material) || `material:${material.uuid}`;
+        return this.getOrCreate('material', `${baseKey}|${name}`, () => {
+            const copy = material.clone();
+            adjust(copy);
+            return copy;
+        });
+    }
+
+    // Step texture for MeshToonMaterial; levels are the brightness of each band
+    gradientMap(levels = [0, 128, 255]) {
+        return this.getOrCreate('texture', ResourceCache.makeKey('texture', 'gradient', levels), () => {
+            const gradientMap = new DataTexture(new Uint8Array(levels), levels.length, 1, RedFormat);
+            gradientMap.minFilter = NearestFilter;
+            gradientMap.magFilter = NearestFilter;
+            gradientMap.generateMipmaps = false;
+            // Without this the texture is never uploaded and toon materials only get ambient light
+            gradientMap.needsUpdate = true;
+            return gradientMap;
+        });
+    }
+
+    // Calls callback with every cached resource a mesh uses, once per use
+    forEachCached(object, callback) {
+        object.traverse(child => {
+            if (!child.isMesh) return;
+
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            [child.geometry, ...materials].forEach(resource => {
+                if (this.keys.has(resource)) callback(resource);
+            });
+            materials.forEach(material => {
+                TEXTURE_SLOTS.forEach(slot => {
+                    if (material[slot] && this.keys.has(material[slot])) callback(material[slot]);
+                });
+            });
+        });
+    }
+
+    retain(object) {
+        this.forEachCached(object, resource => {
+            this.entries.get(this.keys.get(resource)).users++;
+        });
+    }
+
+    release(object) {
+        this.forEachCached(object, resource => {
+            const key = this.keys.get(resource);
+            const entry = this.entries.get(key);
+            entry.users--;
+            if (entry.users <= 0) {
+                resource.dispose();
+                this.entries.delete(key);
+                this.keys.delete(resource);
+            }
+        });
+    }
+
+    // What's cached, next to what the renderer holds on the GPU
+    getStats(renderer) {
+        const stats = { geometries: 0, materials: 0, textures: 0 };
+        this.entries.forEach(entry => {
+            if (entry.kind === 'geometry') stats.geometries++;
+            else if (entry.kind === 'material') stats.materials++;
+            else stats.textures++;
+        });
+        if (renderer) {
+            stats.gpu = {
+                geometries: renderer.info.memory.geometries,
+                textures: renderer.info.memory.textures,
+                programs: renderer.info.programs ? renderer.info.programs.length : 0
+            };
+        }
+        return stats;
+    }
+}
+
+export { ResourceCache };
@@ -0,0 +1,160 @@
+// SaveManager persists game state to localStorage in named slots.
+// Every save is wrapped in an envelope with a format version so that older
+// saves can be upgraded through MIGRATIONS when the format changes.
+
+const SAVE_VERSION = 8;
+const STORAGE_PREFIX = 'mrbean3d.save.';
+const SAVE_SLOTS = ['autosave', 'slot1', 'slot2', 'slot3'];
+
+// Migrations upgrade a state object from version N to N + 1; they're also
+// given the save's envelope, for when it was written.
+// Add an entry here whenever SAVE_VERSION is bumped.
+const MIGRATIONS = {
+    // 1 -> 2: NPC affinity scores; an empty map means everyone starts at their initial score
+    1: state => Object.assign({}, state, { affinity: {} }),
+    // 2 -> 3: carried items and collected pickups, for saves from before the inventory
+    2: state => Object.assign({ inventory: {}, collectedPickups: [] }, state),
+    // 3 -> 4: the wallet, for saves from before it (no balance means the starting money).
+    // Sales used to end at a clock time; now they count down seconds of play from the save.
+    3: (state, envelope) => {
+        const economy = state.economy || { sales: [] };
+        const sales = (economy.sales || []).map(sale => sale.remaining !== undefined ? sale : {
+            id: sale.id,
+            remaining: Math.max(0, (sale.expiresAt - envelope.savedAt) / 1000)
+        });
+        return Object.assign({}, state, { economy: Object.assign({}, economy, { sales: sales }) });
+    },
+    // 4 -> 5: the camera's free look; older saves only knew the chase and first person views
+    4: state => state.camera ?
+        Object.assign({}, state, { camera: Object.assign({ freeLook: false }, state.camera) }) :
+        state,
+    // 5 -> 6: the time of day; older saves wake up at nine, as a new game does
+    5: state => Object.assign({ time: 9 }, state),
+    // 6 -> 7: the weather; null leaves the new game's own forecast in place
+    6: state => Object.assign({ weather: null }, state),
+    // 7 -> 8: odd jobs and the like already done; older saves haven't done any
+    7: state => Object.assign({ flags: {} }, state)
+};
+
+class SaveManager {
+    constructor(storage) {
+        this.storage = storage !== undefined ? storage : SaveManager.getDefaultStorage();
+        this.slots = SAVE_SLOTS.slice();
+    }
+
+    static getDefaultStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            // Storage can be blocked (private browsing, sandboxed iframes)
+            console.warn('localStorage is not available, saving is disabled:', error);
+            return null;
+        }
+    }
+
+    isAvailable() {
+        return !!this.storage;
+    }
+
+    getKey(slot) {
+        return STORAGE_PREFIX + slot;
+    }
+
+    save(slot, state) {
+        if (!this.isAvailable()) return false;
+
+        const envelope = {
+            version: SAVE_VERSION,
+            savedAt: Date.now(),
+            state: state
+        };
+
+        try {
+            this.storage.setItem(this.getKey(slot), JSON.stringify(envelope));
+            return true;
+        } catch (error) {
+            console.warn(`Could not write save slot "${slot}":`, error);
+            return false;
+        }
+    }
+
+    load(slot) {
+        const envelope = this.readEnvelope(slot);
+        if (!envelope) return null;
+
+        try {
+            return this.migrate(envelope).state;
+        } catch (error) {
+            console.warn(`Could not migrate save slot "${slot}":`, error);
+            return null;
+        }
+    }
+
+    delete(slot) {
+        if (!this.isAvailable()) return;
+        this.storage.removeItem(this.getKey(slot));
+    }
+
+    hasSave(slot) {
+        return this.readEnvelope(slot) !== null;
+    }
+
+    // Returns slot metadata for the save/load menu
+    listSlots() {
+        return this.slots.map(slot => {
+            const envelope = this.readEnvelope(slot);
+            return {
+                slot: slot,
+                exists: !!envelope,
+                version: envelope ? envelope.version : null,
+                savedAt: envelope ? envelope.savedAt : null
+            };
+        });
+    }
+
+    readEnvelope(slot) {
+        if (!this.isAvailable()) return null;
+
+        let raw;
+        try {
+            raw = this.storage.getItem(this.getKey(slot));
+        } catch (error) {
+            console.warn(`Could not read save slot "${slot}":`, error);
+            return null;
+        }
+        if (!raw) return null;
+
+        try {
+            const envelope = JSON.parse(raw);
+            if (!envelope || typeof envelope.version !== 'number' || !envelope.state) {
+                console.warn(`Ignoring malformed save slot "${slot}"`);
+                return null;
+            }
+            return envelope;
+        } catch (error) {
+            console.warn(`Ignoring corrupt save slot "${slot}":`, error);
+            return null;
+        }
+    }
+
+    migrate(envelope) {
+        if (envelope.version > SAVE_VERSION) {
+            throw new Error(`Save version ${envelope.version} is newer than supported version ${SAVE_VERSION}`);
+        }
+
+        let version = envelope.version;
+        let state = envelope.state;
+        while (version < SAVE_VERSION) {
+            const migration = MIGRATIONS[version];
+            if (!migration) {
+                throw new Error(`No migration from save version ${version}`);
+            }
+            state = migration(state, envelope);
+            version++;
+        }
+
+        return { version: version, savedAt: envelope.savedAt, state: state };
+    }
+}
+
+export { SaveManager, SAVE_VERSION, SAVE_SLOTS, MIGRATIONS };
@@ -0,0 +1,73 @@
+import { PointLight } from 'three';
+
+// StreetLighting lights the street lamps after dark without giving every lamp
+// a light of its own. Each point light in the scene costs every lit material
+// a little more per pixel, and adding or removing one recompiles all shaders,
+// so a small fixed set of lights (the budget) is moved each update to the
+// lamps nearest the given point. The lights stay in the scene, turned down to
+// nothing, during the day. The bulbs' glow is the game's to handle.
+
+const DEFAULT_OPTIONS = {
+    budget: 6,
+    color: 0xFFFF99,
+    // Candela at full level
+    intensity: 10,
+    // Reach of each light
+    distance: 12,
+    // Lamps further than this from the point aren't worth a light
+    range: 40
+};
+
+class StreetLighting {
+    constructor(parent, options = {}) {
+        this.parent = parent;
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+        // World positions of the bulbs
+        this.lamps = [];
+        this.lights = [];
+        this.setBudget(this.options.budget);
+    }
+
+    addLamp(position) {
+        this.lamps.push(position.clone());
+    }
+
+    // Changing the number of lights recompiles shaders, so only do it with other settings changes
+    setBudget(budget) {
+        if (budget === this.lights.length) return;
+
+        this.lights.forEach(light => {
+            this.parent.remove(light);
+            light.dispose();
+        });
+        this.lights = [];
+        for (let i = 0; i < budget; i++) {
+            const light = new PointLight(this.options.color, 0, this.options.distance);
+            this.parent.add(light);
+            this.lights.push(light);
+        }
+    }
+
+    // level runs from 0 (off) to 1 (fully on)
+    update(center, level) {
+        const intensity = level * this.options.intensity;
+        const nearest = intensity > 0 ?
+            this.lamps
+                .map(position => ({ position: position, distance: position.distanceToSquared(center) }))
+                .filter(lamp => lamp.distance < this.options.range * this.options.range)
+                .sort((a, b) => a.distance - b.distance) :
+            [];
+
+        this.lights.forEach((light, index) => {
+            const lamp = nearest[index];
+            light.intensity = lamp ? intensity : 0;
+            if (lamp) light.position.copy(lamp.position);
+        });
+    }
+
+    getActiveCount() {
+        return this.lights.filter(light => light.intensity > 0).length;
+    }
+}
+
+export { StreetLighting };
@@ -0,0 +1,243 @@
+import { EventDispatcher } from 'three';
+
+// TouchControls puts on-screen controls over the game for phones and tablets
+// and feeds them into the InputManager's actions, the same way GamepadInput
+// does: a virtual joystick for walking and turning, and buttons for interact,
+// the camera toggle and the pause menu. Swiping anywhere else on the game
+// surface orbits the camera.
+//
+// Everything is sized from the viewport and kept clear of notches and home
+// indicators with the safe-area insets (index.html sets viewport-fit=cover).
+//
+// Dispatches 'orbit' with { deltaX, deltaY } in pixels while the player swipes.
+
+const JOYSTICK_DEAD_ZONE = 0.15;
+const EDGE_MARGIN = 24;
+
+// Shared look of the round on-screen buttons
+const styleButton = (button, size) => {
+    button.style.width = size;
+    button.style.height = size;
+    button.style.borderRadius = '50%';
+    button.style.border = '2px solid rgba(255, 255, 255, 0.6)';
+    button.style.backgroundColor = 'rgba(0, 0, 0, 0.45)';
+    button.style.color = 'white';
+    button.style.fontSize = `calc(${size} * 0.4)`;
+    button.style.padding = '0';
+    button.style.touchAction = 'none';
+    button.style.userSelect = 'none';
+    button.style.webkitUserSelect = 'none';
+};
+
+class TouchControls extends EventDispatcher {
+    constructor(input, surface) {
+        super();
+        this.input = input;
+        this.surface = surface;
+
+        // Touch.identifier of the finger on the joystick / swiping the camera
+        this.joystickTouch = null;
+        this.orbitTouch = null;
+        this.orbitLast = { x: 0, y: 0 };
+
+        this.createElements();
+
+        this.onJoystickStart = this.onJoystickStart.bind(this);
+        this.onJoystickMove = this.onJoystickMove.bind(this);
+        this.onJoystickEnd = this.onJoystickEnd.bind(this);
+        this.onSurfaceStart = this.onSurfaceStart.bind(this);
+        this.onSurfaceMove = this.onSurfaceMove.bind(this);
+        this.onSurfaceEnd = this.onSurfaceEnd.bind(this);
+
+        // Not passive, so the page doesn't scroll or zoom under the player's thumbs
+        const options = { passive: false };
+        this.joystick.addEventListener('touchstart', this.onJoystickStart, options);
+        this.joystick.addEventListener('touchmove', this.onJoystickMove, options);
+        this.joystick.addEventListener('touchend', this.onJoystickEnd);
+        this.joystick.addEventListener('touchcancel', this.onJoystickEnd);
+        surface.addEventListener('touchstart', this.onSurfaceStart, options);
+        surface.addEventListener('touchmove', this.onSurfaceMove, options);
+        surface.addEventListener('touchend', this.onSurfaceEnd);
+        surface.addEventListener('touchcancel', this.onSurfaceEnd);
+        surface.style.touchAction = 'none';
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && ('ontouchstart' in window || navigator.maxTouchPoints > 0);
+    }
+
+    createElements() {
+        this.root = document.createElement('div');
+        this.root.style.position = 'fixed';
+        this.root.style.inset = '0';
+        this.root.style.pointerEvents = 'none';
+        this.root.style.zIndex = '900';
+
+        // Joystick in the bottom left
+        this.joystick = document.createElement('div');
+        this.joystick.style.position = 'absolute';
+        this.joystick.style.left = `calc(${EDGE_MARGIN}px + env(safe-area-inset-left))`;
+        this.joystick.style.bottom = `calc(${EDGE_MARGIN}px + env(safe-area-inset-bottom))`;
+        this.joystick.style.width = 'clamp(96px, 30vmin, 160px)';
+        this.joystick.style.height = 'clamp(96px, 30vmin, 160px)';
+        this.joystick.style.borderRadius = '50%';
+        this.joystick.style.border = '2px solid rgba(255, 255, 255, 0.5)';
+        this.joystick.style.backgroundColor = 'rgba(0, 0, 0, 0.3)';
+        this.joystick.style.pointerEvents = 'auto';
+        this.joystick.style.touchAction = 'none';
+
+        this.knob = document.createElement('div');
+        this.knob.style.position = 'absolute';
+        this.knob.style.left = '50%';
+        this.knob.style.top = '50%';
+        this.knob.style.width = '40%';
+        this.knob.style.height = '40%';
+        this.knob.style.borderRadius = '50%';
+        this.knob.style.backgroundColor = 'rgba(255, 255, 255, 0.7)';
+        this.knob.style.transform = 'translate(-50%, -50%)';
+        this.joystick.appendChild(this.knob);
+        this.root.appendChild(this.joystick);
+
+        // Buttons stacked in the bottom right
+        const buttons = document.createElement('div');
+        buttons.style.position = 'absolute';
+        buttons.style.right = `calc(${EDGE_MARGIN}px + env(safe-area-inset-right))`;
+        buttons.style.bottom = `calc(${EDGE_MARGIN}px + env(safe-area-inset-bottom))`;
+        buttons.style.display = 'flex';
+        buttons.style.flexDirection = 'column-reverse';
+        buttons.style.alignItems = 'center';
+        buttons.style.gap = '12px';
+        buttons.style.pointerEvents = 'auto';
+
+        this.interactButton = this.createButton('✋', 'clamp(64px, 18vmin, 96px)', 'Interact');
+        this.interactButton.style.visibility = 'hidden';
+        this.cameraButton = this.createButton('🎥', 'clamp(44px, 12vmin, 64px)', 'ToggleCamera');
+        this.pauseButton = this.createButton('⏸', 'clamp(44px, 12vmin, 64px)', 'Pause');
+        buttons.appendChild(this.interactButton);
+        buttons.appendChild(this.cameraButton);
+        buttons.appendChild(this.pauseButton);
+        this.root.appendChild(buttons);
+
+        document.body.appendChild(this.root);
+    }
+
+    // A round button that fires action as soon as it's touched
+    createButton(label, size, action) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        styleButton(button, size);
+        button.addEventListener('touchstart', event => {
+            event.preventDefault();
+            this.input.trigger(action, event);
+        }, { passive: false });
+        return button;
+    }
+
+    setVisible(visible) {
+        this.root.style.display = visible ? 'block' : 'none';
+        if (!visible) this.releaseJoystick();
+    }
+
+    // Only offered while something is within reach
+    setInteractVisible(visible) {
+        this.interactButton.style.visibility = visible ? 'visible' : 'hidden';
+    }
+
+    static findTouch(touches, identifier) {
+        return Array.from(touches).find(touch => touch.identifier === identifier) || null;
+    }
+
+    onJoystickStart(event) {
+        event.preventDefault();
+        if (this.joystickTouch !== null) return;
+
+        const touch = event.changedTouches[0];
+        this.joystickTouch = touch.identifier;
+        this.updateJoystick(touch);
+    }
+
+    onJoystickMove(event) {
+        event.preventDefault();
+        const touch = TouchControls.findTouch(event.changedTouches, this.joystickTouch);
+        if (touch) this.updateJoystick(touch);
+    }
+
+    onJoystickEnd(event) {
+        if (TouchControls.findTouch(event.changedTouches, this.joystickTouch)) {
+            this.releaseJoystick();
+        }
+    }
+
+    // Reads the joystick fresh every time, so it follows rotation and resizing
+    updateJoystick(touch) {
+        const rect = this.joystick.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let x = (touch.clientX - (rect.left + radius)) / radius;
+        let y = (touch.clientY - (rect.top + radius)) / radius;
+
+        const length = Math.hypot(x, y);
+        if (length > 1) {
+            x /= length;
+            y /= length;
+        }
+        this.knob.style.transform = `translate(calc(-50% + ${x * radius}px), calc(-50% + ${y * radius}px))`;
+
+        // Rescaled past the dead zone so a small push still walks slowly
+        const amount = length <= JOYSTICK_DEAD_ZONE ? 0 : (Math.min(length, 1) - JOYSTICK_DEAD_ZONE) / (1 - JOYSTICK_DEAD_ZONE);
+        const scale = length > 0 ? amount / Math.min(length, 1) : 0;
+        x *= scale;
+        y *= scale;
+
+        // Up on screen is forward
+        this.input.setAnalog('MoveForward', Math.max(0, -y), 'touch');
+        this.input.setAnalog('MoveBackward', Math.max(0, y), 'touch');
+        this.input.setAnalog('TurnLeft', Math.max(0, -x), 'touch');
+        this.input.setAnalog('TurnRight', Math.max(0, x), 'touch');
+    }
+
+    releaseJoystick() {
+        this.joystickTouch = null;
+        this.knob.style.transform = 'translate(-50%, -50%)';
+        ['MoveForward', 'MoveBackward', 'TurnLeft', 'TurnRight'].forEach(action => this.input.setAnalog(action, 0, 'touch'));
+    }
+
+    onSurfaceStart(event) {
+        event.preventDefault();
+        if (this.orbitTouch !== null) return;
+
+        const touch = event.changedTouches[0];
+        this.orbitTouch = touch.identifier;
+        this.orbitLast = { x: touch.clientX, y: touch.clientY };
+    }
+
+    onSurfaceMove(event) {
+        event.preventDefault();
+        const touch = TouchControls.findTouch(event.changedTouches, this.orbitTouch);
+        if (!touch) return;
+
+        const deltaX = touch.clientX - this.orbitLast.x;
+        const deltaY = touch.clientY - this.orbitLast.y;
+        this.orbitLast = { x: touch.clientX, y: touch.clientY };
+        this.dispatchEvent({ type: 'orbit', deltaX: deltaX, deltaY: deltaY });
+    }
+
+    onSurfaceEnd(event) {
+        if (TouchControls.findTouch(event.changedTouches, this.orbitTouch)) {
+            this.orbitTouch = null;
+        }
+    }
+
+    dispose() {
+        this.joystick.removeEventListener('touchstart', this.onJoystickStart);
+        this.joystick.removeEventListener('touchmove', this.onJoystickMove);
+        this.joystick.removeEventListener('touchend', this.onJoystickEnd);
+        this.joystick.removeEventListener('touchcancel', this.onJoystickEnd);
+        this.surface.removeEventListener('touchstart', this.onSurfaceStart);
+        this.surface.removeEventListener('touchmove', this.onSurfaceMove);
+        this.surface.removeEventListener('touchend', this.onSurfaceEnd);
+        this.surface.removeEventListener('touchcancel', this.onSurfaceEnd);
+        this.root.remove();
+    }
+}
+
+export { TouchControls };
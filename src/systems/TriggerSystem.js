@@ -0,0 +1,109 @@
+import { Box3, EventDispatcher, Sphere, Vector3 } from 'three';
+
+// TriggerSystem tracks box and sphere volumes in world space and reports when
+// the player moves in or out of them.
+//
+// Events (dispatched with addEventListener, like any three.js EventDispatcher):
+//   enter - the position moved into the volume this update
+//   stay  - the position was inside the volume this update and the last one
+//   exit  - the position left the volume this update
+// Every event carries { id, volume, position }.
+
+class TriggerSystem extends EventDispatcher {
+    constructor() {
+        super();
+        this.volumes = new Map();
+        this.inside = new Set();
+    }
+
+    addBox(id, min, max, data = {}) {
+        const shape = new Box3(new Vector3().fromArray(min), new Vector3().fromArray(max));
+        return this.addVolume(id, shape, data);
+    }
+
+    addSphere(id, center, radius, data = {}) {
+        const shape = new Sphere(new Vector3().fromArray(center), radius);
+        return this.addVolume(id, shape, data);
+    }
+
+    // Accepts the JSON form used in src/data/areas.js
+    addFromDefinition(id, definition) {
+        if (definition.shape === 'box') {
+            return this.addBox(id, definition.min, definition.max, definition);
+        }
+        if (definition.shape === 'sphere') {
+            return this.addSphere(id, definition.center, definition.radius, definition);
+        }
+        throw new Error(`Trigger volume "${id}" has unknown shape "${definition.shape}"`);
+    }
+
+    addVolume(id, shape, data) {
+        if (this.volumes.has(id)) {
+            throw new Error(`Trigger volume "${id}" already exists`);
+        }
+        const volume = { id: id, shape: shape, data: data, enabled: true };
+        this.volumes.set(id, volume);
+        return volume;
+    }
+
+    remove(id) {
+        this.volumes.delete(id);
+        this.inside.delete(id);
+    }
+
+    getVolume(id) {
+        return this.volumes.get(id) || null;
+    }
+
+    getIds() {
+        return [...this.volumes.keys()];
+    }
+
+    isInside(id) {
+        return this.inside.has(id);
+    }
+
+    // Subscribes to one event type for a single volume; returns an unsubscribe function
+    subscribe(id, type, callback) {
+        const listener = event => {
+            if (event.id === id) callback(event);
+        };
+        this.addEventListener(type, listener);
+        return () => this.removeEventListener(type, listener);
+    }
+
+    static contains(volume, position) {
+        // Spheres are tested on the ground plane so the player's height does not matter
+        return volume.enabled && (volume.shape.isSphere ?
+            Math.hypot(position.x - volume.shape.center.x, position.z - volume.shape.center.z) < volume.shape.radius :
+            volume.shape.containsPoint(position));
+    }
+
+    // Starts over from position without sending any events, for when the player
+    // is put somewhere (loading a save) rather than walking there
+    reset(position) {
+        this.inside.clear();
+        this.volumes.forEach(volume => {
+            if (TriggerSystem.contains(volume, position)) this.inside.add(volume.id);
+        });
+    }
+
+    update(position) {
+        this.volumes.forEach(volume => {
+            const wasInside = this.inside.has(volume.id);
+            const isInside = TriggerSystem.contains(volume, position);
+
+            if (isInside && !wasInside) {
+                this.inside.add(volume.id);
+                this.dispatchEvent({ type: 'enter', id: volume.id, volume: volume, position: position });
+            } else if (isInside) {
+                this.dispatchEvent({ type: 'stay', id: volume.id, volume: volume, position: position });
+            } else if (wasInside) {
+                this.inside.delete(volume.id);
+                this.dispatchEvent({ type: 'exit', id: volume.id, volume: volume, position: position });
+            }
+        });
+    }
+}
+
+export { TriggerSystem };
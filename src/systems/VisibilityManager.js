@@ -0,0 +1,123 @@
+import { Box3, Frustum, Matrix4, Sphere, Vector3 } from 'three';
+
+// VisibilityManager decides once per frame which props get drawn. Objects are
+// registered once the world is built; static ones have their world bounding
+// sphere worked out then and never again, moving ones (NPCs, pickups) keep the
+// sphere's offset from their position and radius.
+//
+// An object is hidden when it's further than the cull distance from Mr. Bean
+// or outside the camera's view frustum. Objects can also declare two levels of
+// detail in userData.lod, swapped by distance from the camera:
+//   { distance: d, high: [child, ...], low: [child, ...] }
+// Beyond d the high children are hidden and the low ones shown instead.
+//
+// Entry options:
+//   dynamic      - the object moves, so its sphere follows it
+//   alwaysShown  - never culled (the ground)
+//   ignoreRange  - outdoors, only the frustum applies (buildings stay on the skyline)
+
+const DEFAULT_OPTIONS = {
+    cullDistance: 60,
+    // Indoors only the doorway view matters, so cull much closer
+    interiorCullDistance: 20,
+    // Grows spheres a little so props don't pop in at the screen edges
+    sphereMargin: 1.2
+};
+
+class VisibilityManager {
+    constructor(options = {}) {
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+        this.frustum = new Frustum();
+        this.cameraViewProjectionMatrix = new Matrix4();
+        // object -> entry
+        this.entries = new Map();
+        this.stats = { total: 0, visible: 0, culled: 0, lowDetail: 0 };
+    }
+
+    register(object, options = {}) {
+        object.updateWorldMatrix(true, true);
+        const sphere = new Box3().setFromObject(object).getBoundingSphere(new Sphere());
+        sphere.radius *= this.options.sphereMargin;
+
+        const position = object.getWorldPosition(new Vector3());
+        this.entries.set(object, {
+            object: object,
+            sphere: sphere,
+            // Where the sphere sits relative to a moving object
+            offset: sphere.center.clone().sub(position),
+            dynamic: !!options.dynamic,
+            alwaysShown: !!options.alwaysShown,
+            ignoreRange: !!options.ignoreRange,
+            lod: object.userData.lod || null,
+            lowDetail: false
+        });
+
+        // Start out detailed
+        const entry = this.entries.get(object);
+        if (entry.lod) VisibilityManager.setLowDetail(entry, false);
+    }
+
+    unregister(object) {
+        const entry = this.entries.get(object);
+        if (entry && entry.lowDetail) VisibilityManager.setLowDetail(entry, false);
+        this.entries.delete(object);
+    }
+
+    static setLowDetail(entry, lowDetail) {
+        entry.lowDetail = lowDetail;
+        entry.lod.high.forEach(child => { child.visible = !lowDetail; });
+        entry.lod.low.forEach(child => { child.visible = lowDetail; });
+    }
+
+    // interior is the building Mr. Bean is inside, if any; it's always drawn
+    update(camera, playerPosition, interior = null) {
+        camera.updateMatrixWorld();
+        this.cameraViewProjectionMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        this.frustum.setFromProjectionMatrix(this.cameraViewProjectionMatrix);
+
+        const cullDistance = interior ? this.options.interiorCullDistance : this.options.cullDistance;
+        const worldPosition = new Vector3();
+        const stats = { total: this.entries.size, visible: 0, culled: 0, lowDetail: 0 };
+
+        this.entries.forEach(entry => {
+            const object = entry.object;
+            if (entry.dynamic) {
+                entry.sphere.center.copy(object.getWorldPosition(worldPosition)).add(entry.offset);
+            }
+
+            let visible;
+            if (object.userData.collected) {
+                // Picked-up items stay hidden
+                visible = false;
+            } else if (entry.alwaysShown || object === interior) {
+                visible = true;
+            } else {
+                const inRange = (entry.ignoreRange && !interior) ||
+                    entry.sphere.center.distanceTo(playerPosition) - entry.sphere.radius <= cullDistance;
+                visible = inRange && this.frustum.intersectsSphere(entry.sphere);
+            }
+            object.visible = visible;
+
+            if (!visible) {
+                stats.culled++;
+                return;
+            }
+            stats.visible++;
+
+            if (entry.lod) {
+                const lowDetail = entry.sphere.center.distanceTo(camera.position) > entry.lod.distance;
+                if (lowDetail !== entry.lowDetail) VisibilityManager.setLowDetail(entry, lowDetail);
+                if (lowDetail) stats.lowDetail++;
+            }
+        });
+
+        this.stats = stats;
+    }
+
+    // { total, visible, culled, lowDetail } as of the last update
+    getStats() {
+        return this.stats;
+    }
+}
+
+export { VisibilityManager };
@@ -0,0 +1,196 @@
+import { Color, EventDispatcher } from 'three';
+
+// WeatherSystem decides what the sky is doing. The weather comes in spells of
+// a few minutes each; when one ends the next is drawn from the transitions
+// below with a seeded random number generator, so the same seed always gives
+// the same forecast (previewSchedule() lists it without running the game).
+// The game draws the weather (see updateWeather() in main.js); this only
+// decides it and blends one spell into the next.
+//
+// getConditions() gives the blended numbers:
+//   rain        - 0 to 1, the share of raindrops falling
+//   cloudCover  - 0 to 1, how grey the sky and clouds are
+//   fogScale    - multiplies the quality preset's fog density
+//   wind        - how fast clouds drift and how far rain slants, metres per second
+//   light       - multiplies the sun's strength
+// getWetness() says how wet the streets are; they soak up rain over a minute
+// or so and take a few minutes to dry out.
+//
+// Dispatches 'change' with { state, previous } when a new spell starts.
+
+// pedestrians: how people in the street behave - 'stroll', 'hurry' or 'shelter'
+const WEATHER_STATES = {
+    sunny: { label: 'Sunny', icon: '☀️', rain: 0, cloudCover: 0, fogScale: 1, wind: 1, light: 1, pedestrians: 'stroll' },
+    overcast: { label: 'Overcast', icon: '☁️', rain: 0, cloudCover: 0.7, fogScale: 1.3, wind: 2, light: 0.6, pedestrians: 'stroll' },
+    drizzle: { label: 'Drizzle', icon: '🌦️', rain: 0.2, cloudCover: 0.8, fogScale: 1.5, wind: 2, light: 0.5, pedestrians: 'hurry' },
+    downpour: { label: 'Downpour', icon: '🌧️', rain: 1, cloudCover: 1, fogScale: 2, wind: 4, light: 0.35, pedestrians: 'shelter' },
+    fog: { label: 'Fog', icon: '🌫️', rain: 0, cloudCover: 0.5, fogScale: 4, wind: 0.5, light: 0.5, pedestrians: 'stroll' }
+};
+const WEATHER_IDS = Object.keys(WEATHER_STATES);
+
+// Relative chances of what follows each kind of weather
+const TRANSITIONS = {
+    sunny: { overcast: 3, fog: 1 },
+    overcast: { sunny: 3, drizzle: 3, fog: 1 },
+    drizzle: { overcast: 2, downpour: 2, sunny: 1 },
+    downpour: { drizzle: 3, overcast: 1 },
+    fog: { sunny: 2, overcast: 2 }
+};
+
+const DEFAULT_OPTIONS = {
+    state: 'sunny',
+    // Seconds of play each spell lasts, picked between these
+    minDuration: 120,
+    maxDuration: 360,
+    // Seconds to blend from one spell into the next
+    transitionTime: 30,
+    // Seconds of heavy rain to soak the streets, and to dry them out again
+    wetTime: 40,
+    dryTime: 180
+};
+
+// How much of its brightness the sky keeps as it greys over
+const OVERCAST_GREY = 0.8;
+
+class WeatherSystem extends EventDispatcher {
+    constructor(options = {}) {
+        super();
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+        // mulberry32 state; any 32 bit number
+        this.randomState = (options.seed !== undefined ? options.seed : Math.random() * 0x100000000) >>> 0;
+
+        this.state = WEATHER_STATES[this.options.state] ? this.options.state : 'sunny';
+        this.previous = this.state;
+        this.elapsed = this.options.transitionTime;
+        this.duration = this.pickDuration();
+        this.wetness = 0;
+
+        this.conditions = { rain: 0, cloudCover: 0, fogScale: 1, wind: 0, light: 1 };
+        this.grey = new Color();
+        this.updateConditions();
+    }
+
+    // Numbers in [0, 1), the same sequence for the same seed
+    random() {
+        this.randomState = (this.randomState + 0x6D2B79F5) >>> 0;
+        let t = this.randomState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    pickDuration() {
+        return this.options.minDuration + this.random() * (this.options.maxDuration - this.options.minDuration);
+    }
+
+    pickNext() {
+        const choices = Object.entries(TRANSITIONS[this.state]);
+        let roll = this.random() * choices.reduce((total, [, weight]) => total + weight, 0);
+        for (const [state, weight] of choices) {
+            roll -= weight;
+            if (roll < 0) return state;
+        }
+        return choices[choices.length - 1][0];
+    }
+
+    update(dt) {
+        this.elapsed += dt;
+        if (this.elapsed >= this.duration) {
+            this.setState(this.pickNext(), this.pickDuration());
+        }
+        this.updateConditions();
+
+        const rain = this.conditions.rain;
+        this.wetness = rain > 0 ?
+            Math.min(1, this.wetness + dt * rain / this.options.wetTime) :
+            Math.max(0, this.wetness - dt / this.options.dryTime);
+    }
+
+    // Starts a spell straight away, blending in from the spell it replaces
+    setState(state, duration = this.pickDuration()) {
+        if (!WEATHER_STATES[state]) {
+            console.warn(`Unknown weather "${state}"`);
+            return;
+        }
+
+        const previous = this.state;
+        this.previous = previous;
+        this.state = state;
+        this.elapsed = 0;
+        this.duration = duration;
+        this.dispatchEvent({ type: 'change', state: state, previous: previous });
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    getDefinition() {
+        return WEATHER_STATES[this.state];
+    }
+
+    // Seconds until the next spell
+    getRemaining() {
+        return Math.max(0, this.duration - this.elapsed);
+    }
+
+    getWetness() {
+        return this.wetness;
+    }
+
+    // Blended between the last spell and this one; the returned object is reused between calls
+    getConditions() {
+        return this.conditions;
+    }
+
+    updateConditions() {
+        const from = WEATHER_STATES[this.previous];
+        const to = WEATHER_STATES[this.state];
+        const t = Math.min(1, this.elapsed / this.options.transitionTime);
+        ['rain', 'cloudCover', 'fogScale', 'wind', 'light'].forEach(key => {
+            this.conditions[key] = from[key] + (to[key] - from[key]) * t;
+        });
+    }
+
+    // Greys a sky colour (from DayNightCycle) in place for the cloud cover
+    tintSky(color) {
+        const brightness = (color.r + color.g + color.b) / 3 * OVERCAST_GREY;
+        return color.lerp(this.grey.setRGB(brightness, brightness, brightness), this.conditions.cloudCover);
+    }
+
+    // The next count spells for a seed, as [{ state, duration }], starting from the given weather
+    static previewSchedule(seed, count, options = {}) {
+        const weather = new WeatherSystem(Object.assign({}, options, { seed: seed }));
+        const schedule = [{ state: weather.state, duration: weather.duration }];
+        while (schedule.length < count) {
+            weather.setState(weather.pickNext(), weather.pickDuration());
+            schedule.push({ state: weather.state, duration: weather.duration });
+        }
+        return schedule;
+    }
+
+    toJSON() {
+        return {
+            randomState: this.randomState,
+            state: this.state,
+            previous: this.previous,
+            elapsed: this.elapsed,
+            duration: this.duration,
+            wetness: this.wetness
+        };
+    }
+
+    fromJSON(data) {
+        if (!data || !WEATHER_STATES[data.state]) return;
+
+        this.randomState = data.randomState >>> 0;
+        this.state = data.state;
+        this.previous = WEATHER_STATES[data.previous] ? data.previous : data.state;
+        this.elapsed = data.elapsed;
+        this.duration = data.duration;
+        this.wetness = data.wetness;
+        this.updateConditions();
+    }
+}
+
+export { WeatherSystem, WEATHER_STATES, WEATHER_IDS };
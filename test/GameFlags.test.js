@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameFlags } from '../src/systems/GameFlags.js';
+
+test('a flag without hours stays set', () => {
+    const flags = new GameFlags();
+    flags.set('stackedShelves');
+    flags.update(1000);
+    assert.ok(flags.has('stackedShelves'));
+    assert.ok(!flags.has('paidRent'));
+});
+
+test('a flag set for some hours clears once they have passed', () => {
+    const flags = new GameFlags();
+    flags.set('paidRent', 24);
+    flags.update(23.5);
+    assert.ok(flags.has('paidRent'));
+    flags.update(0.5);
+    assert.ok(!flags.has('paidRent'));
+});
+
+test('saved flags come back with the time they had left', () => {
+    const flags = new GameFlags();
+    flags.set('stackedShelves');
+    flags.set('paidRent', 24);
+    flags.update(10);
+
+    const loaded = new GameFlags();
+    loaded.set('leftOver');
+    loaded.fromJSON(JSON.parse(JSON.stringify(flags.toJSON())));
+    assert.deepEqual(loaded.toJSON(), { stackedShelves: null, paidRent: 14 });
+    loaded.update(14);
+    assert.ok(loaded.has('stackedShelves'));
+    assert.ok(!loaded.has('paidRent'));
+});
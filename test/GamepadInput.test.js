@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GamepadInput, GAMEPAD_BUTTONS } from '../src/systems/GamepadInput.js';
+
+// Stands in for the InputManager, remembering what the controller reported
+class FakeInput {
+    constructor() {
+        this.analog = {};
+        this.triggered = [];
+    }
+
+    setAnalog(action, value) {
+        this.analog[action] = value;
+    }
+
+    trigger(action) {
+        this.triggered.push(action);
+    }
+}
+
+const makePad = (index = 0, id = 'Test pad') => ({
+    index: index,
+    id: id,
+    connected: true,
+    axes: [0, 0, 0, 0],
+    buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }))
+});
+
+const setup = (pads, options = {}) => {
+    const input = new FakeInput();
+    const gamepad = new GamepadInput(input, Object.assign({ getGamepads: () => pads }, options));
+    return { input, gamepad };
+};
+
+test('sticks read zero inside the dead zone and reach one at the edge', () => {
+    const pad = makePad();
+    const { input, gamepad } = setup([pad], { deadZone: 0.2 });
+
+    pad.axes[1] = -0.15;
+    pad.axes[0] = 0.1;
+    gamepad.poll();
+    assert.equal(input.analog.MoveForward, 0);
+    assert.equal(input.analog.TurnRight, 0);
+
+    pad.axes[1] = -0.6;
+    gamepad.poll();
+    assert.ok(Math.abs(input.analog.MoveForward - 0.5) < 1e-9);
+    assert.equal(input.analog.MoveBackward, 0);
+
+    pad.axes[1] = -1;
+    pad.axes[2] = 1;
+    gamepad.poll();
+    assert.equal(input.analog.MoveForward, 1);
+    assert.equal(input.analog.LookRight, 1);
+    assert.equal(input.analog.LookLeft, 0);
+});
+
+test('a held button fires its action once per press', () => {
+    const pad = makePad();
+    const { input, gamepad } = setup([pad]);
+    const interact = pad.buttons[GAMEPAD_BUTTONS.Interact];
+
+    interact.pressed = true;
+    gamepad.poll();
+    gamepad.poll();
+    gamepad.poll();
+    assert.deepEqual(input.triggered, ['Interact']);
+
+    interact.pressed = false;
+    gamepad.poll();
+    interact.pressed = true;
+    gamepad.poll();
+    assert.deepEqual(input.triggered, ['Interact', 'Interact']);
+});
+
+test('unplugging lets go of the sticks and plugging back in picks the controller up again', () => {
+    const pad = makePad(0, 'Pad A');
+    const pads = [pad];
+    const { input, gamepad } = setup(pads);
+    const events = [];
+    gamepad.addEventListener('connected', event => events.push(['connected', event.gamepad.id]));
+    gamepad.addEventListener('disconnected', event => events.push(['disconnected', event.gamepad.id]));
+
+    pad.axes[1] = -1;
+    gamepad.poll();
+    assert.ok(gamepad.isConnected());
+    assert.equal(input.analog.MoveForward, 1);
+
+    pads.length = 0;
+    gamepad.poll();
+    assert.ok(!gamepad.isConnected());
+    assert.equal(input.analog.MoveForward, 0);
+
+    // A button held while plugging in counts as one press
+    const replugged = makePad(1, 'Pad A');
+    replugged.buttons[GAMEPAD_BUTTONS.Pause].pressed = true;
+    pads.push(replugged);
+    gamepad.poll();
+    assert.ok(gamepad.isConnected());
+    assert.equal(gamepad.activeIndex, 1);
+    assert.deepEqual(input.triggered, ['Pause']);
+
+    assert.deepEqual(events, [['connected', 'Pad A'], ['disconnected', 'Pad A'], ['connected', 'Pad A']]);
+});
+
+test('switches to another controller when the one in use goes away', () => {
+    const first = makePad(0, 'Pad A');
+    const second = makePad(1, 'Pad B');
+    const pads = [first, second];
+    const { input, gamepad } = setup(pads);
+
+    gamepad.poll();
+    assert.equal(gamepad.activeIndex, 0);
+
+    pads.shift();
+    second.axes[1] = 1;
+    gamepad.poll();
+    assert.equal(gamepad.activeIndex, 1);
+    assert.equal(input.analog.MoveBackward, 1);
+});
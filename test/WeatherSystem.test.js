@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WeatherSystem } from '../src/systems/WeatherSystem.js';
+
+// Short spells so a few minutes of play runs through many of them
+const OPTIONS = { minDuration: 10, maxDuration: 30, transitionTime: 5 };
+
+const play = (weather, seconds, dt = 0.5) => {
+    for (let time = 0; time < seconds; time += dt) weather.update(dt);
+};
+
+test('the same seed gives the same forecast', () => {
+    const schedule = WeatherSystem.previewSchedule(1234, 20, OPTIONS);
+    assert.equal(schedule.length, 20);
+    assert.deepEqual(WeatherSystem.previewSchedule(1234, 20, OPTIONS), schedule);
+    assert.notDeepEqual(WeatherSystem.previewSchedule(4321, 20, OPTIONS), schedule);
+});
+
+test('playing through a seed follows its forecast', () => {
+    const schedule = WeatherSystem.previewSchedule(99, 8, OPTIONS);
+    const weather = new WeatherSystem(Object.assign({ seed: 99 }, OPTIONS));
+    const states = [weather.getState()];
+    weather.addEventListener('change', event => states.push(event.state));
+
+    play(weather, 300);
+    assert.deepEqual(states.slice(0, schedule.length), schedule.map(spell => spell.state));
+});
+
+test('a loaded save carries on with the weather it would have had', () => {
+    const original = new WeatherSystem(Object.assign({ seed: 7 }, OPTIONS));
+    play(original, 95);
+
+    const loaded = new WeatherSystem(Object.assign({ seed: 555 }, OPTIONS));
+    loaded.fromJSON(JSON.parse(JSON.stringify(original.toJSON())));
+    assert.deepEqual(loaded.toJSON(), original.toJSON());
+    assert.deepEqual(loaded.getConditions(), original.getConditions());
+
+    play(original, 200);
+    play(loaded, 200);
+    assert.deepEqual(loaded.toJSON(), original.toJSON());
+});
+
+test('a save without weather keeps the new game\'s forecast', () => {
+    const weather = new WeatherSystem(Object.assign({ seed: 3 }, OPTIONS));
+    const before = weather.toJSON();
+    weather.fromJSON(null);
+    assert.deepEqual(weather.toJSON(), before);
+});